@@ -0,0 +1,7 @@
+#!/usr/bin/env node
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import {main} from '../lib/cli.js';
+
+process.exitCode = await main({args: process.argv.slice(2)});
@@ -16,8 +16,12 @@ module.exports = function(config) {
       'test/*.spec.js'
     ],
 
-    // list of files to exclude
-    exclude: [],
+    // list of files to exclude; the command-line tool and the server are
+    // Node.js only
+    exclude: [
+      'test/cli.spec.js',
+      'test/server.spec.js'
+    ],
 
     // preprocess matching files before serving them to the browser
     // preprocessors: https://npmjs.org/browse/keyword/karma-preprocessor
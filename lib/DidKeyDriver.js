@@ -1,41 +1,441 @@
 /*!
- * Copyright (c) 2021-2023 Digital Bazaar, Inc. All rights reserved.
+ * Copyright (c) 2021-2026 Digital Bazaar, Inc. All rights reserved.
  */
 import * as didIo from '@digitalbazaar/did-io';
 import {
-  addKeyAgreementKeyContext, getDid, getKey, getKeyAgreementKeyPair, getKeyPair,
-  getMultibaseMultikeyHeader, setKeyPairId
+  addContexts, addKeyAgreementKeyContext, createError, DEFAULT_KEY_TYPES,
+  getDid, getKey, getKeyAgreementKeyPair, getKeyPair, importX25519KeyPair,
+  setKeyPairId
 } from './helpers.js';
+import {
+  assertPublicKeyFormat, formatDidDocument, formatVerificationMethod
+} from './formats.js';
+import {
+  codecsByCode, codecsByName, encodeMultibase, getCodecByMultikeyHeader
+} from './multicodec.js';
+import {decryptJwe, encryptJwe} from './jwe.js';
+import {decryptKeystore, encryptKeystore} from './keystore.js';
+import {
+  DID_CONTEXT_URL, DID_JSON_CONTENT_TYPE, DID_LD_JSON_CONTENT_TYPE,
+  MULTIKEY_TYPE, VERIFICATION_RELATIONSHIPS
+} from './constants.js';
+import {didJwkToJwk, didKeyToDidJwk} from './didJwk.js';
+import {getJwsAlgorithm, parseJws} from './jws.js';
+import {
+  parseDid, parseDidKey, parseDidPeer0, parseDidPeer2, parseDidUrl,
+  parseMultibase
+} from './parser.js';
+import {contexts as bundledContexts} from './contexts.js';
+import {jwkToPublicKey} from './jwk.js';
+import {LruCache} from '@digitalbazaar/lru-memoize';
 
-const DID_CONTEXT_URL = 'https://www.w3.org/ns/did/v1';
+const DEFAULT_CACHE_MAX = 1000;
+const DEFAULT_CONCURRENCY = 10;
+const DEFAULT_MAX_CLOCK_SKEW = 300;
+const DID_PEER_PREFIX = 'did:peer:';
+const DID_PEER_NUMALGO_2_PREFIX = 'did:peer:2';
 
 export class DidKeyDriver {
-  constructor() {
+  /**
+   * Creates a new `did:key` driver.
+   *
+   * @param {object} [options] - Options hashmap.
+   * @param {boolean} [options.enableEncryptionKeyDerivation=true] - Set to
+   *   `false` to not derive a `keyAgreement` key from verification keys (such
+   *   as an X25519 key from an Ed25519 key) by default; may be overridden per
+   *   call.
+   * @param {object|boolean} [options.cache=false] - Set to `true` or to a
+   *   `{max, maxAge}` object to cache the results of `get()` (and
+   *   `resolve()`), where `max` is the maximum number of cached results
+   *   (default: 1000) and `maxAge` is the maximum age of a cached result in
+   *   milliseconds (default: no expiry); results are handed out as copies so
+   *   that callers cannot modify cached entries.
+   * @param {Array<string>} [options.verificationRelationships] - The
+   *   verification relationships (`authentication`, `assertionMethod`,
+   *   `capabilityDelegation` and/or `capabilityInvocation`) that verification
+   *   keys are given by default (default: all of them); may be overridden per
+   *   key type via `use()`.
+   */
+  constructor({
+    enableEncryptionKeyDerivation = true, cache = false,
+    verificationRelationships = VERIFICATION_RELATIONSHIPS
+  } = {}) {
+    _assertVerificationRelationships({verificationRelationships});
     // used by did-io to register drivers
     this.method = 'key';
+    this._enableEncryptionKeyDerivation = enableEncryptionKeyDerivation;
+    this._verificationRelationships = [...verificationRelationships];
+    this._cache = cache ? _createCache(cache === true ? {} : cache) : null;
+    this._cacheStats = {hits: 0, misses: 0};
+    // registrations by multibase-multikey header and by multicodec code
     this._allowedKeyTypes = new Map();
+    this._allowedCodecs = new Map();
+    // verification method types by type name, see `useKeyType()`
+    this._keyTypes = new Map(DEFAULT_KEY_TYPES);
   }
 
   /**
-   * Registers a multibase-multikey header and a multibase-multikey
-   * deserializer that is allowed to handle data using that header.
+   * Registers a multibase-multikey header (or a multicodec) and a
+   * multibase-multikey deserializer that is allowed to handle data using that
+   * header (or multicodec). Registrations by header take precedence over
+   * registrations by multicodec.
    *
    * @param {object} options - Options hashmap.
    *
-   * @param {string} options.multibaseMultikeyHeader - The multibase-multikey
-   *   header to register.
+   * @param {string} [options.multibaseMultikeyHeader] - The
+   *   multibase-multikey header to register.
+   * @param {string|number} [options.multicodec] - The multicodec name (e.g.,
+   *   `ed25519-pub`) or code (e.g., `0xed`) to register; required if
+   *   `multibaseMultikeyHeader` is not given.
    * @param {Function} options.fromMultibase - A function that converts a
    *  `{publicKeyMultibase}` value into a key pair interface.
+   * @param {Function|boolean} [options.deriveKeyAgreementKeyPair] - An
+   *   optional async function that is given `{verificationKeyPair}` and
+   *   returns a key agreement key pair to include in the DID Document (or
+   *   `undefined` for none); set to `false` to never derive a key agreement
+   *   key for this key type. If not given, the built-in derivation is used
+   *   (an X25519 key is derived from an Ed25519 key).
+   * @param {Array<string>} [options.verificationRelationships] - The
+   *   verification relationships that keys of this type are given (see the
+   *   constructor); defaults to the driver's `verificationRelationships`.
+   * @param {Function} [options.generate] - An optional async function that
+   *   is given `{seed}` and returns a new key pair (including its secret key)
+   *   of this type, used by `generate()`; `seed` is `undefined` unless the
+   *   caller passes one, and a function that cannot generate a key from a
+   *   seed should throw if given one.
    */
-  use({multibaseMultikeyHeader, fromMultibase} = {}) {
-    if(!(multibaseMultikeyHeader &&
+  use({
+    multibaseMultikeyHeader, multicodec, fromMultibase,
+    deriveKeyAgreementKeyPair, verificationRelationships, generate
+  } = {}) {
+    if(multicodec === undefined && !(multibaseMultikeyHeader &&
       typeof multibaseMultikeyHeader === 'string')) {
       throw new TypeError('"multibaseMultikeyHeader" must be a string.');
     }
+    let codec;
+    if(multicodec !== undefined) {
+      codec = typeof multicodec === 'string' ?
+        codecsByName.get(multicodec)?.code : multicodec;
+      if(!Number.isInteger(codec)) {
+        throw new TypeError(
+          '"multicodec" must be a known multicodec name or an integer.');
+      }
+    }
     if(typeof fromMultibase !== 'function') {
       throw new TypeError('"fromMultibase" must be a function.');
     }
-    this._allowedKeyTypes.set(multibaseMultikeyHeader, fromMultibase);
+    if(!(deriveKeyAgreementKeyPair === undefined ||
+      deriveKeyAgreementKeyPair === false ||
+      typeof deriveKeyAgreementKeyPair === 'function')) {
+      throw new TypeError(
+        '"deriveKeyAgreementKeyPair" must be a function or `false`.');
+    }
+    if(verificationRelationships !== undefined) {
+      _assertVerificationRelationships({verificationRelationships});
+      verificationRelationships = [...verificationRelationships];
+    }
+    if(!(generate === undefined || typeof generate === 'function')) {
+      throw new TypeError('"generate" must be a function.');
+    }
+    // the key type (e.g., `Ed25519`) lets `generate()` find the registration
+    const {keyType} = (codec !== undefined ? codecsByCode.get(codec) :
+      getCodecByMultikeyHeader({multibaseMultikeyHeader})) || {};
+    const registration = {
+      fromMultibase, deriveKeyAgreementKeyPair, verificationRelationships,
+      generate, keyType
+    };
+    if(multibaseMultikeyHeader) {
+      // a header only handles keys of the multicodec it identifies, if any
+      const headerCodec = getCodecByMultikeyHeader({multibaseMultikeyHeader});
+      this._allowedKeyTypes.set(multibaseMultikeyHeader, {
+        ...registration, codec: headerCodec?.code
+      });
+    }
+    if(codec !== undefined) {
+      this._allowedCodecs.set(codec, registration);
+    }
+    // cached results may have been produced by a previous registration
+    this.clearCache();
+  }
+
+  /**
+   * Registers a verification method type (or replaces the registration of a
+   * built-in type) along with the JSON-LD context(s) that define it, so that
+   * DID Documents and key nodes that include keys of that type get the right
+   * `@context`.
+   *
+   * @param {object} options - Options hashmap.
+   *
+   * @param {string} options.type - The verification method type, e.g.,
+   *   `Bls12381G2Key2020`.
+   * @param {string|Array<string>} options.context - The context URL(s) that
+   *   define the type.
+   * @param {boolean} [options.keyAgreement=false] - Set to `true` if keys of
+   *   this type are only used for key agreement; a key pair of this type
+   *   that is passed to `publicKeyToDidDoc()` (or is deserialized by `get()`)
+   *   is then expressed as a `keyAgreement` method.
+   */
+  useKeyType({type, context, keyAgreement = false} = {}) {
+    if(!(type && typeof type === 'string')) {
+      throw new TypeError('"type" must be a string.');
+    }
+    const contexts = Array.isArray(context) ? [...context] : [context];
+    if(!contexts.every(context => context && typeof context === 'string')) {
+      throw new TypeError('"context" must be a string or an array of strings.');
+    }
+    if(typeof keyAgreement !== 'boolean') {
+      throw new TypeError('"keyAgreement" must be a boolean.');
+    }
+    this._keyTypes.set(type, {contexts, keyAgreement});
+    this.clearCache();
+  }
+
+  /**
+   * Removes all cached results (see the `cache` constructor option).
+   */
+  clearCache() {
+    this._cache?.cache.reset();
+  }
+
+  /**
+   * Returns statistics about the cache (see the `cache` constructor option).
+   *
+   * @returns {{enabled: boolean, size: number, max: number, maxAge: number,
+   *   hits: number, misses: number}} Returns the cache statistics; `size`
+   *   is the number of cached results.
+   */
+  getCacheStats() {
+    if(!this._cache) {
+      return {enabled: false, size: 0, ...this._cacheStats};
+    }
+    const {max, maxAge} = this._cache.options;
+    return {
+      enabled: true,
+      size: this._cache.cache.itemCount,
+      max,
+      maxAge,
+      ...this._cacheStats
+    };
+  }
+
+  /**
+   * Generates a new key pair, using the `generate` function registered for
+   * its key type via `use()`, and its DID Document. Unlike `fromKeyPair()`,
+   * the returned key pairs include their secret keys: the generated key pair
+   * and, if derived from it, the key agreement key pair (the built-in
+   * derivation includes the secret key for `Ed25519VerificationKey2020` and
+   * Ed25519 `Multikey` key pairs).
+   *
+   * @example
+   * didKeyDriver.use({
+   *   multibaseMultikeyHeader: 'z6Mk',
+   *   fromMultibase: Ed25519Multikey.from,
+   *   generate: Ed25519Multikey.generate
+   * });
+   * const {did, didDocument, keyPairs, methodFor} = await didKeyDriver
+   *   .generate({keyType: 'Ed25519', seed});
+   *
+   * @param {object} options - Options hashmap.
+   * @param {string} [options.multibaseMultikeyHeader] - The
+   *   multibase-multikey header of the registration to generate a key pair
+   *   with, e.g., `z6Mk`.
+   * @param {string} [options.keyType] - The key type to generate a key pair
+   *   of, instead of `multibaseMultikeyHeader`: `Ed25519`, `X25519`, `P-256`,
+   *   `P-384`, `P-521`, `secp256k1`, `Bls12381G1`, `Bls12381G2` or `RSA`.
+   * @param {Uint8Array} [options.seed] - A seed to generate the key pair from
+   *   deterministically, if the registered `generate` function supports it.
+   * @param {string} [options.publicKeyFormat] - The verification method type
+   *   to express public keys with (see `fromKeyPair()`).
+   * @param {boolean} [options.includeJwkThumbprint=false] - Set to `true` to
+   *   set the `kid` of each `publicKeyJwk` to its JWK thumbprint.
+   * @param {boolean} [options.enableEncryptionKeyDerivation] - Set to
+   *   `false` to not derive a `keyAgreement` key; defaults to the driver's
+   *   setting.
+   * @param {boolean} [options.linkDidJwk=false] - Set to `true` to include
+   *   the equivalent `did:jwk` DID in `alsoKnownAs`.
+   *
+   * @returns {Promise<{did: string, didDocument: object, keyPairs: Map,
+   *   methodFor: Function}>} Resolves with the DID, its DID Document and the
+   *   key pairs by key id, along with a function that returns the key pair
+   *   for a purpose (see `fromKeyPair()`).
+   */
+  async generate({
+    multibaseMultikeyHeader, keyType, seed, publicKeyFormat,
+    includeJwkThumbprint, enableEncryptionKeyDerivation, linkDidJwk
+  } = {}) {
+    if((multibaseMultikeyHeader === undefined) === (keyType === undefined)) {
+      throw new TypeError(
+        'Either "multibaseMultikeyHeader" or "keyType" must be given.');
+    }
+    if(!(seed === undefined || seed instanceof Uint8Array)) {
+      throw new TypeError('"seed" must be a Uint8Array.');
+    }
+    let registration;
+    if(multibaseMultikeyHeader !== undefined) {
+      registration = this._allowedKeyTypes.get(multibaseMultikeyHeader);
+    } else {
+      // registrations by header take precedence
+      registration = [
+        ...this._allowedKeyTypes.values(), ...this._allowedCodecs.values()
+      ].find(r => r.keyType === keyType && r.generate);
+    }
+    if(!registration?.generate) {
+      throw createError({
+        message: 'No key generator registered for ' +
+          `"${multibaseMultikeyHeader ?? keyType}".`,
+        code: 'unsupportedPublicKeyType'
+      });
+    }
+    const generated = await registration.generate({seed});
+    const {keyPair, keyAgreementKeyPair} = await getKeyPair({
+      publicKeyDescription: generated, keyTypes: this._keyTypes
+    });
+    const {didDocument, keyPairs} = await this._keyPairToDidDocument({
+      keyPair, keyAgreementKeyPair, publicKeyFormat, includeJwkThumbprint,
+      enableEncryptionKeyDerivation, linkDidJwk, includeSecretKeys: true
+    });
+    return {
+      did: didDocument.id,
+      didDocument,
+      keyPairs,
+      methodFor: this._createMethodFor({didDocument, keyPairs})
+    };
+  }
+
+  /**
+   * Exports key pairs, such as the `keyPairs` returned by `generate()` or
+   * `fromKeyPair()`, including their secret keys, as a versioned JSON
+   * keystore that is encrypted with a key derived from a passphrase
+   * (PBKDF2-HMAC-SHA256 and AES-256-GCM). Requires the Web Crypto API
+   * (`globalThis.crypto`).
+   *
+   * @example
+   * const keystore = await didKeyDriver.exportKeyPairs({keyPairs, passphrase});
+   * await fs.writeFile('keystore.json', JSON.stringify(keystore));
+   *
+   * @param {object} options - Options hashmap.
+   * @param {Map} options.keyPairs - The key pairs by key id.
+   * @param {string} options.passphrase - The passphrase.
+   *
+   * @returns {Promise<object>} Resolves with the keystore.
+   */
+  async exportKeyPairs({keyPairs, passphrase} = {}) {
+    if(!(keyPairs instanceof Map)) {
+      throw new TypeError('"keyPairs" must be a Map.');
+    }
+    const exported = [];
+    for(const [id, keyPair] of keyPairs) {
+      // key pair interfaces name the secret key option differently
+      const key = await keyPair.export({
+        publicKey: true, secretKey: true, privateKey: true,
+        includeContext: true
+      });
+      exported.push({...key, id, controller: keyPair.controller});
+    }
+    return encryptKeystore({data: {keyPairs: exported}, passphrase});
+  }
+
+  /**
+   * Imports the key pairs of a keystore created by `exportKeyPairs()`. The
+   * key pairs are created via the `fromMultibase` registered for their key
+   * types (see `use()`) or, if it drops the secret key, via their key pair
+   * class' `from()`; X25519 key agreement key pairs are created like the
+   * built-in key agreement key derivation creates them. The
+   * keystore must hold the key pairs of one DID (a verification key pair
+   * and/or a key agreement key pair), for which the DID Document and
+   * `methodFor()` are returned like `fromKeyPair()` returns them. Requires
+   * the Web Crypto API (`globalThis.crypto`).
+   *
+   * @example
+   * const {keyPairs, methodFor} = await didKeyDriver.importKeyPairs({
+   *   keystore: await fs.readFile('keystore.json', 'utf8'), passphrase
+   * });
+   *
+   * @param {object} options - Options hashmap.
+   * @param {object|string} options.keystore - The keystore (or its JSON).
+   * @param {string} options.passphrase - The passphrase.
+   * @param {string} [options.publicKeyFormat] - The verification method type
+   *   to express public keys with (see `fromKeyPair()`).
+   * @param {boolean} [options.includeJwkThumbprint=false] - Set to `true` to
+   *   set the `kid` of each `publicKeyJwk` to its JWK thumbprint.
+   * @param {boolean} [options.enableEncryptionKeyDerivation] - Set to
+   *   `false` to not derive a `keyAgreement` key when the keystore has no key
+   *   agreement key pair; defaults to the driver's setting.
+   * @param {boolean} [options.linkDidJwk=false] - Set to `true` to include
+   *   the equivalent `did:jwk` DID in `alsoKnownAs`.
+   *
+   * @returns {Promise<{didDocument: object, keyPairs: Map,
+   *   methodFor: Function}>} Resolves with the DID Document, the imported key
+   *   pairs by key id and a function that returns the key pair for a purpose.
+   */
+  async importKeyPairs({
+    keystore, passphrase, publicKeyFormat, includeJwkThumbprint,
+    enableEncryptionKeyDerivation, linkDidJwk
+  } = {}) {
+    const {keyPairs: exported} = await decryptKeystore({
+      keystore, passphrase
+    }) || {};
+    if(!(Array.isArray(exported) && exported.length > 0)) {
+      throw createError({
+        message: 'Keystore has no key pairs.',
+        code: 'invalidKeystore'
+      });
+    }
+    const verificationKeyPairs = [];
+    const keyAgreementKeyPairs = [];
+    for(const key of exported) {
+      const {keyPair, keyAgreementKeyPair} = await getKeyPair({
+        publicKeyDescription: await this._importKeyPair({exported: key}),
+        keyTypes: this._keyTypes
+      });
+      if(keyPair) {
+        verificationKeyPairs.push(keyPair);
+      } else {
+        keyAgreementKeyPairs.push(keyAgreementKeyPair);
+      }
+    }
+    if(verificationKeyPairs.length > 1 || keyAgreementKeyPairs.length > 1) {
+      throw createError({
+        message: 'Keystore must hold the key pairs of one DID.',
+        code: 'invalidKeystore'
+      });
+    }
+    const {didDocument, keyPairs} = await this._keyPairToDidDocument({
+      keyPair: verificationKeyPairs[0],
+      keyAgreementKeyPair: keyAgreementKeyPairs[0],
+      publicKeyFormat, includeJwkThumbprint, enableEncryptionKeyDerivation,
+      linkDidJwk, includeSecretKeys: true
+    });
+    return {
+      didDocument,
+      keyPairs,
+      methodFor: this._createMethodFor({didDocument, keyPairs})
+    };
+  }
+
+  // creates a key pair from an exported key pair
+  async _importKeyPair({exported}) {
+    const {publicKeyMultibase} = formatVerificationMethod({
+      verificationMethod: exported, publicKeyFormat: MULTIKEY_TYPE
+    });
+    const parsed = parseMultibase({multibase: publicKeyMultibase});
+    if(parsed.codecName === 'x25519-pub') {
+      return importX25519KeyPair({exported});
+    }
+    const {fromMultibase} = this._getRegistration(parsed);
+    let keyPair = await fromMultibase({...exported, publicKeyMultibase});
+    // deserializers made with `createFromMultibase()` drop the secret key;
+    // use the key pair class' own importer instead
+    const secretKey = exported.secretKeyMultibase ??
+      exported.privateKeyMultibase ?? exported.privateKeyBase58;
+    if(secretKey && !(keyPair.secretKeyMultibase ??
+      keyPair.privateKeyMultibase ?? keyPair.privateKeyBase58) &&
+      typeof keyPair.constructor?.from === 'function') {
+      keyPair = await keyPair.constructor.from(exported);
+    }
+    keyPair.id = exported.id;
+    keyPair.controller = exported.controller;
+    return keyPair;
   }
 
   /**
@@ -45,13 +445,42 @@ export class DidKeyDriver {
    *
    * @param {object} [options.verificationKeyPair] - A verification KeyPair.
    * @param {object} [options.keyAgreementKeyPair] - A keyAgreement KeyPair.
+   * @param {string} [options.publicKeyFormat] - The verification method
+   *   type to express public keys with: `Multikey`, `JsonWebKey2020`,
+   *   `Ed25519VerificationKey2020`, `Ed25519VerificationKey2018`,
+   *   `X25519KeyAgreementKey2020` or `X25519KeyAgreementKey2019`; defaults to
+   *   the type of the key pairs.
+   * @param {boolean} [options.includeJwkThumbprint=false] - Set to `true` to
+   *   set the `kid` of each `publicKeyJwk` (see the `JsonWebKey2020` public
+   *   key format) to its RFC 7638 JWK thumbprint.
+   * @param {boolean} [options.enableEncryptionKeyDerivation] - Set to
+   *   `false` to not derive a `keyAgreement` key from the verification key;
+   *   defaults to the driver's setting.
+   * @param {object} [options.jwk] - A public JWK to generate the DID
+   *   Document from instead of a key pair (see `fromPublicKeyBytes()`).
+   * @param {string} [options.didJwk] - A `did:jwk` DID to generate the
+   *   equivalent `did:key` DID Document from instead of a key pair.
+   * @param {boolean} [options.linkDidJwk=false] - Set to `true` to include
+   *   the `did:jwk` DID for the same public key in the DID Document's
+   *   `alsoKnownAs`.
    *
    * @returns {Promise<{didDocument: object, keyPairs: Map,
    *   methodFor: Function}>} Resolves with the generated DID Document, along
    *   with the corresponding key pairs used to generate it (for storage in a
    *   KMS).
    */
-  async fromKeyPair({verificationKeyPair, keyAgreementKeyPair} = {}) {
+  async fromKeyPair({
+    verificationKeyPair, keyAgreementKeyPair, publicKeyFormat,
+    includeJwkThumbprint, enableEncryptionKeyDerivation, jwk, didJwk,
+    linkDidJwk
+  } = {}) {
+    if(jwk || didJwk) {
+      const {didDocument, keyPairs, methodFor} = await this._fromJwk({
+        jwk, didJwk, publicKeyFormat, includeJwkThumbprint,
+        enableEncryptionKeyDerivation, linkDidJwk
+      });
+      return {didDocument, keyPairs, methodFor};
+    }
     if(!(verificationKeyPair || keyAgreementKeyPair)) {
       throw new TypeError(
         '"verificationKeyPair" or "keyAgreementKeyPair" must be an object.');
@@ -59,18 +488,25 @@ export class DidKeyDriver {
     // keyPairs is a map of keyId to key pair instance, that includes the
     // verificationKeyPair above and the keyAgreementKey pair that is
     // optionally passed or derived from the passed verification key pair
-    const {didDocument, keyPairs} = await this._keyPairToDidDocument(
-      {keyPair: verificationKeyPair, keyAgreementKeyPair});
+    const {didDocument, keyPairs} = await this._keyPairToDidDocument({
+      keyPair: verificationKeyPair, keyAgreementKeyPair, publicKeyFormat,
+      includeJwkThumbprint, enableEncryptionKeyDerivation, linkDidJwk
+    });
+
+    const methodFor = this._createMethodFor({didDocument, keyPairs});
+    return {didDocument, keyPairs, methodFor};
+  }
 
-    // convenience function that returns the public/private key pair instance
-    // for a given purpose (authentication, assertionMethod, keyAgreement, etc).
-    const methodFor = ({purpose}) => {
+  // returns a convenience function that returns the public/private key pair
+  // instance for a given purpose (authentication, assertionMethod,
+  // keyAgreement, etc).
+  _createMethodFor({didDocument, keyPairs}) {
+    return ({purpose}) => {
       const {id: methodId} = this.publicMethodFor({
         didDocument, purpose
       });
       return keyPairs.get(methodId);
     };
-    return {didDocument, keyPairs, methodFor};
   }
 
   /**
@@ -93,7 +529,8 @@ export class DidKeyDriver {
    *   'authentication', 'assertionMethod', 'keyAgreement' and so on.
    *
    * @returns {object} Returns the public key object (obtained from the DID
-   *   Document), without a `@context`.
+   *   Document), without a `@context`; throws if there is none, e.g., if the
+   *   purpose is not permitted for the DID's key type.
    */
   publicMethodFor({didDocument, purpose} = {}) {
     if(!didDocument) {
@@ -105,15 +542,313 @@ export class DidKeyDriver {
 
     const method = didIo.findVerificationMethod({doc: didDocument, purpose});
     if(!method) {
+      if(VERIFICATION_RELATIONSHIPS.includes(purpose) &&
+        didDocument.verificationMethod?.length > 0) {
+        // the key exists but is not permitted for this purpose (see the
+        // `verificationRelationships` option)
+        const permitted = VERIFICATION_RELATIONSHIPS
+          .filter(relationship => didDocument[relationship]?.length > 0)
+          .map(relationship => `"${relationship}"`);
+        throw new Error(
+          `No verification method found for purpose "${purpose}"; purpose ` +
+          `"${purpose}" is not permitted for the keys of "${didDocument.id}"` +
+          ` (permitted: ${permitted.join(', ') || 'none'}).`);
+      }
       throw new Error(`No verification method found for purpose "${purpose}"`);
     }
     return method;
   }
 
+  /**
+   * Verifies that a signature was created by a `did:key` DID's verification
+   * method for the given purpose. The verification method is resolved (via
+   * `get()`), checked to belong to the DID and to be permitted for the
+   * purpose (see the `verificationRelationships` option), hydrated via the
+   * `fromMultibase` registered for its key type (see `use()`), and its
+   * verifier is then run over the data and signature.
+   *
+   * @example
+   * const verified = await didKeyDriver.verify({
+   *   verificationMethod: keyId, purpose: 'assertionMethod', data, signature
+   * });
+   *
+   * @param {object} options - Options hashmap.
+   * @param {string|object} [options.verificationMethod] - The id of the
+   *   verification method (or an object with its `id`); required if `did`
+   *   is not given.
+   * @param {string} [options.did] - The DID; if `verificationMethod` is not
+   *   given, the first verification method for the purpose is used,
+   *   otherwise it must belong to this DID.
+   * @param {string} options.purpose - The verification relationship, such
+   *   as `authentication` or `assertionMethod`.
+   * @param {Uint8Array} options.data - The signed data.
+   * @param {Uint8Array} options.signature - The signature.
+   *
+   * @returns {Promise<boolean>} Resolves to `true` if the signature is valid
+   *   and was created by a verification method of the DID that is permitted
+   *   for the purpose, and to `false` otherwise.
+   */
+  async verify({verificationMethod, did, purpose, data, signature} = {}) {
+    _assertPurpose({purpose});
+    if(!(data instanceof Uint8Array && signature instanceof Uint8Array)) {
+      throw new TypeError('"data" and "signature" must be Uint8Arrays.');
+    }
+    const methodId = typeof verificationMethod === 'object' ?
+      verificationMethod?.id : verificationMethod;
+    if(methodId === undefined && did === undefined) {
+      throw new TypeError('"verificationMethod" or "did" is required.');
+    }
+    const parsed = parseDid({did: methodId ?? did});
+    if(methodId !== undefined) {
+      if(parsed.fragment === undefined) {
+        throw new TypeError(
+          '"verificationMethod" must be a DID URL with a fragment.');
+      }
+      if(did !== undefined && parseDid({did}).did !== parsed.did) {
+        // the verification method belongs to another DID
+        return false;
+      }
+    }
+    const keyPair = await this._getVerificationKeyPair({
+      parsed, did: (methodId ?? did).split('#')[0], methodId, purpose
+    });
+    if(!keyPair) {
+      return false;
+    }
+    return _runVerifier({keyPair, data, signature});
+  }
+
+  // gets a key pair with a `verifier()` for the verification method with the
+  // given id (or the DID's first one) if it is permitted for the purpose, or
+  // `null` if it is not; `did` is the DID as given (e.g., with its version),
+  // so that its ids match those of `methodId`
+  async _getVerificationKeyPair({parsed, did, methodId, purpose}) {
+    const didDocument = await this.get({did});
+    const permittedIds = (didDocument[purpose] || []).map(
+      method => typeof method === 'string' ? method : method.id);
+    const id = methodId ?? permittedIds[0];
+    if(!permittedIds.includes(id)) {
+      return null;
+    }
+    // the verification key of a `did:key` DID is the key the DID encodes
+    const {fromMultibase} = this._getRegistration(parsed);
+    const keyPair = await fromMultibase({publicKeyMultibase: parsed.multibase});
+    keyPair.id = id;
+    keyPair.controller = didDocument.id;
+    if(typeof keyPair.verifier !== 'function') {
+      throw createError({
+        message: `Key type of "${id}" does not support verification.`,
+        code: 'unsupportedPublicKeyType'
+      });
+    }
+    return keyPair;
+  }
+
+  /**
+   * Verifies a compact JWS whose `kid` header is a `did:key` verification
+   * method id (e.g., one created by `signJws()`). The `kid` is resolved via
+   * `get({url})`, the `alg` must match the key type (`EdDSA` for Ed25519,
+   * `ES256` for P-256, `ES384` for P-384, `ES512` for P-521, `ES256K` for
+   * secp256k1 and `RS256` for RSA keys) and the verification method must be
+   * permitted for the purpose; the signature is then verified as in
+   * `verify()`. Throws if the JWS is not valid.
+   *
+   * @example
+   * const {header, payload} = await didKeyDriver.verifyJws({
+   *   jws, purpose: 'assertionMethod'
+   * });
+   *
+   * @param {object} options - Options hashmap.
+   * @param {string} options.jws - The compact JWS.
+   * @param {string} options.purpose - The verification relationship the
+   *   signing key must have, such as `authentication` or `assertionMethod`.
+   *
+   * @returns {Promise<{header: object, payload: Uint8Array,
+   *   verificationMethod: object}>} Resolves with the protected header, the
+   *   payload and the verification method (key node) that signed the JWS.
+   */
+  async verifyJws({jws, purpose} = {}) {
+    _assertPurpose({purpose});
+    const {header, payload, signature, signingInput} = parseJws({jws});
+    const {alg, kid} = header;
+    if(header.crit !== undefined) {
+      throw createError({
+        message: 'JWS "crit" header parameters are not supported.',
+        code: 'invalidJws'
+      });
+    }
+    if(!(kid && typeof kid === 'string')) {
+      throw createError({
+        message: 'JWS "kid" header must be a DID URL.',
+        code: 'invalidJws'
+      });
+    }
+    const parsed = parseDid({did: kid});
+    if(parsed.fragment === undefined) {
+      throw createError({
+        message: `JWS "kid" "${kid}" must be a DID URL with a fragment.`,
+        code: 'invalidJws'
+      });
+    }
+    const verificationMethod = await this.get({url: kid});
+    const expectedAlg = getJwsAlgorithm({
+      publicKeyMultibase: parsed.multibase
+    });
+    if(alg !== expectedAlg) {
+      throw createError({
+        message: `JWS "alg" "${alg}" does not match the key type of ` +
+          `"${kid}"; expected "${expectedAlg}".`,
+        code: 'invalidJws'
+      });
+    }
+    const keyPair = await this._getVerificationKeyPair({
+      parsed, did: kid.split('#')[0], methodId: kid, purpose
+    });
+    if(!keyPair) {
+      throw createError({
+        message: `Verification method "${kid}" is not permitted for ` +
+          `purpose "${purpose}".`,
+        code: 'invalidJws'
+      });
+    }
+    if(!await _runVerifier({keyPair, data: signingInput, signature})) {
+      throw createError({
+        message: 'JWS signature is invalid.',
+        code: 'invalidSignature'
+      });
+    }
+    return {header, payload, verificationMethod};
+  }
+
+  /**
+   * Verifies a JWT whose `kid` header is a `did:key` verification method id
+   * (see `verifyJws()`) and checks its `exp` and `nbf` claims, if present.
+   * Throws if the JWT is not valid.
+   *
+   * @param {object} options - Options hashmap.
+   * @param {string} options.jwt - The JWT.
+   * @param {string} options.purpose - The verification relationship the
+   *   signing key must have (see `verifyJws()`).
+   * @param {number} [options.now] - The current time in seconds since the
+   *   epoch (default: the current time).
+   * @param {number} [options.maxClockSkew=300] - The maximum clock skew, in
+   *   seconds, allowed when checking `exp` and `nbf`.
+   *
+   * @returns {Promise<{header: object, claims: object,
+   *   verificationMethod: object}>} Resolves with the protected header, the
+   *   claims set and the verification method (key node) that signed the JWT.
+   */
+  async verifyJwt({
+    jwt, purpose, now = Math.floor(Date.now() / 1000),
+    maxClockSkew = DEFAULT_MAX_CLOCK_SKEW
+  } = {}) {
+    const {header, payload, verificationMethod} = await this.verifyJws({
+      jws: jwt, purpose
+    });
+    let claims;
+    try {
+      claims = JSON.parse(new TextDecoder().decode(payload));
+    } catch(cause) {
+      throw createError({
+        message: 'JWT claims set must be JSON.',
+        code: 'invalidJwt',
+        cause
+      });
+    }
+    if(!(claims && typeof claims === 'object' && !Array.isArray(claims))) {
+      throw createError({
+        message: 'JWT claims set must be a JSON object.',
+        code: 'invalidJwt'
+      });
+    }
+    const {exp, nbf} = claims;
+    if(exp !== undefined && !(typeof exp === 'number' &&
+      now - maxClockSkew < exp)) {
+      throw createError({message: 'JWT has expired.', code: 'invalidJwt'});
+    }
+    if(nbf !== undefined && !(typeof nbf === 'number' &&
+      now + maxClockSkew >= nbf)) {
+      throw createError({
+        message: 'JWT is not valid yet.',
+        code: 'invalidJwt'
+      });
+    }
+    return {header, claims, verificationMethod};
+  }
+
+  /**
+   * Encrypts a payload to one or more `did:key` recipients via their X25519
+   * `keyAgreement` keys, producing a general JSON serialization JWE that uses
+   * `ECDH-ES+A256KW` key wrapping and `A256GCM` content encryption. The `kid`
+   * of each recipient is the id of its key agreement key. Requires the Web
+   * Crypto API (`globalThis.crypto`).
+   *
+   * @example
+   * const jwe = await didKeyDriver.encryptTo({
+   *   recipients: ['did:key:z6Mk...'], payload: 'secret'
+   * });
+   *
+   * @param {object} options - Options hashmap.
+   * @param {string[]} options.recipients - The recipients' DIDs, or the ids
+   *   of their key agreement keys.
+   * @param {Uint8Array|string} options.payload - The payload to encrypt.
+   *
+   * @returns {Promise<object>} Resolves with the JWE.
+   */
+  async encryptTo({recipients, payload} = {}) {
+    if(!(Array.isArray(recipients) && recipients.length > 0)) {
+      throw new TypeError('"recipients" must be a non-empty array.');
+    }
+    const keys = [];
+    for(const recipient of recipients) {
+      if(typeof recipient !== 'string') {
+        throw new TypeError('"recipients" must be an array of strings.');
+      }
+      // get the DID as given (e.g., with its version), so that its key ids
+      // match `recipient`
+      const {fragment} = parseDid({did: recipient});
+      const [did] = recipient.split('#');
+      const didDocument = await this.get({
+        did, publicKeyFormat: MULTIKEY_TYPE
+      });
+      const keyAgreementKey = (didDocument.keyAgreement || []).find(
+        ({id}) => fragment === undefined || id === recipient);
+      if(!keyAgreementKey) {
+        throw createError({
+          message: `No key agreement key found for recipient "${recipient}".`,
+          code: 'notFound'
+        });
+      }
+      const {id: kid, publicKeyMultibase} = keyAgreementKey;
+      keys.push({kid, publicKeyMultibase});
+    }
+    return encryptJwe({recipients: keys, payload});
+  }
+
+  /**
+   * Decrypts a JWE created by `encryptTo()` using the key agreement key pair
+   * of one of its recipients, such as the one returned by
+   * `fromKeyPair().methodFor({purpose: 'keyAgreement'})` for a key agreement
+   * key pair that includes its private key. Requires the Web Crypto API
+   * (`globalThis.crypto`).
+   *
+   * @param {object} options - Options hashmap.
+   * @param {object} options.jwe - The JWE.
+   * @param {object} options.keyAgreementKeyPair - The recipient's X25519 key
+   *   agreement key pair; its `id` must be the recipient's `kid`.
+   *
+   * @returns {Promise<Uint8Array>} Resolves with the decrypted payload.
+   */
+  async decrypt({jwe, keyAgreementKeyPair} = {}) {
+    return decryptJwe({jwe, keyAgreementKeyPair});
+  }
+
   /**
    * Returns a `did:key` method DID Document for a given DID, or a key document
    * for a given DID URL (key id).
-   * Either a `did` or `url` param is required.
+   * Either a `did` or `url` param is required. A `did:peer` DID with numalgo
+   * 0 (a `did:key` DID with a different prefix) is resolved in the same way,
+   * with the `did:peer` DID in place of the `did:key` DID.
    *
    * @example
    * await resolver.get({did}); // -> did document
@@ -124,66 +859,629 @@ export class DidKeyDriver {
    *   or an x25519 key-agreement key id).
    * @param {string} [options.url] - Alias for the `did` url param, supported
    *   for better readability of invoking code.
+   * @param {string} [options.publicKeyFormat] - The verification method
+   *   type to express public keys with (see `fromKeyPair()`).
+   * @param {boolean} [options.includeJwkThumbprint=false] - Set to `true` to
+   *   set the `kid` of each `publicKeyJwk` to its JWK thumbprint (see
+   *   `fromKeyPair()`).
+   * @param {boolean} [options.enableEncryptionKeyDerivation] - Whether to
+   *   derive a `keyAgreement` key (see `fromKeyPair()`).
+   * @param {boolean} [options.linkDidJwk=false] - Whether to include the
+   *   equivalent `did:jwk` DID in `alsoKnownAs` (see `fromKeyPair()`).
    *
    * @returns {Promise<object>} Resolves to a DID Document or a
    *   public key node with context.
    */
-  async get({did, url} = {}) {
+  async get({
+    did, url, publicKeyFormat, includeJwkThumbprint,
+    enableEncryptionKeyDerivation, linkDidJwk
+  } = {}) {
     did = did || url;
     if(!did) {
       throw new TypeError('"did" must be a string.');
     }
-    const [didAuthority, keyIdFragment] = did.split('#');
-    const publicKeyMultibase = didAuthority.substring('did:key:'.length);
-    // get the multikey header from the public key value
-    const multibaseMultikeyHeader = getMultibaseMultikeyHeader({
-      value: publicKeyMultibase
-    });
+    if(!this._cache) {
+      return this._get({
+        did, publicKeyFormat, includeJwkThumbprint,
+        enableEncryptionKeyDerivation, linkDidJwk
+      });
+    }
+    enableEncryptionKeyDerivation ??= this._enableEncryptionKeyDerivation;
+    const key = JSON.stringify([
+      did, publicKeyFormat ?? null, !!includeJwkThumbprint,
+      enableEncryptionKeyDerivation, !!linkDidJwk
+    ]);
+    // only the call that runs `fn` is a miss; concurrent calls for the same
+    // key share its pending result and are hits
+    let miss = false;
+    let result;
+    try {
+      result = await this._cache.memoize({
+        key,
+        fn: () => {
+          miss = true;
+          this._cacheStats.misses++;
+          return this._get({
+            did, publicKeyFormat, includeJwkThumbprint,
+            enableEncryptionKeyDerivation, linkDidJwk
+          });
+        }
+      });
+    } finally {
+      if(!miss) {
+        this._cacheStats.hits++;
+      }
+    }
+    // hand out a copy so callers cannot modify the cached result; results are
+    // plain JSON (DID Documents and key nodes)
+    return JSON.parse(JSON.stringify(result));
+  }
 
-    const fromMultibase =
-      this._allowedKeyTypes.get(multibaseMultikeyHeader);
-    if(!fromMultibase) {
-      throw new Error(
-        `Unsupported "multibaseMultikeyHeader", "${multibaseMultikeyHeader}".`);
+  // gets a DID Document or key node without using the cache (see `get()`)
+  async _get({
+    did, publicKeyFormat, includeJwkThumbprint, enableEncryptionKeyDerivation,
+    linkDidJwk
+  }) {
+    const parsed = parseDid({did});
+    const {multibase: publicKeyMultibase, fragment: keyIdFragment} = parsed;
+    if(keyIdFragment === '') {
+      throw createError({
+        message: `DID URL "${did}" has an empty fragment.`,
+        code: 'invalidDidUrl'
+      });
     }
+    const {fromMultibase} = this._getRegistration(parsed);
     const {keyAgreementKeyPair, keyPair} = await getKeyPair({
-      fromMultibase, publicKeyMultibase
+      fromMultibase, publicKeyMultibase, keyTypes: this._keyTypes
     });
-    const {didDocument} = await this._keyPairToDidDocument({
-      keyPair, keyAgreementKeyPair
+    let {didDocument} = await this._keyPairToDidDocument({
+      keyPair, keyAgreementKeyPair, publicKeyFormat, includeJwkThumbprint,
+      enableEncryptionKeyDerivation, linkDidJwk
     });
+    // a `did:peer:0` DID Document, or that of a `did:key` DID with an
+    // explicit version (e.g., `did:key:1:z6Mk...`), is the `did:key` DID
+    // Document with the requested DID in place of the `did:key` DID
+    const [requestedDid] = did.split('#');
+    if(requestedDid !== didDocument.id) {
+      didDocument = _replaceDid({
+        document: didDocument, did: didDocument.id, newDid: requestedDid
+      });
+    }
 
-    if(keyIdFragment) {
+    if(keyIdFragment !== undefined) {
       // resolve an individual key
-      return getKey({didDocument, keyIdFragment});
+      return getKey({didDocument, keyIdFragment, keyTypes: this._keyTypes});
     }
     // Resolve the full DID Document
     return didDocument;
   }
 
+  /**
+   * Gets many DID Documents and/or key nodes at once (see `get()`). Each
+   * distinct DID is resolved only once and key nodes are taken from its DID
+   * Document; at most `concurrency` DIDs are resolved at a time. A failure
+   * to get one item does not fail the others.
+   *
+   * @example
+   * const results = await resolver.getMany({urls: [keyId1, keyId2, did]});
+   * for(const {did, result, error} of results) { ... }
+   *
+   * @param {object} options - Options hashmap.
+   * @param {Array<string>} [options.dids] - The DIDs and/or DID URLs (key
+   *   ids) to get.
+   * @param {Array<string>} [options.urls] - Alias for the `dids` param.
+   * @param {number} [options.concurrency=10] - The maximum number of DIDs to
+   *   resolve at the same time.
+   * @param {AbortSignal} [options.signal] - An optional signal that aborts
+   *   the batch; the returned promise then rejects with the signal's reason.
+   * @param {string} [options.publicKeyFormat] - The verification method
+   *   type to express public keys with (see `fromKeyPair()`).
+   * @param {boolean} [options.includeJwkThumbprint=false] - Set to `true` to
+   *   set the `kid` of each `publicKeyJwk` to its JWK thumbprint (see
+   *   `fromKeyPair()`).
+   * @param {boolean} [options.enableEncryptionKeyDerivation] - Whether to
+   *   derive a `keyAgreement` key (see `fromKeyPair()`).
+   * @param {boolean} [options.linkDidJwk=false] - Whether to include the
+   *   equivalent `did:jwk` DID in `alsoKnownAs` (see `fromKeyPair()`).
+   *
+   * @returns {Promise<Array<{did: string, result: object, error: Error}>>}
+   *   Resolves with one entry per given DID or DID URL, in the same order,
+   *   with either the `result` that `get()` would return or the `error` it
+   *   would throw.
+   */
+  async getMany({
+    dids, urls, concurrency = DEFAULT_CONCURRENCY, signal, publicKeyFormat,
+    includeJwkThumbprint, enableEncryptionKeyDerivation, linkDidJwk
+  } = {}) {
+    dids = dids || urls;
+    if(!Array.isArray(dids)) {
+      throw new TypeError('"dids" must be an array.');
+    }
+    if(!(Number.isInteger(concurrency) && concurrency > 0)) {
+      throw new TypeError('"concurrency" must be a positive integer.');
+    }
+    _throwIfAborted({signal});
+
+    // group the requested items by DID so each DID is resolved once
+    const items = dids.map(did => {
+      try {
+        const {fragment} = parseDid({did});
+        if(fragment === '') {
+          throw createError({
+            message: `DID URL "${did}" has an empty fragment.`,
+            code: 'invalidDidUrl'
+          });
+        }
+        // the DID as given (e.g., with its version), as `get()` resolves it
+        const [didAuthority] = did.split('#');
+        return {did, didAuthority, fragment};
+      } catch(error) {
+        return {did, error};
+      }
+    });
+    const didAuthorities = [...new Set(items
+      .filter(({error}) => !error)
+      .map(({didAuthority}) => didAuthority))];
+    const didDocuments = new Map();
+    await _runConcurrently({
+      tasks: didAuthorities.map(did => async () => {
+        try {
+          didDocuments.set(did, {result: await this.get({
+            did, publicKeyFormat, includeJwkThumbprint,
+            enableEncryptionKeyDerivation, linkDidJwk
+          })});
+        } catch(error) {
+          didDocuments.set(did, {error});
+        }
+      }),
+      concurrency, signal
+    });
+
+    return items.map(({did, didAuthority, fragment, error}) => {
+      if(error) {
+        return {did, error};
+      }
+      const {result: didDocument, error: didError} =
+        didDocuments.get(didAuthority);
+      if(didError) {
+        return {did, error: didError};
+      }
+      try {
+        // every item gets its own copy of the shared DID Document
+        const result = fragment === undefined ? didDocument : getKey({
+          didDocument, keyIdFragment: fragment, keyTypes: this._keyTypes
+        });
+        return {did, result: JSON.parse(JSON.stringify(result))};
+      } catch(error) {
+        return {did, error};
+      }
+    });
+  }
+
+  /**
+   * Creates a JSON-LD document loader (e.g., for use with
+   * `jsonld-signatures` or `vc`) that gets `did:key` DIDs and DID URLs using
+   * this driver (and its registrations) and that serves local copies of every
+   * context the driver may include in a DID Document or key node, so that no
+   * network access is needed. Other URLs are passed to the given
+   * `documentLoader`, if any.
+   *
+   * @example
+   * const documentLoader = didKeyDriver.createDocumentLoader({
+   *   documentLoader: securityLoader().build()
+   * });
+   *
+   * @param {object} [options] - Options hashmap.
+   * @param {Function} [options.documentLoader] - A document loader to load
+   *   any other URLs with.
+   * @param {Map<string, object>} [options.contexts] - Additional contexts to
+   *   serve, by URL (e.g., the contexts of types registered via
+   *   `useKeyType()`); these take precedence over the bundled contexts.
+   *
+   * @returns {Function} Returns an async `documentLoader(url)` function that
+   *   resolves to `{contextUrl, documentUrl, document}`.
+   */
+  createDocumentLoader({documentLoader, contexts = new Map()} = {}) {
+    if(documentLoader !== undefined && typeof documentLoader !== 'function') {
+      throw new TypeError('"documentLoader" must be a function.');
+    }
+    if(!(contexts instanceof Map)) {
+      throw new TypeError('"contexts" must be a Map.');
+    }
+    return async url => {
+      if(typeof url === 'string' &&
+        (url.startsWith('did:key:') || url.startsWith('did:peer:0'))) {
+        return {
+          contextUrl: null,
+          documentUrl: url,
+          document: await this.get({url})
+        };
+      }
+      const context = contexts.get(url) || bundledContexts.get(url);
+      if(context) {
+        return {contextUrl: null, documentUrl: url, document: context};
+      }
+      if(documentLoader) {
+        return documentLoader(url);
+      }
+      throw createError({
+        message: `Document "${url}" not found.`,
+        code: 'notFound'
+      });
+    };
+  }
+
+  /**
+   * Resolves a `did:key` DID to a DID Resolution Result, as described in the
+   * DID Resolution and `did:key` specifications. Unlike `get()`, this method
+   * does not throw for invalid input; any failure is reported via the
+   * `error` property of the returned `didResolutionMetadata`.
+   *
+   * @example
+   * const {didResolutionMetadata, didDocument} = await resolver.resolve({did});
+   *
+   * @param {object} options - Options hashmap.
+   * @param {string} options.did - The `did:key` (or `did:peer` numalgo 0)
+   *   DID to resolve.
+   * @param {string} [options.accept='application/did+ld+json'] - The
+   *   requested representation, either `application/did+ld+json` or
+   *   `application/did+json` (which omits the `@context`).
+   * @param {string} [options.publicKeyFormat] - The verification method
+   *   type to express public keys with (see `fromKeyPair()`).
+   * @param {boolean} [options.includeJwkThumbprint=false] - Set to `true` to
+   *   set the `kid` of each `publicKeyJwk` to its JWK thumbprint (see
+   *   `fromKeyPair()`).
+   * @param {boolean} [options.enableEncryptionKeyDerivation] - Whether to
+   *   derive a `keyAgreement` key (see `fromKeyPair()`).
+   * @param {boolean} [options.linkDidJwk=false] - Whether to include the
+   *   equivalent `did:jwk` DID in `alsoKnownAs` (see `fromKeyPair()`).
+   *
+   * @returns {Promise<{didResolutionMetadata: object, didDocument: object,
+   *   didDocumentMetadata: object}>} Resolves with the DID Resolution Result.
+   */
+  async resolve({
+    did, accept = DID_LD_JSON_CONTENT_TYPE, publicKeyFormat,
+    includeJwkThumbprint, enableEncryptionKeyDerivation, linkDidJwk
+  } = {}) {
+    try {
+      _assertRepresentation({accept});
+      const {fragment} = parseDid({did});
+      if(fragment !== undefined) {
+        throw createError({
+          message: `"${did}" is a DID URL, not a DID.`,
+          code: 'invalidDid'
+        });
+      }
+      const didDocument = await this.get({
+        did, publicKeyFormat, includeJwkThumbprint,
+        enableEncryptionKeyDerivation, linkDidJwk
+      });
+      if(accept === DID_JSON_CONTENT_TYPE) {
+        // plain JSON representation does not include JSON-LD context
+        delete didDocument['@context'];
+      }
+      return {
+        didResolutionMetadata: {contentType: accept},
+        didDocument,
+        didDocumentMetadata: {}
+      };
+    } catch(e) {
+      return {
+        didResolutionMetadata: {
+          error: e.code || 'internalError',
+          errorMessage: e.message
+        },
+        didDocument: null,
+        didDocumentMetadata: {}
+      };
+    }
+  }
+
+  /**
+   * Dereferences a `did:key` DID URL to a DID URL Dereferencing Result, as
+   * described in the DID Resolution specification: a DID dereferences to its
+   * DID Document and a DID URL with a fragment dereferences to the
+   * verification method whose `id` exactly matches it. `did:key` DID
+   * Documents have no services or versions, so a DID URL with a path or a
+   * query is not found. Like `resolve()`, this method does not throw; any
+   * failure is reported via the `error` property of the returned
+   * `dereferencingMetadata` (e.g., `invalidDidUrl` or `notFound`).
+   *
+   * @example
+   * const {dereferencingMetadata, contentStream: verificationMethod} =
+   *   await resolver.dereference({didUrl: keyId});
+   *
+   * @param {object} options - Options hashmap.
+   * @param {string} options.didUrl - The `did:key` DID URL to dereference.
+   * @param {string} [options.accept='application/did+ld+json'] - The
+   *   requested representation (see `resolve()`).
+   * @param {string} [options.publicKeyFormat] - The verification method
+   *   type to express public keys with (see `fromKeyPair()`).
+   * @param {boolean} [options.includeJwkThumbprint=false] - Set to `true` to
+   *   set the `kid` of each `publicKeyJwk` to its JWK thumbprint (see
+   *   `fromKeyPair()`).
+   * @param {boolean} [options.enableEncryptionKeyDerivation] - Whether to
+   *   derive a `keyAgreement` key (see `fromKeyPair()`).
+   * @param {boolean} [options.linkDidJwk=false] - Whether to include the
+   *   equivalent `did:jwk` DID in `alsoKnownAs` (see `fromKeyPair()`).
+   *
+   * @returns {Promise<{dereferencingMetadata: object, contentStream: object,
+   *   contentMetadata: object}>} Resolves with the DID URL Dereferencing
+   *   Result; `contentStream` is the DID Document or verification method.
+   */
+  async dereference({
+    didUrl, accept = DID_LD_JSON_CONTENT_TYPE, publicKeyFormat,
+    includeJwkThumbprint, enableEncryptionKeyDerivation, linkDidJwk
+  } = {}) {
+    try {
+      _assertRepresentation({accept});
+      let parsed;
+      try {
+        parsed = parseDidUrl({didUrl});
+      } catch(e) {
+        // a malformed DID makes for a malformed DID URL
+        if(e.code === 'invalidDid') {
+          e.code = 'invalidDidUrl';
+        }
+        throw e;
+      }
+      const {path, query, fragment} = parsed;
+      // keep the DID as given, e.g., with an explicit `did:key` version
+      const [did] = didUrl.split(/[/?#]/);
+      if(path !== undefined || query !== undefined) {
+        throw createError({
+          message: `"${didUrl}" not found; "did:key" DIDs do not identify ` +
+            'resources by path or query.',
+          code: 'notFound'
+        });
+      }
+      const content = await this.get({
+        did: fragment === undefined ? did : `${did}#${fragment}`,
+        publicKeyFormat, includeJwkThumbprint, enableEncryptionKeyDerivation,
+        linkDidJwk
+      });
+      if(accept === DID_JSON_CONTENT_TYPE) {
+        delete content['@context'];
+      }
+      return {
+        dereferencingMetadata: {contentType: accept},
+        contentStream: content,
+        contentMetadata: {}
+      };
+    } catch(e) {
+      return {
+        dereferencingMetadata: {
+          error: e.code || 'internalError',
+          errorMessage: e.message
+        },
+        contentStream: null,
+        contentMetadata: {}
+      };
+    }
+  }
+
+  /**
+   * Converts a `did:key` DID to the equivalent `did:peer` DID. A numalgo 0
+   * DID is the `did:key` DID with a different prefix; a numalgo 2 DID lists
+   * the key agreement key (e.g., the X25519 key derived from an Ed25519 key)
+   * as an `E` element and the verification key as a `V` element, using the
+   * registered deserializers (see `use()`).
+   *
+   * @example
+   * const didPeer = await didKeyDriver.didKeyToDidPeer({did, numalgo: 2});
+   * // -> 'did:peer:2.Ez6LS...Vz6Mk...'
+   *
+   * @param {object} options - Options hashmap.
+   * @param {string} options.did - The `did:key` DID.
+   * @param {number} [options.numalgo=0] - The `did:peer` numalgo, `0` or
+   *   `2`.
+   * @param {boolean} [options.enableEncryptionKeyDerivation] - Whether to
+   *   derive a key agreement key for a numalgo 2 DID (see `fromKeyPair()`).
+   *
+   * @returns {Promise<string>} Resolves with the `did:peer` DID.
+   */
+  async didKeyToDidPeer({
+    did, numalgo = 0, enableEncryptionKeyDerivation
+  } = {}) {
+    const {did: didKey, multibase} = parseDidKey({did});
+    if(numalgo === 0) {
+      return `${DID_PEER_PREFIX}0${multibase}`;
+    }
+    if(numalgo !== 2) {
+      throw new TypeError('"numalgo" must be 0 or 2.');
+    }
+    const didDocument = await this.get({
+      did: didKey, publicKeyFormat: MULTIKEY_TYPE,
+      enableEncryptionKeyDerivation
+    });
+    const {keyAgreement = [], verificationMethod = []} = didDocument;
+    const elements = [
+      ...keyAgreement.map(({publicKeyMultibase}) => `E${publicKeyMultibase}`),
+      ...verificationMethod.map(
+        ({publicKeyMultibase}) => `V${publicKeyMultibase}`)
+    ];
+    return [DID_PEER_NUMALGO_2_PREFIX, ...elements].join('.');
+  }
+
+  /**
+   * Converts a `did:peer` DID with numalgo 0 or 2 to the equivalent `did:key`
+   * DID. A numalgo 2 DID can only be converted if it has no services and all
+   * of its keys are those of a single `did:key` DID Document: one
+   * verification key, plus any key agreement keys derived from it (or a
+   * single key agreement key by itself).
+   *
+   * @param {object} options - Options hashmap.
+   * @param {string} options.did - The `did:peer` DID.
+   *
+   * @returns {Promise<string>} Resolves with the `did:key` DID.
+   */
+  async didPeerToDidKey({did} = {}) {
+    if(!(typeof did === 'string' && did.startsWith(DID_PEER_PREFIX))) {
+      throw createError({
+        message: `"${did}" is not a did:peer DID.`,
+        code: 'invalidDid'
+      });
+    }
+    if(!did.startsWith(DID_PEER_NUMALGO_2_PREFIX)) {
+      const {multibase} = parseDidPeer0({did});
+      return `did:key:${multibase}`;
+    }
+    const {elements} = parseDidPeer2({did});
+    const keyAgreementKeys = new Set();
+    const verificationKeys = new Set();
+    for(const {purpose, value} of elements) {
+      if(purpose === 'service') {
+        throw _createUnconvertibleError({did, reason: 'it has services'});
+      }
+      (purpose === 'keyAgreement' ? keyAgreementKeys : verificationKeys)
+        .add(value);
+    }
+    if(verificationKeys.size === 0 && keyAgreementKeys.size === 1) {
+      return `did:key:${[...keyAgreementKeys][0]}`;
+    }
+    if(verificationKeys.size !== 1) {
+      throw _createUnconvertibleError({
+        did, reason: 'it does not have exactly one verification key'
+      });
+    }
+    const didKey = `did:key:${[...verificationKeys][0]}`;
+    if(keyAgreementKeys.size > 0) {
+      // the key agreement keys must be the ones derived for the `did:key` DID
+      const {keyAgreement = []} = await this.get({
+        did: didKey, publicKeyFormat: MULTIKEY_TYPE,
+        enableEncryptionKeyDerivation: true
+      });
+      const derived = new Set(keyAgreement.map(
+        ({publicKeyMultibase}) => publicKeyMultibase));
+      if(!(derived.size === keyAgreementKeys.size &&
+        [...keyAgreementKeys].every(key => derived.has(key)))) {
+        throw _createUnconvertibleError({
+          did, reason: 'its key agreement keys are not derived from its ' +
+            'verification key'
+        });
+      }
+    }
+    return didKey;
+  }
+
   /**
    * Converts a public key object to a `did:key` method DID Document.
    * Note that unlike `generate()`, a `keyPairs` map is not returned. Use
    * `publicMethodFor()` to fetch keys for particular proof purposes.
    *
    * @param {object} options - Options hashmap.
-   * @param {object} options.publicKeyDescription - Public key object
+   * @param {object} [options.publicKeyDescription] - Public key object
    *   used to generate the DID document (either an LDKeyPair instance
    *   containing public key material, or a "key description" plain object
    *   (such as that generated from a KMS)).
+   * @param {object} [options.jwk] - A public JWK to use instead of
+   *   `publicKeyDescription` (see `fromKeyPair()`).
+   * @param {string} [options.didJwk] - A `did:jwk` DID to use instead of
+   *   `publicKeyDescription` (see `fromKeyPair()`).
+   * @param {string} [options.publicKeyFormat] - The verification method
+   *   type to express public keys with (see `fromKeyPair()`).
+   * @param {boolean} [options.includeJwkThumbprint=false] - Set to `true` to
+   *   set the `kid` of each `publicKeyJwk` to its JWK thumbprint (see
+   *   `fromKeyPair()`).
+   * @param {boolean} [options.enableEncryptionKeyDerivation] - Whether to
+   *   derive a `keyAgreement` key (see `fromKeyPair()`).
+   * @param {boolean} [options.linkDidJwk=false] - Whether to include the
+   *   equivalent `did:jwk` DID in `alsoKnownAs` (see `fromKeyPair()`).
    *
    * @returns {Promise<object>} Resolves with the generated DID Document.
    */
-  async publicKeyToDidDoc({publicKeyDescription} = {}) {
+  async publicKeyToDidDoc({
+    publicKeyDescription, publicKeyFormat, includeJwkThumbprint,
+    enableEncryptionKeyDerivation, jwk, didJwk, linkDidJwk
+  } = {}) {
+    if(jwk || didJwk) {
+      const {didDocument} = await this._fromJwk({
+        jwk, didJwk, publicKeyFormat, includeJwkThumbprint,
+        enableEncryptionKeyDerivation, linkDidJwk
+      });
+      return {didDocument};
+    }
     const {
       keyPair, keyAgreementKeyPair
-    } = await getKeyPair({publicKeyDescription});
+    } = await getKeyPair({publicKeyDescription, keyTypes: this._keyTypes});
     const {didDocument} = await this._keyPairToDidDocument({
-      keyPair, keyAgreementKeyPair
+      keyPair, keyAgreementKeyPair, publicKeyFormat, includeJwkThumbprint,
+      enableEncryptionKeyDerivation, linkDidJwk
     });
     return {didDocument};
   }
 
+  /**
+   * Generates a `did:key` DID and DID Document from raw public key bytes
+   * (e.g., as exported by an HSM), using the deserializer registered (via
+   * `use()`) for the key's multicodec.
+   *
+   * @example
+   * const {did, didDocument, keyPairs} = await didKeyDriver.fromPublicKeyBytes(
+   *   {bytes, codec: 'p256-pub'});
+   *
+   * @param {object} options - Options hashmap.
+   * @param {Uint8Array} options.bytes - The raw public key bytes (compressed
+   *   for elliptic curve keys such as P-256).
+   * @param {string|number} options.codec - The multicodec name (e.g.,
+   *   `ed25519-pub` or `p256-pub`) or code of the public key.
+   * @param {string} [options.publicKeyFormat] - The verification method
+   *   type to express public keys with (see `fromKeyPair()`).
+   * @param {boolean} [options.includeJwkThumbprint=false] - Set to `true` to
+   *   set the `kid` of each `publicKeyJwk` to its JWK thumbprint (see
+   *   `fromKeyPair()`).
+   * @param {boolean} [options.enableEncryptionKeyDerivation] - Whether to
+   *   derive a `keyAgreement` key (see `fromKeyPair()`).
+   * @param {boolean} [options.linkDidJwk=false] - Whether to include the
+   *   equivalent `did:jwk` DID in `alsoKnownAs` (see `fromKeyPair()`).
+   *
+   * @returns {Promise<{did: string, didDocument: object, keyPairs: Map,
+   *   methodFor: Function}>} Resolves with the DID and the generated DID
+   *   Document, along with the corresponding public key pairs (see
+   *   `fromKeyPair()`).
+   */
+  async fromPublicKeyBytes({
+    bytes, codec, publicKeyFormat, includeJwkThumbprint,
+    enableEncryptionKeyDerivation, linkDidJwk
+  } = {}) {
+    if(!(bytes instanceof Uint8Array)) {
+      throw new TypeError('"bytes" must be a Uint8Array.');
+    }
+    const code = typeof codec === 'string' ?
+      codecsByName.get(codec)?.code : codec;
+    if(!Number.isInteger(code)) {
+      throw createError({
+        message: `Unsupported "codec", "${codec}".`,
+        code: 'unsupportedPublicKeyType'
+      });
+    }
+    // parsing the encoded key validates its length (and point encoding)
+    const publicKeyMultibase = encodeMultibase({
+      codec: code, publicKeyBytes: bytes
+    });
+    const {fromMultibase} = this._getRegistration(
+      parseMultibase({multibase: publicKeyMultibase}));
+    const {keyPair, keyAgreementKeyPair} = await getKeyPair({
+      fromMultibase, publicKeyMultibase, keyTypes: this._keyTypes
+    });
+    const {didDocument, keyPairs, methodFor} = await this.fromKeyPair({
+      verificationKeyPair: keyPair, keyAgreementKeyPair, publicKeyFormat,
+      includeJwkThumbprint, enableEncryptionKeyDerivation, linkDidJwk
+    });
+    return {did: didDocument.id, didDocument, keyPairs, methodFor};
+  }
+
+  // generates a DID Document from a public JWK or a `did:jwk` DID
+  async _fromJwk({jwk, didJwk, ...options}) {
+    if(!jwk) {
+      jwk = didJwkToJwk({did: didJwk});
+    }
+    const {codecName, publicKeyBytes} = jwkToPublicKey({jwk});
+    return this.fromPublicKeyBytes({
+      bytes: publicKeyBytes, codec: codecName, ...options
+    });
+  }
+
   /**
    * Converts an Ed25519KeyPair object to a `did:key` method DID Document.
    *
@@ -193,27 +1491,58 @@ export class DidKeyDriver {
    *   or a "key description" plain object (such as that generated from a KMS)).
    * @param {object} [options.keyAgreementKeyPair] -  Optional
    *   keyAgreement key pair for generating did for keyAgreement.
+   * @param {string} [options.publicKeyFormat] - Optional verification method
+   *   type to express public keys with.
+   * @param {boolean} [options.includeJwkThumbprint] - Optional flag to set
+   *   the `kid` of each `publicKeyJwk` to its JWK thumbprint.
+   * @param {boolean} [options.enableEncryptionKeyDerivation] - Optional flag
+   *   to override the driver's setting for deriving a `keyAgreement` key.
+   * @param {boolean} [options.linkDidJwk] - Optional flag to include the
+   *   equivalent `did:jwk` DID in `alsoKnownAs`.
+   * @param {boolean} [options.includeSecretKeys=false] - Optional flag to use
+   *   `keyPair` itself (rather than a public key pair deserialized from it)
+   *   and to derive the key agreement key pair from its secret key, if any.
    * @returns {Promise<{didDocument: object, keyPairs: Map}>}
    *   Resolves with the generated DID Document, along with the corresponding
    *   key pairs used to generate it (for storage in a KMS).
    */
-  async _keyPairToDidDocument({keyPair, keyAgreementKeyPair} = {}) {
+  async _keyPairToDidDocument({
+    keyPair, keyAgreementKeyPair, publicKeyFormat, includeJwkThumbprint,
+    enableEncryptionKeyDerivation = this._enableEncryptionKeyDerivation,
+    linkDidJwk = false, includeSecretKeys = false
+  } = {}) {
+    if(publicKeyFormat !== undefined) {
+      assertPublicKeyFormat({publicKeyFormat});
+    }
     const keyPairs = new Map();
     let didDocument;
     let publicDhKey;
     const contexts = [DID_CONTEXT_URL];
     if(!keyPair && keyAgreementKeyPair) {
-      addKeyAgreementKeyContext({contexts, keyAgreementKeyPair});
       const did = getDid({keyPair: keyAgreementKeyPair});
       keyAgreementKeyPair.controller = did;
       setKeyPairId({keyPair: keyAgreementKeyPair, did});
       publicDhKey = await keyAgreementKeyPair.export({publicKey: true});
+      // some key pair interfaces include a context by default
+      delete publicDhKey['@context'];
+      addKeyAgreementKeyContext({
+        contexts, keyAgreementKey: publicDhKey, keyTypes: this._keyTypes
+      });
       keyPairs.set(keyAgreementKeyPair.id, keyAgreementKeyPair);
       didDocument = {
         '@context': contexts,
         id: did,
         keyAgreement: [publicDhKey]
       };
+      if(linkDidJwk) {
+        didDocument.alsoKnownAs = [didKeyToDidJwk({did})];
+      }
+      if(publicKeyFormat) {
+        didDocument = formatDidDocument({
+          didDocument, publicKeyFormat, includeJwkThumbprint,
+          keyTypes: this._keyTypes
+        });
+      }
       return {didDocument, keyPairs};
     }
     let {publicKeyMultibase} = keyPair;
@@ -221,16 +1550,12 @@ export class DidKeyDriver {
       // handle backwards compatibility w/older key pair interfaces
       publicKeyMultibase = await keyPair.fingerprint();
     }
-    // get the multibaseMultikeyHeader from the public key value
-    const multibaseMultikeyHeader = getMultibaseMultikeyHeader({
-      value: publicKeyMultibase
-    });
-    const fromMultibase = this._allowedKeyTypes.get(multibaseMultikeyHeader);
-    if(!fromMultibase) {
-      throw new Error(
-        `Unsupported "multibaseMultikeyHeader", "${multibaseMultikeyHeader}".`);
-    }
-    const verificationKeyPair = await fromMultibase({publicKeyMultibase});
+    const {
+      fromMultibase, deriveKeyAgreementKeyPair,
+      verificationRelationships = this._verificationRelationships
+    } = this._getRegistration(parseMultibase({multibase: publicKeyMultibase}));
+    const verificationKeyPair = includeSecretKeys ?
+      keyPair : await fromMultibase({publicKeyMultibase});
 
     const did = getDid({keyPair: verificationKeyPair});
     verificationKeyPair.controller = did;
@@ -241,19 +1566,45 @@ export class DidKeyDriver {
       publicKey: true,
       includeContext: true
     });
-    contexts.push(verificationPublicKey['@context']);
+    // prefer the contexts registered for the key type over the one the key
+    // pair interface exports
+    addContexts({
+      contexts,
+      added: this._keyTypes.get(verificationPublicKey.type)?.contexts ||
+        verificationPublicKey['@context']
+    });
     // delete context from verificationPublicKey
     delete verificationPublicKey['@context'];
     // get the keyAgreement keypair
-    if(!keyAgreementKeyPair) {
-      ({keyAgreementKeyPair} = await getKeyAgreementKeyPair({
-        contexts, verificationPublicKey
-      }));
+    if(!keyAgreementKeyPair && enableEncryptionKeyDerivation) {
+      if(deriveKeyAgreementKeyPair) {
+        // use the registered derivation for this key type
+        keyAgreementKeyPair = await deriveKeyAgreementKeyPair({
+          verificationKeyPair
+        });
+        if(keyAgreementKeyPair) {
+          // a derived key is controlled by the verification key's DID
+          if(!keyAgreementKeyPair.controller) {
+            keyAgreementKeyPair.controller = did;
+          }
+          if(!keyAgreementKeyPair.id) {
+            setKeyPairId({keyPair: keyAgreementKeyPair, did});
+          }
+        }
+      } else if(deriveKeyAgreementKeyPair === undefined) {
+        ({keyAgreementKeyPair} = await getKeyAgreementKeyPair({
+          contexts, verificationPublicKey,
+          // Ed25519 `Multikey` secret keys are encoded like the private keys
+          // of `Ed25519VerificationKey2020`
+          privateKeyMultibase: includeSecretKeys ?
+            verificationKeyPair.privateKeyMultibase ??
+            verificationKeyPair.secretKeyMultibase : undefined
+        }));
+      }
     }
 
     // get the public components of keyAgreement keypair
     if(keyAgreementKeyPair) {
-      addKeyAgreementKeyContext({contexts, keyAgreementKeyPair});
       const did = getDid({keyPair: keyAgreementKeyPair});
       if(!keyAgreementKeyPair.controller) {
         keyAgreementKeyPair.controller = did;
@@ -262,6 +1613,11 @@ export class DidKeyDriver {
         setKeyPairId({keyPair: keyAgreementKeyPair, did});
       }
       publicDhKey = await keyAgreementKeyPair.export({publicKey: true});
+      // some key pair interfaces include a context by default
+      delete publicDhKey['@context'];
+      addKeyAgreementKeyContext({
+        contexts, keyAgreementKey: publicDhKey, keyTypes: this._keyTypes
+      });
     }
 
     // Compose the DID Document
@@ -270,24 +1626,71 @@ export class DidKeyDriver {
       // and only uses the general DID Core context, and key-specific contexts.
       '@context': contexts,
       id: did,
-      verificationMethod: [verificationPublicKey],
-      authentication: [verificationPublicKey.id],
-      assertionMethod: [verificationPublicKey.id],
-      capabilityDelegation: [verificationPublicKey.id],
-      capabilityInvocation: [verificationPublicKey.id],
+      verificationMethod: [verificationPublicKey]
     };
+    // only the verification relationships permitted for the key type
+    for(const relationship of VERIFICATION_RELATIONSHIPS) {
+      if(verificationRelationships.includes(relationship)) {
+        didDocument[relationship] = [verificationPublicKey.id];
+      }
+    }
     if(publicDhKey) {
       didDocument.keyAgreement = [publicDhKey];
     }
+    if(linkDidJwk) {
+      didDocument.alsoKnownAs = [didKeyToDidJwk({did})];
+    }
     // create the key pairs map
     keyPairs.set(verificationKeyPair.id, verificationKeyPair);
     if(keyAgreementKeyPair) {
       keyPairs.set(keyAgreementKeyPair.id, keyAgreementKeyPair);
     }
+    if(publicKeyFormat) {
+      didDocument = formatDidDocument({
+        didDocument, publicKeyFormat, includeJwkThumbprint,
+        keyTypes: this._keyTypes
+      });
+    }
 
     return {didDocument, keyPairs};
   }
 
+  /**
+   * Gets the registration (see `use()`) that handles a parsed public key,
+   * first by its multibase-multikey header and then by its multicodec. A
+   * header registration only matches a key of the multicodec the header
+   * identifies (or, for a header that identifies none, a key of a known
+   * multicodec), so that a value that merely starts with the header is not
+   * passed to its deserializer.
+   *
+   * @param {object} options - Options hashmap.
+   * @param {string} options.multibaseMultikeyHeader - The multibase-multikey
+   *   header of the public key.
+   * @param {number} options.codec - The multicodec code of the public key.
+   *
+   * @returns {{fromMultibase: Function,
+   *   deriveKeyAgreementKeyPair: Function|boolean,
+   *   verificationRelationships: Array<string>}} Returns the registration.
+   */
+  _getRegistration({multibaseMultikeyHeader, codec} = {}) {
+    let registration = this._allowedKeyTypes.get(multibaseMultikeyHeader);
+    if(registration && !(registration.codec === undefined ?
+      codecsByCode.has(codec) : registration.codec === codec)) {
+      registration = undefined;
+    }
+    registration ??= this._allowedCodecs.get(codec);
+    if(!registration) {
+      const codecName = codecsByCode.get(codec)?.name ??
+        `0x${codec?.toString(16)}`;
+      throw createError({
+        message: 'Unsupported "multibaseMultikeyHeader", ' +
+          `"${multibaseMultikeyHeader}" (multicodec "${codecName}").`,
+        code: 'unsupportedPublicKeyType'
+      });
+    }
+    return registration;
+  }
+
   /**
    * Computes and returns the id of a given key pair. Used by `did-io` drivers.
    *
@@ -301,3 +1704,106 @@ export class DidKeyDriver {
     return `did:key:${keyPair.fingerprint()}#${keyPair.fingerprint()}`;
   }
 }
+
+function _createCache({max = DEFAULT_CACHE_MAX, maxAge} = {}) {
+  if(!(Number.isInteger(max) && max > 0)) {
+    throw new TypeError('"cache.max" must be a positive integer.');
+  }
+  if(maxAge !== undefined && !(typeof maxAge === 'number' && maxAge > 0)) {
+    throw new TypeError('"cache.maxAge" must be a positive number.');
+  }
+  return new LruCache({max, maxAge});
+}
+
+// runs async tasks with at most `concurrency` tasks in flight; rejects as
+// soon as `signal` is aborted, without starting any further tasks
+async function _runConcurrently({tasks, concurrency, signal}) {
+  let next = 0;
+  const worker = async () => {
+    while(next < tasks.length) {
+      _throwIfAborted({signal});
+      await tasks[next++]();
+    }
+  };
+  const workers = Array.from(
+    {length: Math.min(concurrency, tasks.length)}, worker);
+  if(!signal) {
+    await Promise.all(workers);
+    return;
+  }
+  let onAbort;
+  const aborted = new Promise((resolve, reject) => {
+    onAbort = () => reject(_getAbortReason({signal}));
+    signal.addEventListener('abort', onAbort, {once: true});
+  });
+  try {
+    await Promise.race([Promise.all(workers), aborted]);
+  } finally {
+    signal.removeEventListener('abort', onAbort);
+  }
+}
+
+// replaces a DID (in ids, controllers and verification relationships) in a
+// DID Document, returning a copy
+function _replaceDid({document, did, newDid}) {
+  return JSON.parse(JSON.stringify(document).split(did).join(newDid));
+}
+
+function _createUnconvertibleError({did, reason}) {
+  return createError({
+    message: `"${did}" cannot be converted to a did:key DID; ${reason}.`,
+    code: 'invalidDid'
+  });
+}
+
+function _assertPurpose({purpose}) {
+  if(!VERIFICATION_RELATIONSHIPS.includes(purpose)) {
+    throw new TypeError(
+      '"purpose" must be one of ' +
+      VERIFICATION_RELATIONSHIPS.map(r => `"${r}"`).join(', ') + '.');
+  }
+}
+
+// runs a key pair's verifier; malformed signatures are not valid
+async function _runVerifier({keyPair, data, signature}) {
+  try {
+    return await keyPair.verifier().verify({data, signature}) === true;
+  } catch(e) {
+    return false;
+  }
+}
+
+function _assertVerificationRelationships({verificationRelationships}) {
+  if(!(Array.isArray(verificationRelationships) &&
+    verificationRelationships.every(
+      relationship => VERIFICATION_RELATIONSHIPS.includes(relationship)))) {
+    throw new TypeError(
+      '"verificationRelationships" must be an array containing any of ' +
+      VERIFICATION_RELATIONSHIPS.map(r => `"${r}"`).join(', ') + '.');
+  }
+}
+
+function _assertRepresentation({accept}) {
+  if(!(accept === DID_LD_JSON_CONTENT_TYPE ||
+    accept === DID_JSON_CONTENT_TYPE)) {
+    throw createError({
+      message: `Unsupported representation "${accept}".`,
+      code: 'representationNotSupported'
+    });
+  }
+}
+
+function _throwIfAborted({signal}) {
+  if(signal?.aborted) {
+    throw _getAbortReason({signal});
+  }
+}
+
+function _getAbortReason({signal}) {
+  if(signal.reason !== undefined) {
+    return signal.reason;
+  }
+  const error = new Error('The operation was aborted.');
+  error.name = 'AbortError';
+  return error;
+}
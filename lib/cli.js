@@ -0,0 +1,216 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import {
+  ED25519_KEY_2020_TYPE, JSON_WEB_KEY_2020_TYPE, MULTIKEY_TYPE
+} from './constants.js';
+import {createDefaultDriver} from './defaultDriver.js';
+import {createError} from './helpers.js';
+import {parse} from './util.js';
+import {parseArgs} from 'node:util';
+import {writeFile} from 'node:fs/promises';
+
+// the environment variable that holds the passphrase for `--keystore`
+const PASSPHRASE_ENV = 'DID_KEY_PASSPHRASE';
+
+// `generate --type` values and the driver key types they select
+const KEY_TYPES = new Map([
+  ['ed25519', 'Ed25519'],
+  ['p256', 'P-256'],
+  ['p384', 'P-384'],
+  ['bls12381g2', 'Bls12381G2']
+]);
+
+// `convert --format` values and the public key formats they select
+const PUBLIC_KEY_FORMATS = new Map([
+  ['multikey', MULTIKEY_TYPE],
+  ['jwk', JSON_WEB_KEY_2020_TYPE],
+  ['2020', ED25519_KEY_2020_TYPE]
+]);
+
+const COMMANDS = new Map([
+  ['generate', {
+    usage: `generate --type ${[...KEY_TYPES.keys()].join('|')} ` +
+      '[--keystore <file>]',
+    options: {type: {type: 'string'}, keystore: {type: 'string'}},
+    positionals: 0,
+    run: _generate
+  }],
+  ['resolve', {
+    usage: 'resolve <did>',
+    options: {},
+    positionals: 1,
+    run: _resolve
+  }],
+  ['inspect', {
+    usage: 'inspect <did>',
+    options: {},
+    positionals: 1,
+    run: _inspect
+  }],
+  ['convert', {
+    usage: 'convert <did> --format ' +
+      [...PUBLIC_KEY_FORMATS.keys()].join('|'),
+    options: {format: {type: 'string'}},
+    positionals: 1,
+    run: _convert
+  }]
+]);
+
+/**
+ * Runs the `did-key` command-line tool, which generates, resolves, inspects
+ * and converts `did:key` DIDs offline and writes its results as JSON.
+ *
+ * @example
+ * process.exitCode = await main({args: process.argv.slice(2)});
+ *
+ * @param {object} [options] - Options hashmap.
+ * @param {Array<string>} [options.args=[]] - The command-line arguments,
+ *   e.g., `['resolve', 'did:key:z6Mk...']`.
+ * @param {{write: Function}} [options.stdout=process.stdout] - The stream to
+ *   write results to.
+ * @param {{write: Function}} [options.stderr=process.stderr] - The stream to
+ *   write errors to, as JSON `{error: {message, code}}`.
+ * @param {object} [options.env=process.env] - The environment variables;
+ *   `DID_KEY_PASSPHRASE` is the passphrase to encrypt a keystore with.
+ *
+ * @returns {Promise<number>} Resolves with the exit code: `0` on success and
+ *   `1` on error.
+ */
+export async function main({
+  args = [], stdout = process.stdout, stderr = process.stderr,
+  env = process.env
+} = {}) {
+  const [name, ...rest] = args;
+  if(name === undefined || name === 'help' || name === '--help' ||
+    name === '-h') {
+    stdout.write(_usage());
+    return 0;
+  }
+  try {
+    const command = COMMANDS.get(name);
+    if(!command) {
+      throw createError({
+        message: `Unknown command "${name}".`,
+        code: 'invalidArguments'
+      });
+    }
+    const {values, positionals} = _parseArgs({command, args: rest});
+    const result = await command.run({
+      didKeyDriver: createDefaultDriver(), values, positionals, env
+    });
+    stdout.write(`${JSON.stringify(result, null, 2)}\n`);
+    return 0;
+  } catch(e) {
+    const error = {message: e.message};
+    if(e.code) {
+      error.code = e.code;
+    }
+    stderr.write(`${JSON.stringify({error}, null, 2)}\n`);
+    return 1;
+  }
+}
+
+// generates a DID and, with `--keystore`, writes its key pairs, encrypted
+// with the passphrase from the environment, to a new file
+async function _generate({didKeyDriver, values, env}) {
+  const keyType = KEY_TYPES.get(values.type);
+  if(!keyType) {
+    throw createError({
+      message: `"--type" must be one of: ${[...KEY_TYPES.keys()].join(', ')}.`,
+      code: 'invalidArguments'
+    });
+  }
+  const passphrase = env[PASSPHRASE_ENV];
+  if(values.keystore !== undefined && !passphrase) {
+    throw createError({
+      message: `"--keystore" requires a passphrase in "${PASSPHRASE_ENV}".`,
+      code: 'invalidArguments'
+    });
+  }
+  const {did, didDocument, keyPairs} = await didKeyDriver.generate({keyType});
+  const result = {did, didDocument};
+  if(values.keystore !== undefined) {
+    const keystore = await didKeyDriver.exportKeyPairs({keyPairs, passphrase});
+    // never overwrite an existing file and keep the keystore private
+    await writeFile(values.keystore, `${JSON.stringify(keystore, null, 2)}\n`,
+      {flag: 'wx', mode: 0o600});
+    result.keystore = values.keystore;
+  }
+  return result;
+}
+
+// resolves a DID to its DID Document or a DID URL to its key node
+async function _resolve({didKeyDriver, positionals: [did]}) {
+  return didKeyDriver.get({did});
+}
+
+// resolves a DID or DID URL with its keys in another public key format
+async function _convert({didKeyDriver, values, positionals: [did]}) {
+  const publicKeyFormat = PUBLIC_KEY_FORMATS.get(values.format);
+  if(!publicKeyFormat) {
+    throw createError({
+      message: '"--format" must be one of: ' +
+        `${[...PUBLIC_KEY_FORMATS.keys()].join(', ')}.`,
+      code: 'invalidArguments'
+    });
+  }
+  return didKeyDriver.get({did, publicKeyFormat});
+}
+
+// describes the public key in a DID without resolving it
+async function _inspect({positionals: [did]}) {
+  const {
+    did: parsedDid, multibase, codec, codecName, publicKeyBytes, keyType,
+    fragment
+  } = parse({did});
+  return {
+    did: parsedDid,
+    fragment,
+    publicKeyMultibase: multibase,
+    codec: `0x${codec.toString(16)}`,
+    codecName,
+    keyType,
+    publicKeyLength: publicKeyBytes.length,
+    publicKeyHex: _toHex({bytes: publicKeyBytes})
+  };
+}
+
+function _parseArgs({command, args}) {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args, options: command.options, allowPositionals: true, strict: true
+    });
+  } catch(cause) {
+    throw createError({
+      message: `${cause.message} Usage: did-key ${command.usage}`,
+      code: 'invalidArguments',
+      cause
+    });
+  }
+  if(parsed.positionals.length !== command.positionals) {
+    throw createError({
+      message: `Usage: did-key ${command.usage}`,
+      code: 'invalidArguments'
+    });
+  }
+  return parsed;
+}
+
+function _usage() {
+  const commands = [...COMMANDS.values()].map(
+    ({usage}) => `  did-key ${usage}`);
+  return [
+    'Usage:',
+    ...commands,
+    '',
+    '"--keystore" encrypts the generated key pairs with the passphrase in',
+    `"${PASSPHRASE_ENV}".`,
+    ''
+  ].join('\n');
+}
+
+function _toHex({bytes}) {
+  return [...bytes].map(byte => byte.toString(16).padStart(2, '0')).join('');
+}
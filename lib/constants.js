@@ -0,0 +1,41 @@
+/*!
+ * Copyright (c) 2023-2026 Digital Bazaar, Inc. All rights reserved.
+ */
+export const DID_CONTEXT_URL = 'https://www.w3.org/ns/did/v1';
+
+// DID Document representations and the DID Resolution Result media type
+export const DID_JSON_CONTENT_TYPE = 'application/did+json';
+export const DID_LD_JSON_CONTENT_TYPE = 'application/did+ld+json';
+export const DID_RESOLUTION_CONTENT_TYPE = 'application/did-resolution+json';
+
+// the verification relationships a verification key may be given, in DID
+// Document order
+export const VERIFICATION_RELATIONSHIPS = [
+  'authentication',
+  'assertionMethod',
+  'capabilityDelegation',
+  'capabilityInvocation'
+];
+
+export const ED25519_KEY_2018_TYPE = 'Ed25519VerificationKey2018';
+export const ED25519_KEY_2018_CONTEXT_URL =
+  'https://w3id.org/security/suites/ed25519-2018/v1';
+
+export const ED25519_KEY_2020_TYPE = 'Ed25519VerificationKey2020';
+export const ED25519_KEY_2020_CONTEXT_URL =
+  'https://w3id.org/security/suites/ed25519-2020/v1';
+
+export const JSON_WEB_KEY_2020_TYPE = 'JsonWebKey2020';
+export const JSON_WEB_KEY_2020_CONTEXT_URL =
+  'https://w3id.org/security/suites/jws-2020/v1';
+
+export const MULTIKEY_TYPE = 'Multikey';
+export const MULTIKEY_CONTEXT_V1_URL = 'https://w3id.org/security/multikey/v1';
+
+export const X25519_2019_TYPE = 'X25519KeyAgreementKey2019';
+export const X25519_2019_CONTEXT_URL =
+  'https://w3id.org/security/suites/x25519-2019/v1';
+
+export const X25519_2020_TYPE = 'X25519KeyAgreementKey2020';
+export const X25519_2020_CONTEXT_URL =
+  'https://w3id.org/security/suites/x25519-2020/v1';
@@ -0,0 +1,138 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import {
+  JSON_WEB_KEY_2020_CONTEXT_URL, X25519_2019_CONTEXT_URL
+} from './constants.js';
+import {contexts as didContexts} from 'did-context';
+import {contexts as ed25519Signature2018Contexts} from
+  'ed25519-signature-2018-context';
+import {contexts as ed25519Signature2020Contexts} from
+  'ed25519-signature-2020-context';
+import {contexts as multikeyContexts} from '@digitalbazaar/multikey-context';
+import {contexts as x25519KeyAgreement2020Contexts} from
+  'x25519-key-agreement-2020-context';
+
+// the contexts below are not published as npm packages, so verbatim copies of
+// the documents served at their URLs are kept here; the tests pin them by
+// hash, so any edit must come from the published document
+
+const X25519_2019_CONTEXT = {
+  '@context': {
+    id: '@id',
+    type: '@type',
+    '@protected': true,
+    X25519KeyAgreementKey2019: {
+      '@id': 'https://w3id.org/security#X25519KeyAgreementKey2019',
+      '@context': {
+        '@protected': true,
+        id: '@id',
+        type: '@type',
+        controller: {
+          '@id': 'https://w3id.org/security#controller',
+          '@type': '@id'
+        },
+        revoked: {
+          '@id': 'https://w3id.org/security#revoked',
+          '@type': 'http://www.w3.org/2001/XMLSchema#dateTime'
+        },
+        publicKeyBase58: {
+          '@id': 'https://w3id.org/security#publicKeyBase58'
+        }
+      }
+    }
+  }
+};
+
+const JSON_WEB_KEY_2020_CONTEXT = {
+  '@context': {
+    privateKeyJwk: {
+      '@id': 'https://w3id.org/security#privateKeyJwk',
+      '@type': '@json'
+    },
+    JsonWebKey2020: {
+      '@id': 'https://w3id.org/security#JsonWebKey2020',
+      '@context': {
+        '@protected': true,
+        id: '@id',
+        type: '@type',
+        publicKeyJwk: {
+          '@id': 'https://w3id.org/security#publicKeyJwk',
+          '@type': '@json'
+        }
+      }
+    },
+    JsonWebSignature2020: {
+      '@id': 'https://w3id.org/security#JsonWebSignature2020',
+      '@context': {
+        '@protected': true,
+        id: '@id',
+        type: '@type',
+        challenge: 'https://w3id.org/security#challenge',
+        created: {
+          '@id': 'http://purl.org/dc/terms/created',
+          '@type': 'http://www.w3.org/2001/XMLSchema#dateTime'
+        },
+        domain: 'https://w3id.org/security#domain',
+        expires: {
+          '@id': 'https://w3id.org/security#expiration',
+          '@type': 'http://www.w3.org/2001/XMLSchema#dateTime'
+        },
+        jws: 'https://w3id.org/security#jws',
+        nonce: 'https://w3id.org/security#nonce',
+        proofPurpose: {
+          '@id': 'https://w3id.org/security#proofPurpose',
+          '@type': '@vocab',
+          '@context': {
+            '@protected': true,
+            id: '@id',
+            type: '@type',
+            assertionMethod: {
+              '@id': 'https://w3id.org/security#assertionMethod',
+              '@type': '@id',
+              '@container': '@set'
+            },
+            authentication: {
+              '@id': 'https://w3id.org/security#authenticationMethod',
+              '@type': '@id',
+              '@container': '@set'
+            },
+            capabilityInvocation: {
+              '@id': 'https://w3id.org/security#capabilityInvocationMethod',
+              '@type': '@id',
+              '@container': '@set'
+            },
+            capabilityDelegation: {
+              '@id': 'https://w3id.org/security#capabilityDelegationMethod',
+              '@type': '@id',
+              '@container': '@set'
+            },
+            keyAgreement: {
+              '@id': 'https://w3id.org/security#keyAgreementMethod',
+              '@type': '@id',
+              '@container': '@set'
+            }
+          }
+        },
+        verificationMethod: {
+          '@id': 'https://w3id.org/security#verificationMethod',
+          '@type': '@id'
+        }
+      }
+    }
+  }
+};
+
+/**
+ * Every JSON-LD context that the driver may include in a DID Document or a
+ * key node (by URL).
+ */
+export const contexts = new Map([
+  ...didContexts,
+  ...multikeyContexts,
+  ...ed25519Signature2018Contexts,
+  ...ed25519Signature2020Contexts,
+  ...x25519KeyAgreement2020Contexts,
+  [X25519_2019_CONTEXT_URL, X25519_2019_CONTEXT],
+  [JSON_WEB_KEY_2020_CONTEXT_URL, JSON_WEB_KEY_2020_CONTEXT]
+]);
@@ -0,0 +1,120 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as Ed25519Multikey from '@digitalbazaar/ed25519-multikey';
+import {P521Multikey, RsaMultikey, Secp256k1Multikey} from './multikeys.js';
+import {createError} from './helpers.js';
+import {DidKeyDriver} from './DidKeyDriver.js';
+import {
+  X25519KeyAgreementKey2020
+} from '@digitalbazaar/x25519-key-agreement-key-2020';
+
+/**
+ * Creates a driver that can resolve every key type this library has a
+ * deserializer for: Ed25519, X25519, P-256, P-384, P-521, secp256k1,
+ * BLS12-381 G2 and RSA keys. Ed25519, P-256, P-384 and BLS12-381 G2 key
+ * pairs can also be generated with it (see `generate()`); only Ed25519 and
+ * BLS12-381 G2 key pairs can be generated from a `seed`.
+ *
+ * P-256 and P-384 keys require the optional peer dependency
+ * `@digitalbazaar/ecdsa-multikey` and BLS12-381 G2 keys require
+ * `@digitalbazaar/bls12-381-multikey`; each is imported when it is first
+ * used, and using a key type whose dependency is not installed throws an
+ * error with the code `unsupportedPublicKeyType`.
+ *
+ * @param {object} [options] - Options hashmap, passed to the `DidKeyDriver`
+ *   constructor.
+ *
+ * @returns {DidKeyDriver} Returns the driver.
+ */
+export function createDefaultDriver(options) {
+  const didKeyDriver = new DidKeyDriver(options);
+  didKeyDriver.use({
+    multibaseMultikeyHeader: 'z6Mk',
+    fromMultibase: Ed25519Multikey.from,
+    generate: Ed25519Multikey.generate
+  });
+  didKeyDriver.use({
+    multibaseMultikeyHeader: 'z6LS',
+    fromMultibase: X25519KeyAgreementKey2020.from
+  });
+  for(const [multibaseMultikeyHeader, curve] of [
+    ['zDna', 'P-256'], ['z82L', 'P-384']
+  ]) {
+    didKeyDriver.use({
+      multibaseMultikeyHeader,
+      fromMultibase: async options => {
+        const EcdsaMultikey = await _importEcdsaMultikey();
+        return EcdsaMultikey.from(options);
+      },
+      generate: async ({seed}) => {
+        if(seed !== undefined) {
+          throw createError({
+            message: `"${curve}" key pairs cannot be generated from a seed.`,
+            code: 'unsupportedPublicKeyType'
+          });
+        }
+        const EcdsaMultikey = await _importEcdsaMultikey();
+        return EcdsaMultikey.generate({curve});
+      }
+    });
+  }
+  didKeyDriver.use({
+    multibaseMultikeyHeader: 'zUC7',
+    fromMultibase: async options => {
+      const Bls12381Multikey = await _importBls12381Multikey();
+      return Bls12381Multikey.from(options);
+    },
+    generate: async ({seed}) => {
+      const Bls12381Multikey = await _importBls12381Multikey();
+      return Bls12381Multikey.generateBbsKeyPair({
+        algorithm: Bls12381Multikey.ALGORITHMS.BBS_BLS12381_SHA256, seed
+      });
+    },
+    verificationRelationships: ['assertionMethod']
+  });
+  didKeyDriver.use({
+    multibaseMultikeyHeader: 'zQ3s',
+    fromMultibase: Secp256k1Multikey.from
+  });
+  didKeyDriver.use({
+    multibaseMultikeyHeader: 'z2J9',
+    fromMultibase: P521Multikey.from
+  });
+  didKeyDriver.use({
+    multicodec: RsaMultikey.multicodec,
+    fromMultibase: RsaMultikey.from
+  });
+  return didKeyDriver;
+}
+
+async function _importEcdsaMultikey() {
+  return _importOptional({
+    name: '@digitalbazaar/ecdsa-multikey', keyTypes: 'P-256 and P-384',
+    load: () => import('@digitalbazaar/ecdsa-multikey')
+  });
+}
+
+async function _importBls12381Multikey() {
+  return _importOptional({
+    name: '@digitalbazaar/bls12-381-multikey', keyTypes: 'BLS12-381 G2',
+    load: () => import('@digitalbazaar/bls12-381-multikey')
+  });
+}
+
+// imports an optional peer dependency, naming the package to install if it
+// is missing
+async function _importOptional({name, keyTypes, load}) {
+  try {
+    return await load();
+  } catch(cause) {
+    if(cause.code !== 'ERR_MODULE_NOT_FOUND') {
+      throw cause;
+    }
+    throw createError({
+      message: `"${name}" must be installed to use ${keyTypes} keys.`,
+      code: 'unsupportedPublicKeyType',
+      cause
+    });
+  }
+}
@@ -0,0 +1,91 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as base64url from 'base64url-universal';
+import {codecsByName, encodeMultibase} from './multicodec.js';
+import {jwkToPublicKey, publicKeyToJwk} from './jwk.js';
+import {parseDidKey, parseMultibase} from './parser.js';
+import {createError} from './helpers.js';
+
+const DID_JWK_PREFIX = 'did:jwk:';
+
+/**
+ * Returns the public JWK that a `did:jwk` DID encodes.
+ *
+ * @param {object} options - Options hashmap.
+ * @param {string} options.did - The `did:jwk` DID (or DID URL).
+ *
+ * @returns {object} Returns the public JWK.
+ */
+export function didJwkToJwk({did} = {}) {
+  if(!(typeof did === 'string' && did.startsWith(DID_JWK_PREFIX))) {
+    throw createError({
+      message: `"${did}" is not a did:jwk DID.`,
+      code: 'invalidDid'
+    });
+  }
+  const [identifier] = did.slice(DID_JWK_PREFIX.length).split('#');
+  let jwk;
+  try {
+    jwk = JSON.parse(new TextDecoder().decode(base64url.decode(identifier)));
+  } catch(cause) {
+    throw createError({
+      message: `Invalid did:jwk DID "${did}".`,
+      code: 'invalidDid',
+      cause
+    });
+  }
+  if(!(jwk && typeof jwk === 'object' && !Array.isArray(jwk))) {
+    throw createError({
+      message: `Invalid did:jwk DID "${did}".`,
+      code: 'invalidDid'
+    });
+  }
+  return jwk;
+}
+
+/**
+ * Returns the `did:jwk` DID for a public JWK.
+ *
+ * @param {object} options - Options hashmap.
+ * @param {object} options.jwk - The public JWK.
+ *
+ * @returns {string} Returns the `did:jwk` DID.
+ */
+export function jwkToDidJwk({jwk}) {
+  const json = JSON.stringify(jwk);
+  return DID_JWK_PREFIX + base64url.encode(new TextEncoder().encode(json));
+}
+
+/**
+ * Converts a `did:key` DID to the `did:jwk` DID for the same public key.
+ *
+ * @param {object} options - Options hashmap.
+ * @param {string} options.did - The `did:key` DID.
+ *
+ * @returns {string} Returns the `did:jwk` DID.
+ */
+export function didKeyToDidJwk({did} = {}) {
+  const {codecName, publicKeyBytes} = parseDidKey({did});
+  return jwkToDidJwk({jwk: publicKeyToJwk({codecName, publicKeyBytes})});
+}
+
+/**
+ * Converts a `did:jwk` DID (or a public JWK) to the `did:key` DID for the
+ * same public key.
+ *
+ * @param {object} options - Options hashmap.
+ * @param {string} [options.did] - The `did:jwk` DID.
+ * @param {object} [options.jwk] - The public JWK; required if `did` is not
+ *   given.
+ *
+ * @returns {string} Returns the `did:key` DID.
+ */
+export function didJwkToDidKey({did, jwk = didJwkToJwk({did})} = {}) {
+  const {codecName, publicKeyBytes} = jwkToPublicKey({jwk});
+  const {code: codec} = codecsByName.get(codecName);
+  const multibase = encodeMultibase({codec, publicKeyBytes});
+  // validates the public key length
+  parseMultibase({multibase});
+  return `did:key:${multibase}`;
+}
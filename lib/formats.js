@@ -0,0 +1,167 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as base58btc from 'base58-universal';
+import {codecsByName, encodeMultibase} from './multicodec.js';
+import {createError, getMethodContexts} from './helpers.js';
+import {
+  DID_CONTEXT_URL, ED25519_KEY_2018_TYPE, ED25519_KEY_2020_TYPE,
+  JSON_WEB_KEY_2020_TYPE, MULTIKEY_TYPE, X25519_2019_TYPE, X25519_2020_TYPE
+} from './constants.js';
+import {parseMultibase} from './parser.js';
+import {publicKeyToJwk} from './jwk.js';
+
+// the legacy suite formats come in pairs: a verification key type and the
+// key agreement key type used with it; either name selects the pair
+const SUITE_2020_TYPES = new Map([
+  ['ed25519-pub', ED25519_KEY_2020_TYPE],
+  ['x25519-pub', X25519_2020_TYPE]
+]);
+const SUITE_2019_TYPES = new Map([
+  ['ed25519-pub', ED25519_KEY_2018_TYPE],
+  ['x25519-pub', X25519_2019_TYPE]
+]);
+const SUITE_TYPES_BY_FORMAT = new Map([
+  [ED25519_KEY_2020_TYPE, SUITE_2020_TYPES],
+  [X25519_2020_TYPE, SUITE_2020_TYPES],
+  [ED25519_KEY_2018_TYPE, SUITE_2019_TYPES],
+  [X25519_2019_TYPE, SUITE_2019_TYPES]
+]);
+
+// legacy types that express a raw public key via `publicKeyBase58`
+const BASE58_CODECS_BY_TYPE = new Map([
+  [ED25519_KEY_2018_TYPE, 'ed25519-pub'],
+  [X25519_2019_TYPE, 'x25519-pub']
+]);
+
+const PUBLIC_KEY_FORMATS = new Set([
+  MULTIKEY_TYPE, JSON_WEB_KEY_2020_TYPE, ...SUITE_TYPES_BY_FORMAT.keys()
+]);
+
+/**
+ * Throws an `unsupportedPublicKeyType` error if the given public key format
+ * is not supported.
+ *
+ * @param {object} options - Options hashmap.
+ * @param {string} options.publicKeyFormat - The public key format.
+ */
+export function assertPublicKeyFormat({publicKeyFormat}) {
+  if(!PUBLIC_KEY_FORMATS.has(publicKeyFormat)) {
+    throw createError({
+      message: `Unsupported "publicKeyFormat", "${publicKeyFormat}".`,
+      code: 'unsupportedPublicKeyType'
+    });
+  }
+}
+
+/**
+ * Expresses a verification method (as exported by a key pair) in the given
+ * public key format, keeping its `id` and `controller`.
+ *
+ * @param {object} options - Options hashmap.
+ * @param {object} options.verificationMethod - The verification method to
+ *   express, without `@context`.
+ * @param {string} options.publicKeyFormat - The public key format (a
+ *   verification method type), e.g., `Multikey` or `JsonWebKey2020`.
+ * @param {boolean} [options.includeJwkThumbprint=false] - Set to `true` to
+ *   set the `kid` of a `publicKeyJwk` to its RFC 7638 JWK thumbprint.
+ *
+ * @returns {object} Returns the verification method in the given format.
+ */
+export function formatVerificationMethod({
+  verificationMethod, publicKeyFormat, includeJwkThumbprint = false
+}) {
+  assertPublicKeyFormat({publicKeyFormat});
+  const {id, controller} = verificationMethod;
+  const {codecName, publicKeyBytes} = _getPublicKey({verificationMethod});
+  if(publicKeyFormat === MULTIKEY_TYPE) {
+    const {code: codec} = codecsByName.get(codecName);
+    return {
+      id, type: MULTIKEY_TYPE, controller,
+      publicKeyMultibase: encodeMultibase({codec, publicKeyBytes})
+    };
+  }
+  if(publicKeyFormat === JSON_WEB_KEY_2020_TYPE) {
+    return {
+      id, type: JSON_WEB_KEY_2020_TYPE, controller,
+      publicKeyJwk: publicKeyToJwk({
+        codecName, publicKeyBytes, includeThumbprint: includeJwkThumbprint
+      })
+    };
+  }
+  const type = SUITE_TYPES_BY_FORMAT.get(publicKeyFormat).get(codecName);
+  if(!type) {
+    throw createError({
+      message: `"publicKeyFormat" "${publicKeyFormat}" is not supported ` +
+        `for "${codecName}" keys.`,
+      code: 'unsupportedPublicKeyType'
+    });
+  }
+  if(BASE58_CODECS_BY_TYPE.has(type)) {
+    return {
+      id, type, controller,
+      publicKeyBase58: base58btc.encode(publicKeyBytes)
+    };
+  }
+  const {code: codec} = codecsByName.get(codecName);
+  return {
+    id, type, controller,
+    publicKeyMultibase: encodeMultibase({codec, publicKeyBytes})
+  };
+}
+
+function _getPublicKey({verificationMethod}) {
+  const {type, publicKeyMultibase, publicKeyBase58} = verificationMethod;
+  if(publicKeyMultibase) {
+    const {codecName, publicKeyBytes} = parseMultibase({
+      multibase: publicKeyMultibase
+    });
+    if(codecName) {
+      return {codecName, publicKeyBytes};
+    }
+  } else if(publicKeyBase58 && BASE58_CODECS_BY_TYPE.has(type)) {
+    return {
+      codecName: BASE58_CODECS_BY_TYPE.get(type),
+      publicKeyBytes: base58btc.decode(publicKeyBase58)
+    };
+  }
+  throw createError({
+    message: `Unsupported verification method type "${type}".`,
+    code: 'unsupportedPublicKeyType'
+  });
+}
+
+/**
+ * Expresses every verification method in a DID Document in the given public
+ * key format and recomputes the DID Document's `@context` to match.
+ *
+ * @param {object} options - Options hashmap.
+ * @param {object} options.didDocument - The DID Document.
+ * @param {string} options.publicKeyFormat - The public key format.
+ * @param {boolean} [options.includeJwkThumbprint=false] - Set to `true` to
+ *   set the `kid` of each `publicKeyJwk` to its RFC 7638 JWK thumbprint.
+ * @param {Map} [options.keyTypes] - The key type registry to get contexts
+ *   from; defaults to the built-in key types.
+ *
+ * @returns {object} Returns a new DID Document.
+ */
+export function formatDidDocument({
+  didDocument, publicKeyFormat, includeJwkThumbprint = false, keyTypes
+}) {
+  assertPublicKeyFormat({publicKeyFormat});
+  const formatted = {...didDocument};
+  const methods = [];
+  for(const property of ['verificationMethod', 'keyAgreement']) {
+    if(didDocument[property]) {
+      formatted[property] = didDocument[property].map(
+        verificationMethod => formatVerificationMethod({
+          verificationMethod, publicKeyFormat, includeJwkThumbprint
+        }));
+      methods.push(...formatted[property]);
+    }
+  }
+  formatted['@context'] = [
+    DID_CONTEXT_URL, ...getMethodContexts({methods, keyTypes})
+  ];
+  return formatted;
+}
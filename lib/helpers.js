@@ -1,37 +1,35 @@
 /*!
- * Copyright (c) 2023-2025 Digital Bazaar, Inc. All rights reserved.
+ * Copyright (c) 2023-2026 Digital Bazaar, Inc. All rights reserved.
  */
 import * as base58btc from 'base58-universal';
 import * as Ed25519Multikey from '@digitalbazaar/ed25519-multikey';
+import {
+  ED25519_KEY_2018_CONTEXT_URL, ED25519_KEY_2018_TYPE,
+  ED25519_KEY_2020_CONTEXT_URL, ED25519_KEY_2020_TYPE,
+  JSON_WEB_KEY_2020_CONTEXT_URL, JSON_WEB_KEY_2020_TYPE,
+  MULTIKEY_CONTEXT_V1_URL, MULTIKEY_TYPE,
+  X25519_2019_CONTEXT_URL, X25519_2019_TYPE,
+  X25519_2020_CONTEXT_URL, X25519_2020_TYPE
+} from './constants.js';
+import {parseMultibase} from './parser.js';
 import {
   X25519KeyAgreementKey2020
 } from '@digitalbazaar/x25519-key-agreement-key-2020';
 
-const ED25519_KEY_2018_TYPE = 'Ed25519VerificationKey2018';
-const ED25519_KEY_2018_CONTEXT_URL =
-  'https://w3id.org/security/suites/ed25519-2018/v1';
-
-const ED25519_KEY_2020_TYPE = 'Ed25519VerificationKey2020';
-const ED25519_KEY_2020_CONTEXT_URL =
-  'https://w3id.org/security/suites/ed25519-2020/v1';
-
-const MULTIKEY_TYPE = 'Multikey';
-const MULTIKEY_CONTEXT_V1_URL = 'https://w3id.org/security/multikey/v1';
-
-const X25519_2019_TYPE = 'X25519KeyAgreementKey2019';
-const X25519_2019_CONTEXT_URL =
-  'https://w3id.org/security/suites/x25519-2019/v1';
+// multicodec x25519-pub and x25519-priv headers as varints
+const MULTICODEC_X25519_PUB_HEADER = new Uint8Array([0xec, 0x01]);
+const MULTICODEC_X25519_PRIV_HEADER = new Uint8Array([0x82, 0x26]);
 
-const X25519_2020_TYPE = 'X25519KeyAgreementKey2020';
-const X25519_2020_CONTEXT_URL =
-  'https://w3id.org/security/suites/x25519-2020/v1';
-
-const contextsBySuite = new Map([
-  [ED25519_KEY_2020_TYPE, ED25519_KEY_2020_CONTEXT_URL],
-  [ED25519_KEY_2018_TYPE, ED25519_KEY_2018_CONTEXT_URL],
-  [MULTIKEY_TYPE, MULTIKEY_CONTEXT_V1_URL],
-  [X25519_2020_TYPE, X25519_2020_CONTEXT_URL],
-  [X25519_2019_TYPE, X25519_2019_CONTEXT_URL]
+// built-in key types: the contexts that define each verification method
+// type and whether keys of that type are only used for key agreement; a
+// driver copies these into its own registry (see `DidKeyDriver.useKeyType()`)
+export const DEFAULT_KEY_TYPES = new Map([
+  [ED25519_KEY_2020_TYPE, {contexts: [ED25519_KEY_2020_CONTEXT_URL]}],
+  [ED25519_KEY_2018_TYPE, {contexts: [ED25519_KEY_2018_CONTEXT_URL]}],
+  [MULTIKEY_TYPE, {contexts: [MULTIKEY_CONTEXT_V1_URL]}],
+  [JSON_WEB_KEY_2020_TYPE, {contexts: [JSON_WEB_KEY_2020_CONTEXT_URL]}],
+  [X25519_2020_TYPE, {contexts: [X25519_2020_CONTEXT_URL], keyAgreement: true}],
+  [X25519_2019_TYPE, {contexts: [X25519_2019_CONTEXT_URL], keyAgreement: true}]
 ]);
 
 /**
@@ -41,28 +39,75 @@ const contextsBySuite = new Map([
  * @param {object} options.didDocument - The DID Document to use when generating
  *   the id.
  * @param {string} options.keyIdFragment - The key identifier fragment.
+ * @param {Map} [options.keyTypes=DEFAULT_KEY_TYPES] - The key type registry
+ *   to get the `@context` from.
  *
- * @returns {object} Returns the public key node, with `@context`.
+ * @returns {object} Returns the public key node, with `@context` (if its
+ *   type is registered); throws a `notFound` error if no verification method
+ *   has the given fragment.
  */
-export function getKey({didDocument, keyIdFragment}) {
-  // Determine if the key id fragment belongs to the "main" public key,
-  // or the keyAgreement key
+export function getKey({
+  didDocument, keyIdFragment, keyTypes = DEFAULT_KEY_TYPES
+}) {
+  // the fragment must exactly match the id of one of the verification
+  // methods (including embedded key agreement keys)
   const keyId = didDocument.id + '#' + keyIdFragment;
-  let publicKey;
-  if(didDocument.verificationMethod?.[0].id === keyId) {
-    // Return the public key node for the main public key
-    publicKey = didDocument.verificationMethod[0];
-  } else {
-    // Return the public key node for the X25519 key-agreement key
-    publicKey = didDocument.keyAgreement[0];
+  const methods = [
+    ...(didDocument.verificationMethod || []),
+    ...(didDocument.keyAgreement || [])
+  ];
+  const publicKey = methods.find(
+    method => typeof method === 'object' && method.id === keyId);
+  if(!publicKey) {
+    throw createError({
+      message: `Verification method "${keyId}" not found.`,
+      code: 'notFound'
+    });
   }
 
+  const {contexts} = keyTypes.get(publicKey.type) || {};
+  if(!contexts) {
+    return {...publicKey};
+  }
   return {
-    '@context': contextsBySuite.get(publicKey.type),
+    '@context': contexts.length === 1 ? contexts[0] : [...contexts],
     ...publicKey
   };
 }
 
+/**
+ * Returns the (de-duplicated) key-specific contexts for the given
+ * verification methods, based on their types.
+ *
+ * @param {object} options - Options hashmap.
+ * @param {Array<object>} options.methods - The verification methods.
+ * @param {Map} [options.keyTypes=DEFAULT_KEY_TYPES] - The key type registry.
+ *
+ * @returns {Array<string>} Returns the contexts.
+ */
+export function getMethodContexts({methods, keyTypes = DEFAULT_KEY_TYPES}) {
+  const contexts = [];
+  for(const {type} of methods) {
+    addContexts({contexts, added: keyTypes.get(type)?.contexts || []});
+  }
+  return contexts;
+}
+
+/**
+ * Appends contexts to a list of contexts, skipping any already present.
+ *
+ * @param {object} options - Options hashmap.
+ * @param {Array<string>} options.contexts - The list of contexts to modify.
+ * @param {string|Array<string>} options.added - The context(s) to add.
+ */
+export function addContexts({contexts, added}) {
+  for(const context of Array.isArray(added) ? added : [added]) {
+    if(context && !contexts.includes(context)) {
+      contexts.push(context);
+    }
+  }
+}
+
 export function getDid({keyPair}) {
   return keyPair.fingerprint ? `did:key:${keyPair.fingerprint()}` :
     `did:key:${keyPair.publicKeyMultibase}`;
@@ -74,7 +119,7 @@ export function setKeyPairId({keyPair, did}) {
 }
 
 export async function getKeyAgreementKeyPair({
-  contexts, verificationPublicKey
+  contexts, verificationPublicKey, privateKeyMultibase
 }) {
   // The KAK pair will use the source key's controller, but may generate
   // its own .id
@@ -92,90 +137,186 @@ export async function getKeyAgreementKeyPair({
     contexts.push(X25519_2020_CONTEXT_URL);
   }
 
+  // the key agreement key pair includes a private key if the source does
+  const sourceKeyPair = privateKeyMultibase ?
+    {...verificationPublicKey, privateKeyMultibase} : verificationPublicKey;
   switch(verificationPublicKey.type) {
     case ED25519_KEY_2020_TYPE: {
       keyAgreementKeyPair = X25519KeyAgreementKey2020
-        .fromEd25519VerificationKey2020({keyPair: verificationPublicKey});
+        .fromEd25519VerificationKey2020({keyPair: sourceKeyPair});
       break;
     }
     case MULTIKEY_TYPE: {
-      // FIXME: Add keyAgreementKeyPair interface for Multikey.
+      // only Ed25519 Multikeys can be converted to X25519
+      if(_getCodecName(verificationPublicKey) !== 'ed25519-pub') {
+        break;
+      }
+      keyAgreementKeyPair = _toMultikeyKeyPair({
+        keyPair: X25519KeyAgreementKey2020
+          .fromEd25519VerificationKey2020({keyPair: sourceKeyPair})
+      });
       break;
     }
     default: {
-      throw new Error(
-        `Cannot derive key agreement key from verification key type
-          "${verificationPublicKey.type}".`);
+      // no built-in derivation for other key types (see the
+      // `deriveKeyAgreementKeyPair` option of `DidKeyDriver.use()`)
+      break;
     }
   }
 
   if(is2019) {
-    // modify 2020 x25519 key pair for 2019 legacy use...
-
-    // update `type` and add `publicKeyBase58`
-    keyAgreementKeyPair.type = X25519_2019_TYPE;
-    const {publicKeyMultibase} = keyAgreementKeyPair;
-    const multikey = base58btc.decode(publicKeyMultibase.slice(1));
-    keyAgreementKeyPair.publicKeyBase58 = base58btc.encode(multikey.slice(2));
-
-    // update `export` to output 2019 legacy version
-    const previousExport = keyAgreementKeyPair.export;
-    keyAgreementKeyPair.export = (...args) => {
-      const exported = previousExport.apply(keyAgreementKeyPair, args);
-      if(exported['@context']) {
-        exported['@context'] = X25519_2019_CONTEXT_URL;
-      }
-      delete exported.publicKeyMultibase;
-      exported.publicKeyBase58 = keyAgreementKeyPair.publicKeyBase58;
-      return exported;
-    };
+    keyAgreementKeyPair = _to2019KeyPair({keyPair: keyAgreementKeyPair});
   }
 
   return {keyAgreementKeyPair};
 }
 
-export function getMultibaseMultikeyHeader({value}) {
-  if(!value) {
-    throw new TypeError('"publicKeyMultibase" must be a string.');
+/**
+ * Imports an X25519 key agreement key pair exported (with its private key)
+ * from a key pair created by `getKeyAgreementKeyPair()` or from an
+ * `X25519KeyAgreementKey2020` or `X25519KeyAgreementKey2019` key pair.
+ *
+ * @param {object} options - Options hashmap.
+ * @param {object} options.exported - The exported key pair.
+ *
+ * @returns {Promise<object>} Resolves with the key pair, of the exported
+ *   key pair's `type`.
+ */
+export async function importX25519KeyPair({exported}) {
+  const {id, controller, type} = exported;
+  let {publicKeyMultibase, privateKeyMultibase} = exported;
+  if(!publicKeyMultibase && exported.publicKeyBase58) {
+    publicKeyMultibase = _encodeBase58Key({
+      header: MULTICODEC_X25519_PUB_HEADER, key: exported.publicKeyBase58
+    });
+  }
+  if(!privateKeyMultibase && exported.privateKeyBase58) {
+    privateKeyMultibase = _encodeBase58Key({
+      header: MULTICODEC_X25519_PRIV_HEADER, key: exported.privateKeyBase58
+    });
+  }
+  const keyPair = await X25519KeyAgreementKey2020.from({
+    id, controller, publicKeyMultibase, privateKeyMultibase
+  });
+  if(type === MULTIKEY_TYPE) {
+    return _toMultikeyKeyPair({keyPair});
+  }
+  if(type === X25519_2019_TYPE) {
+    return _to2019KeyPair({keyPair});
   }
-  return value.slice(0, 4);
+  return keyPair;
 }
 
-export function addKeyAgreementKeyContext({contexts, keyAgreementKeyPair}) {
-  const {type} = keyAgreementKeyPair;
-  switch(type) {
-    case X25519_2019_TYPE: {
-      if(!contexts.includes(X25519_2019_CONTEXT_URL)) {
-        contexts.push(X25519_2019_CONTEXT_URL);
-      }
-      break;
-    }
-    case X25519_2020_TYPE: {
-      if(!contexts.includes(X25519_2020_CONTEXT_URL)) {
-        contexts.push(X25519_2020_CONTEXT_URL);
-      }
-      break;
+// modifies a 2020 x25519 key pair for Multikey use
+function _toMultikeyKeyPair({keyPair}) {
+  keyPair.type = MULTIKEY_TYPE;
+  const previousExport = keyPair.export;
+  keyPair.export = (...args) => {
+    const exported = previousExport.apply(keyPair, args);
+    if(exported['@context']) {
+      exported['@context'] = MULTIKEY_CONTEXT_V1_URL;
     }
-    default: {
-      throw new Error(`Unsupported key agreement key type, "${type}".`);
+    return exported;
+  };
+  return keyPair;
+}
+
+// modifies a 2020 x25519 key pair for 2019 legacy use
+function _to2019KeyPair({keyPair}) {
+  // update `type` and add `publicKeyBase58`
+  keyPair.type = X25519_2019_TYPE;
+  const {publicKeyMultibase} = keyPair;
+  const multikey = base58btc.decode(publicKeyMultibase.slice(1));
+  keyPair.publicKeyBase58 = base58btc.encode(multikey.slice(2));
+
+  // update `export` to output 2019 legacy version
+  const previousExport = keyPair.export;
+  keyPair.export = (...args) => {
+    const exported = previousExport.apply(keyPair, args);
+    if(exported['@context']) {
+      exported['@context'] = X25519_2019_CONTEXT_URL;
     }
+    delete exported.publicKeyMultibase;
+    exported.publicKeyBase58 = keyPair.publicKeyBase58;
+    return exported;
+  };
+  return keyPair;
+}
+
+function _encodeBase58Key({header, key}) {
+  const bytes = base58btc.decode(key);
+  const multikey = new Uint8Array(header.length + bytes.length);
+  multikey.set(header);
+  multikey.set(bytes, header.length);
+  return `z${base58btc.encode(multikey)}`;
+}
+
+/**
+ * Creates an error with a DID Resolution error code (such as `invalidDid`)
+ * that `resolve()` reports in its resolution metadata.
+ *
+ * @param {object} options - Options hashmap.
+ * @param {string} options.message - The error message.
+ * @param {string} options.code - The DID Resolution error code.
+ * @param {Error} [options.cause] - The underlying error, if any.
+ *
+ * @returns {Error} Returns the error.
+ */
+export function createError({message, code, cause}) {
+  const error = new Error(message, cause ? {cause} : undefined);
+  error.code = code;
+  return error;
+}
+
+// `keyAgreementKey` is an exported public key (key pairs such as Multikey
+// key pairs do not all have a `type` property)
+export function addKeyAgreementKeyContext({
+  contexts, keyAgreementKey, keyTypes = DEFAULT_KEY_TYPES
+}) {
+  const {type} = keyAgreementKey;
+  const keyType = keyTypes.get(type);
+  if(!keyType) {
+    throw createError({
+      message: `Unsupported key agreement key type, "${type}".`,
+      code: 'unsupportedPublicKeyType'
+    });
   }
+  addContexts({contexts, added: keyType.contexts});
 }
 
 export async function getKeyPair({
-  fromMultibase, publicKeyMultibase, publicKeyDescription
+  fromMultibase, publicKeyMultibase, publicKeyDescription,
+  keyTypes = DEFAULT_KEY_TYPES
 } = {}) {
   let keyPair;
   if(fromMultibase && publicKeyMultibase) {
-    keyPair = await fromMultibase({publicKeyMultibase});
+    try {
+      keyPair = await fromMultibase({publicKeyMultibase});
+    } catch(cause) {
+      // e.g., the library for the key type is not installed
+      if(cause.code === 'unsupportedPublicKeyType') {
+        throw cause;
+      }
+      throw createError({
+        message: `Invalid public key "${publicKeyMultibase}".`,
+        code: 'invalidPublicKey',
+        cause
+      });
+    }
   } else {
     keyPair = publicKeyDescription;
   }
   const {type} = keyPair;
   let keyAgreementKeyPair;
-  if(type === X25519_2020_TYPE || type === X25519_2019_TYPE) {
+  if(keyTypes.get(type)?.keyAgreement ||
+    (type === MULTIKEY_TYPE && _getCodecName(keyPair) === 'x25519-pub')) {
     keyAgreementKeyPair = keyPair;
     keyPair = null;
   }
   return {keyPair, keyAgreementKeyPair};
 }
+
+function _getCodecName({publicKeyMultibase}) {
+  return publicKeyMultibase ?
+    parseMultibase({multibase: publicKeyMultibase}).codecName : undefined;
+}
@@ -1,16 +1,25 @@
 /*!
- * Copyright (c) 2021-2023 Digital Bazaar, Inc. All rights reserved.
+ * Copyright (c) 2021-2026 Digital Bazaar, Inc. All rights reserved.
  */
-import {createFromMultibase} from './util.js';
+import {createFromMultibase, parse} from './util.js';
+import {didJwkToDidKey, didKeyToDidJwk} from './didJwk.js';
+import {P521Multikey, RsaMultikey, Secp256k1Multikey} from './multikeys.js';
+import {signJws, signJwt} from './jws.js';
 import {DidKeyDriver} from './DidKeyDriver.js';
 
 /**
  * Helper method to match the `.driver()` API of other `did-io` plugins.
  *
+ * @param {object} [options] - Options hashmap passed to the `DidKeyDriver`
+ *   constructor.
+ *
  * @returns {DidKeyDriver} Returns an instance of a did:key resolver driver.
  */
-function driver() {
-  return new DidKeyDriver();
+function driver(options) {
+  return new DidKeyDriver(options);
 }
 
-export {createFromMultibase, driver, DidKeyDriver};
+export {
+  createFromMultibase, didJwkToDidKey, didKeyToDidJwk, driver, DidKeyDriver,
+  P521Multikey, parse, RsaMultikey, Secp256k1Multikey, signJws, signJwt
+};
@@ -0,0 +1,273 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as base58btc from 'base58-universal';
+import * as base64url from 'base64url-universal';
+import {codecsByName, encodeMultibase} from './multicodec.js';
+import {createError} from './helpers.js';
+import {parseMultibase} from './parser.js';
+import {sha256} from '@noble/hashes/sha2';
+import {x25519} from '@noble/curves/ed25519';
+
+// key management and content encryption algorithms, see RFC 7518
+const JWE_ALGORITHM = 'ECDH-ES+A256KW';
+const JWE_ENCRYPTION = 'A256GCM';
+// content encryption key and AES-GCM IV and tag sizes, in bytes
+const CEK_SIZE = 32;
+const IV_SIZE = 12;
+const TAG_SIZE = 16;
+
+/**
+ * Encrypts a payload to one or more X25519 key agreement keys, producing a
+ * general JSON serialization JWE (see RFC 7516) that uses `ECDH-ES+A256KW`
+ * key wrapping and `A256GCM` content encryption. Requires the Web Crypto API
+ * (`globalThis.crypto`).
+ *
+ * @param {object} options - Options hashmap.
+ * @param {Array<{kid: string, publicKeyMultibase: string}>} options.recipients
+ *   - The recipients' key agreement key ids and X25519 public keys.
+ * @param {Uint8Array|string} options.payload - The payload to encrypt.
+ *
+ * @returns {Promise<object>} Resolves with the JWE.
+ */
+export async function encryptJwe({recipients, payload} = {}) {
+  if(typeof payload === 'string') {
+    payload = new TextEncoder().encode(payload);
+  }
+  if(!(payload instanceof Uint8Array)) {
+    throw new TypeError('"payload" must be a Uint8Array or a string.');
+  }
+  const {subtle} = globalThis.crypto;
+  const cek = globalThis.crypto.getRandomValues(new Uint8Array(CEK_SIZE));
+  const iv = globalThis.crypto.getRandomValues(new Uint8Array(IV_SIZE));
+  const encodedHeader = _encodeJson({enc: JWE_ENCRYPTION});
+  const cekKey = await subtle.importKey(
+    'raw', cek, {name: 'AES-GCM'}, true, ['encrypt']);
+  const encrypted = new Uint8Array(await subtle.encrypt({
+    name: 'AES-GCM', iv,
+    additionalData: new TextEncoder().encode(encodedHeader),
+    tagLength: TAG_SIZE * 8
+  }, cekKey, payload));
+  const jweRecipients = [];
+  for(const {kid, publicKeyMultibase} of recipients) {
+    jweRecipients.push(await _wrapKey({cekKey, kid, publicKeyMultibase}));
+  }
+  return {
+    protected: encodedHeader,
+    recipients: jweRecipients,
+    iv: base64url.encode(iv),
+    ciphertext: base64url.encode(
+      encrypted.subarray(0, encrypted.length - TAG_SIZE)),
+    tag: base64url.encode(encrypted.subarray(encrypted.length - TAG_SIZE))
+  };
+}
+
+/**
+ * Decrypts a JWE created by `encryptJwe()` using the key agreement key pair
+ * of one of its recipients. Requires the Web Crypto API
+ * (`globalThis.crypto`).
+ *
+ * @param {object} options - Options hashmap.
+ * @param {object} options.jwe - The general JSON serialization JWE.
+ * @param {object} options.keyAgreementKeyPair - The recipient's X25519 key
+ *   agreement key pair; it must have the `id` used as the recipient's `kid`
+ *   and a `deriveSecret()` (e.g., an `X25519KeyAgreementKey2020` with its
+ *   private key).
+ *
+ * @returns {Promise<Uint8Array>} Resolves with the decrypted payload.
+ */
+export async function decryptJwe({jwe, keyAgreementKeyPair} = {}) {
+  if(!(jwe && typeof jwe === 'object')) {
+    throw new TypeError('"jwe" must be an object.');
+  }
+  if(!(keyAgreementKeyPair &&
+    typeof keyAgreementKeyPair.deriveSecret === 'function')) {
+    throw new TypeError(
+      '"keyAgreementKeyPair" must be a key pair with a "deriveSecret()".');
+  }
+  const {iv, ciphertext, tag} = _decodeJwe({jwe});
+  const recipient = _findRecipient({jwe, keyAgreementKeyPair});
+  if(!recipient) {
+    throw createError({
+      message: `JWE has no recipient "${keyAgreementKeyPair.id}".`,
+      code: 'notFound'
+    });
+  }
+  const {header, encrypted_key: encryptedKey} = recipient;
+  if(header.alg !== JWE_ALGORITHM) {
+    throw createError({
+      message: `Unsupported JWE "alg" "${header.alg}".`,
+      code: 'invalidJwe'
+    });
+  }
+  const {epk, apu, apv} = header;
+  let ephemeralPublicKey;
+  try {
+    if(!(epk?.kty === 'OKP' && epk.crv === 'X25519')) {
+      throw new Error('"epk" must be an X25519 JWK.');
+    }
+    ephemeralPublicKey = base64url.decode(epk.x);
+    if(ephemeralPublicKey.length !== 32) {
+      throw new Error('"epk" must be 32 bytes.');
+    }
+  } catch(cause) {
+    throw createError({
+      message: 'Invalid JWE recipient "epk".',
+      code: 'invalidJwe',
+      cause
+    });
+  }
+  const {code: codec} = codecsByName.get('x25519-pub');
+  // key agreement key pair interfaces take a multibase or base58 public key
+  const secret = await keyAgreementKeyPair.deriveSecret({
+    publicKey: {
+      publicKeyMultibase: encodeMultibase({
+        codec, publicKeyBytes: ephemeralPublicKey
+      }),
+      publicKeyBase58: base58btc.encode(ephemeralPublicKey)
+    }
+  });
+  const {subtle} = globalThis.crypto;
+  try {
+    const kek = await subtle.importKey(
+      'raw', _deriveKek({
+        secret,
+        apu: apu === undefined ? new Uint8Array() : base64url.decode(apu),
+        apv: apv === undefined ? new Uint8Array() : base64url.decode(apv)
+      }), {name: 'AES-KW'}, false, ['unwrapKey']);
+    const cekKey = await subtle.unwrapKey(
+      'raw', base64url.decode(encryptedKey), kek, 'AES-KW',
+      {name: 'AES-GCM'}, false, ['decrypt']);
+    const encrypted = new Uint8Array(ciphertext.length + tag.length);
+    encrypted.set(ciphertext);
+    encrypted.set(tag, ciphertext.length);
+    return new Uint8Array(await subtle.decrypt({
+      name: 'AES-GCM', iv,
+      additionalData: new TextEncoder().encode(jwe.protected),
+      tagLength: TAG_SIZE * 8
+    }, cekKey, encrypted));
+  } catch(cause) {
+    throw createError({
+      message: 'JWE decryption failed.',
+      code: 'invalidJwe',
+      cause
+    });
+  }
+}
+
+// finds the recipient whose `kid` is the key pair's id or, since `did:key`
+// key ids end with the key's fingerprint, whose `kid` is for the same key
+// under another DID (e.g., a key agreement key passed to `fromKeyPair()`
+// along with a verification key is identified by its own DID)
+function _findRecipient({jwe, keyAgreementKeyPair}) {
+  const {id} = keyAgreementKeyPair;
+  const fingerprint = keyAgreementKeyPair.fingerprint?.();
+  return jwe.recipients.find(recipient => recipient?.header?.kid === id) ??
+    jwe.recipients.find(recipient => fingerprint &&
+      recipient?.header?.kid?.endsWith?.(`#${fingerprint}`));
+}
+
+// wraps the content encryption key for a recipient with a key derived from
+// an ephemeral X25519 key (ECDH-ES+A256KW, see RFC 7518 Section 4.6)
+async function _wrapKey({cekKey, kid, publicKeyMultibase}) {
+  const {codecName, publicKeyBytes} = parseMultibase({
+    multibase: publicKeyMultibase
+  });
+  if(codecName !== 'x25519-pub') {
+    throw createError({
+      message: `Key agreement key "${kid}" must be an X25519 key.`,
+      code: 'unsupportedPublicKeyType'
+    });
+  }
+  const ephemeralSecretKey = x25519.utils.randomPrivateKey();
+  const ephemeralPublicKey = x25519.getPublicKey(ephemeralSecretKey);
+  const secret = x25519.getSharedSecret(ephemeralSecretKey, publicKeyBytes);
+  const apu = ephemeralPublicKey;
+  const apv = new TextEncoder().encode(kid);
+  const {subtle} = globalThis.crypto;
+  const kek = await subtle.importKey(
+    'raw', _deriveKek({secret, apu, apv}), {name: 'AES-KW'}, false,
+    ['wrapKey']);
+  const encryptedKey = await subtle.wrapKey('raw', cekKey, kek, 'AES-KW');
+  return {
+    header: {
+      alg: JWE_ALGORITHM,
+      kid,
+      epk: {
+        kty: 'OKP', crv: 'X25519', x: base64url.encode(ephemeralPublicKey)
+      },
+      apu: base64url.encode(apu),
+      apv: base64url.encode(apv)
+    },
+    encrypted_key: base64url.encode(new Uint8Array(encryptedKey))
+  };
+}
+
+// derives the 256-bit key encryption key with the Concat KDF (one round of
+// SHA-256), see RFC 7518 Section 4.6.2
+function _deriveKek({secret, apu, apv}) {
+  // an all-zero secret means the public key was a low order point
+  if(secret.every(byte => byte === 0)) {
+    throw createError({
+      message: 'Invalid X25519 key agreement secret.',
+      code: 'invalidPublicKey'
+    });
+  }
+  const algorithmId = new TextEncoder().encode(JWE_ALGORITHM);
+  return sha256(_concat([
+    _uint32({value: 1}),
+    secret,
+    _uint32({value: algorithmId.length}), algorithmId,
+    _uint32({value: apu.length}), apu,
+    _uint32({value: apv.length}), apv,
+    _uint32({value: CEK_SIZE * 8})
+  ]));
+}
+
+// decodes and checks the shared members of a JWE
+function _decodeJwe({jwe}) {
+  try {
+    if(!(Array.isArray(jwe.recipients) && jwe.recipients.length > 0)) {
+      throw new Error('"recipients" must be a non-empty array.');
+    }
+    const header = JSON.parse(new TextDecoder().decode(
+      base64url.decode(jwe.protected)));
+    if(header?.enc !== JWE_ENCRYPTION) {
+      throw new Error(`"enc" must be "${JWE_ENCRYPTION}".`);
+    }
+    const iv = base64url.decode(jwe.iv);
+    const ciphertext = base64url.decode(jwe.ciphertext);
+    const tag = base64url.decode(jwe.tag);
+    if(iv.length !== IV_SIZE || tag.length !== TAG_SIZE) {
+      throw new Error('Invalid "iv" or "tag" length.');
+    }
+    return {iv, ciphertext, tag};
+  } catch(cause) {
+    throw createError({
+      message: `Invalid JWE; ${cause.message}`,
+      code: 'invalidJwe',
+      cause
+    });
+  }
+}
+
+function _encodeJson(value) {
+  return base64url.encode(new TextEncoder().encode(JSON.stringify(value)));
+}
+
+function _uint32({value}) {
+  const bytes = new Uint8Array(4);
+  new DataView(bytes.buffer).setUint32(0, value);
+  return bytes;
+}
+
+function _concat(arrays) {
+  const bytes = new Uint8Array(
+    arrays.reduce((length, array) => length + array.length, 0));
+  let offset = 0;
+  for(const array of arrays) {
+    bytes.set(array, offset);
+    offset += array.length;
+  }
+  return bytes;
+}
@@ -0,0 +1,178 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as base64url from 'base64url-universal';
+import {encodeRsaPublicKey, parseRsaPublicKey} from './rsa.js';
+import {createError} from './helpers.js';
+import {p256} from '@noble/curves/p256';
+import {p384} from '@noble/curves/p384';
+import {p521} from '@noble/curves/p521';
+import {secp256k1} from '@noble/curves/secp256k1';
+import {sha256} from '@noble/hashes/sha2';
+
+// JWK `kty` and `crv` values by multicodec name; BLS12-381 keys are
+// expressed as `OKP` keys with a compressed `x` value, like
+// `@digitalbazaar/bls12-381-multikey` does; RSA keys have no `crv`
+const JWK_PARAMS = new Map([
+  ['ed25519-pub', {kty: 'OKP', crv: 'Ed25519'}],
+  ['x25519-pub', {kty: 'OKP', crv: 'X25519'}],
+  ['bls12_381-g1-pub', {kty: 'OKP', crv: 'Bls12381G1'}],
+  ['bls12_381-g2-pub', {kty: 'OKP', crv: 'Bls12381G2'}],
+  ['p256-pub', {kty: 'EC', crv: 'P-256', curve: p256}],
+  ['p384-pub', {kty: 'EC', crv: 'P-384', curve: p384}],
+  ['p521-pub', {kty: 'EC', crv: 'P-521', curve: p521}],
+  ['secp256k1-pub', {kty: 'EC', crv: 'secp256k1', curve: secp256k1}],
+  ['rsa-pub', {kty: 'RSA'}]
+]);
+
+// required JWK members (in lexicographic order) by `kty`, see RFC 7638
+const THUMBPRINT_MEMBERS = new Map([
+  ['EC', ['crv', 'kty', 'x', 'y']],
+  ['OKP', ['crv', 'kty', 'x']],
+  ['RSA', ['e', 'kty', 'n']]
+]);
+
+/**
+ * Converts a raw public key to a public JWK.
+ *
+ * @param {object} options - Options hashmap.
+ * @param {string} options.codecName - The multicodec name of the public key.
+ * @param {Uint8Array} options.publicKeyBytes - The raw public key bytes
+ *   (compressed for elliptic curve keys, DER PKCS #1 for RSA keys).
+ * @param {boolean} [options.includeThumbprint=false] - Set to `true` to set
+ *   the JWK's `kid` to its RFC 7638 JWK thumbprint.
+ *
+ * @returns {object} Returns the public JWK.
+ */
+export function publicKeyToJwk({
+  codecName, publicKeyBytes, includeThumbprint = false
+}) {
+  const params = JWK_PARAMS.get(codecName);
+  if(!params) {
+    throw createError({
+      message: `Unsupported JWK key type "${codecName}".`,
+      code: 'unsupportedPublicKeyType'
+    });
+  }
+  const {kty, crv, curve} = params;
+  let jwk;
+  if(kty === 'RSA') {
+    const {n, e} = parseRsaPublicKey({publicKeyBytes});
+    jwk = {kty, n: base64url.encode(n), e: base64url.encode(e)};
+  } else if(kty === 'EC') {
+    let uncompressed;
+    try {
+      uncompressed = curve.ProjectivePoint.fromHex(publicKeyBytes)
+        .toRawBytes(false);
+    } catch(cause) {
+      throw createError({
+        message: `Invalid "${codecName}" public key.`,
+        code: 'invalidPublicKey',
+        cause
+      });
+    }
+    // uncompressed point is `0x04 || x || y`
+    const size = (uncompressed.length - 1) / 2;
+    jwk = {
+      kty, crv,
+      x: base64url.encode(uncompressed.subarray(1, size + 1)),
+      y: base64url.encode(uncompressed.subarray(size + 1))
+    };
+  } else {
+    jwk = {kty, crv, x: base64url.encode(publicKeyBytes)};
+  }
+  if(includeThumbprint) {
+    jwk.kid = getJwkThumbprint({jwk});
+  }
+  return jwk;
+}
+
+/**
+ * Converts a public JWK to a raw public key.
+ *
+ * @param {object} options - Options hashmap.
+ * @param {object} options.jwk - The public JWK; `OKP` (e.g., Ed25519 or
+ *   X25519), `EC` (e.g., P-256, P-384 or secp256k1) and `RSA` keys are
+ *   supported.
+ *
+ * @returns {{codecName: string, publicKeyBytes: Uint8Array}} Returns the
+ *   multicodec name of the public key and its raw bytes (compressed for
+ *   elliptic curve keys, DER PKCS #1 for RSA keys).
+ */
+export function jwkToPublicKey({jwk} = {}) {
+  if(!(jwk && typeof jwk === 'object')) {
+    throw new TypeError('"jwk" must be an object.');
+  }
+  if(jwk.d !== undefined) {
+    throw createError({
+      message: 'JWK must be a public key; it must not include "d".',
+      code: 'invalidPublicKey'
+    });
+  }
+  const {kty, crv} = jwk;
+  const [codecName, {curve} = {}] = [...JWK_PARAMS].find(
+    ([, params]) => params.kty === kty && params.crv === crv) || [];
+  if(!codecName) {
+    throw createError({
+      message: `Unsupported JWK key type "${kty}" with curve "${crv}".`,
+      code: 'unsupportedPublicKeyType'
+    });
+  }
+  if(kty === 'RSA') {
+    let publicKeyBytes;
+    try {
+      publicKeyBytes = encodeRsaPublicKey({
+        n: base64url.decode(jwk.n), e: base64url.decode(jwk.e)
+      });
+    } catch(cause) {
+      throw createError({
+        message: `Invalid "${codecName}" public JWK.`,
+        code: 'invalidPublicKey',
+        cause
+      });
+    }
+    // checks the modulus size and exponent
+    parseRsaPublicKey({publicKeyBytes});
+    return {codecName, publicKeyBytes};
+  }
+  try {
+    const x = base64url.decode(jwk.x);
+    if(kty === 'OKP') {
+      return {codecName, publicKeyBytes: x};
+    }
+    // compress `0x04 || x || y`; parsing also checks the point is on the curve
+    const y = base64url.decode(jwk.y);
+    const uncompressed = new Uint8Array(1 + x.length + y.length);
+    uncompressed[0] = 0x04;
+    uncompressed.set(x, 1);
+    uncompressed.set(y, 1 + x.length);
+    const publicKeyBytes = curve.ProjectivePoint.fromHex(uncompressed)
+      .toRawBytes(true);
+    return {codecName, publicKeyBytes};
+  } catch(cause) {
+    throw createError({
+      message: `Invalid "${codecName}" public JWK.`,
+      code: 'invalidPublicKey',
+      cause
+    });
+  }
+}
+
+/**
+ * Computes the RFC 7638 (SHA-256) thumbprint of a public JWK.
+ *
+ * @param {object} options - Options hashmap.
+ * @param {object} options.jwk - The public JWK.
+ *
+ * @returns {string} Returns the base64url-encoded thumbprint.
+ */
+export function getJwkThumbprint({jwk}) {
+  const members = THUMBPRINT_MEMBERS.get(jwk.kty);
+  if(!members) {
+    throw new Error(`Unsupported JWK "kty", "${jwk.kty}".`);
+  }
+  // members are serialized in lexicographic order without whitespace
+  const json = JSON.stringify(
+    Object.fromEntries(members.map(member => [member, jwk[member]])));
+  return base64url.encode(sha256(new TextEncoder().encode(json)));
+}
@@ -0,0 +1,177 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as base64url from 'base64url-universal';
+import {createError} from './helpers.js';
+import {parseMultibase} from './parser.js';
+
+// JWS `alg` values by the multicodec name of the signing key
+const JWS_ALGORITHMS = new Map([
+  ['ed25519-pub', 'EdDSA'],
+  ['p256-pub', 'ES256'],
+  ['p384-pub', 'ES384'],
+  ['p521-pub', 'ES512'],
+  ['secp256k1-pub', 'ES256K'],
+  ['rsa-pub', 'RS256']
+]);
+
+/**
+ * Returns the JWS `alg` for signatures created with a public key.
+ *
+ * @param {object} options - Options hashmap.
+ * @param {string} options.publicKeyMultibase - The multibase-encoded,
+ *   multicodec-identified public key.
+ *
+ * @returns {string} Returns the JWS `alg`, e.g., `EdDSA` or `ES256`.
+ */
+export function getJwsAlgorithm({publicKeyMultibase}) {
+  const {codecName} = parseMultibase({multibase: publicKeyMultibase});
+  const alg = JWS_ALGORITHMS.get(codecName);
+  if(!alg) {
+    throw createError({
+      message: `No JWS algorithm for "${codecName}" keys.`,
+      code: 'unsupportedPublicKeyType'
+    });
+  }
+  return alg;
+}
+
+/**
+ * Creates a compact JWS for a `did:key` verification method, such as the key
+ * pair returned by the `methodFor()` function of `fromKeyPair()`. The JWS
+ * `alg` is chosen by the key type and its `kid` is the key pair's `id`.
+ *
+ * @example
+ * const {methodFor} = await didKeyDriver.fromKeyPair({verificationKeyPair});
+ * const jws = await signJws({
+ *   keyPair: methodFor({purpose: 'assertionMethod'}),
+ *   signer: verificationKeyPair.signer(),
+ *   payload
+ * });
+ *
+ * @param {object} options - Options hashmap.
+ * @param {object} options.keyPair - The key pair of the verification method;
+ *   it must have an `id`.
+ * @param {{sign: Function}} [options.signer] - The signer to use (e.g., one
+ *   from a KMS); defaults to `keyPair.signer()`, which requires the key pair
+ *   to include its secret key (the key pairs returned by `methodFor()` are
+ *   public keys only).
+ * @param {Uint8Array|string} options.payload - The payload to sign.
+ * @param {object} [options.header] - Additional protected header parameters;
+ *   `alg` and `kid` are always set from the key pair.
+ *
+ * @returns {Promise<string>} Resolves with the compact JWS.
+ */
+export async function signJws({keyPair, signer, payload, header = {}} = {}) {
+  if(!(keyPair && keyPair.id && typeof keyPair.id === 'string')) {
+    throw new TypeError('"keyPair" must be a key pair with a string "id".');
+  }
+  // a public key pair has no signer (or one that throws), so only default to
+  // it once the key pair is known to be valid
+  if(signer === undefined && typeof keyPair.signer === 'function') {
+    try {
+      signer = keyPair.signer();
+    } catch(e) {
+      // reported as a missing `signer` below
+    }
+  }
+  if(!(signer && typeof signer.sign === 'function')) {
+    throw new TypeError('"signer" must be an object with a "sign()".');
+  }
+  if(typeof payload === 'string') {
+    payload = new TextEncoder().encode(payload);
+  }
+  if(!(payload instanceof Uint8Array)) {
+    throw new TypeError('"payload" must be a Uint8Array or a string.');
+  }
+  const alg = getJwsAlgorithm({
+    publicKeyMultibase: keyPair.publicKeyMultibase || keyPair.fingerprint()
+  });
+  const encodedHeader = _encodeJson({...header, alg, kid: keyPair.id});
+  const signingInput = `${encodedHeader}.${base64url.encode(payload)}`;
+  const signature = await signer.sign({
+    data: new TextEncoder().encode(signingInput)
+  });
+  return `${signingInput}.${base64url.encode(signature)}`;
+}
+
+/**
+ * Creates a JWT (a compact JWS with a JSON claims set payload) signed with a
+ * key pair (see `signJws()`).
+ *
+ * @param {object} options - Options hashmap.
+ * @param {object} options.keyPair - The key pair of the verification method.
+ * @param {{sign: Function}} [options.signer] - The signer to use; defaults
+ *   to `keyPair.signer()`.
+ * @param {object} options.claims - The JWT claims set, e.g.,
+ *   `{iss, sub, exp}`.
+ * @param {object} [options.header] - Additional protected header parameters;
+ *   `typ` defaults to `JWT`.
+ *
+ * @returns {Promise<string>} Resolves with the JWT.
+ */
+export async function signJwt({keyPair, signer, claims, header = {}} = {}) {
+  if(!(claims && typeof claims === 'object' && !Array.isArray(claims))) {
+    throw new TypeError('"claims" must be an object.');
+  }
+  return signJws({
+    keyPair, signer, payload: JSON.stringify(claims),
+    header: {typ: 'JWT', ...header}
+  });
+}
+
+/**
+ * Parses a compact JWS without verifying it.
+ *
+ * @param {object} options - Options hashmap.
+ * @param {string} options.jws - The compact JWS.
+ *
+ * @returns {{header: object, payload: Uint8Array, signature: Uint8Array,
+ *   signingInput: Uint8Array}} Returns the decoded protected header,
+ *   payload and signature and the signed bytes.
+ */
+export function parseJws({jws} = {}) {
+  if(typeof jws !== 'string') {
+    throw new TypeError('"jws" must be a string.');
+  }
+  const parts = jws.split('.');
+  if(parts.length !== 3) {
+    throw createError({
+      message: 'A compact JWS must have three parts.',
+      code: 'invalidJws'
+    });
+  }
+  const [encodedHeader, encodedPayload, encodedSignature] = parts;
+  let header;
+  let payload;
+  let signature;
+  try {
+    header = JSON.parse(new TextDecoder().decode(
+      base64url.decode(encodedHeader)));
+    payload = base64url.decode(encodedPayload);
+    signature = base64url.decode(encodedSignature);
+  } catch(cause) {
+    throw createError({
+      message: 'Invalid compact JWS encoding.',
+      code: 'invalidJws',
+      cause
+    });
+  }
+  if(!(header && typeof header === 'object' && !Array.isArray(header))) {
+    throw createError({
+      message: 'JWS header must be a JSON object.',
+      code: 'invalidJws'
+    });
+  }
+  return {
+    header,
+    payload,
+    signature,
+    signingInput: new TextEncoder().encode(
+      `${encodedHeader}.${encodedPayload}`)
+  };
+}
+
+function _encodeJson(value) {
+  return base64url.encode(new TextEncoder().encode(JSON.stringify(value)));
+}
@@ -0,0 +1,130 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as base64url from 'base64url-universal';
+import {createError} from './helpers.js';
+
+const KEYSTORE_TYPE = 'DidKeyKeystore';
+const KEYSTORE_VERSION = 1;
+// PBKDF2-HMAC-SHA256 iterations for new keystores; imported keystores may
+// use up to `MAX_ITERATIONS`
+const DEFAULT_ITERATIONS = 600000;
+const MAX_ITERATIONS = 10000000;
+// salt and AES-GCM IV sizes, in bytes
+const SALT_SIZE = 16;
+const IV_SIZE = 12;
+
+/**
+ * Encrypts a JSON value (such as exported key pairs) with a key derived from
+ * a passphrase (PBKDF2-HMAC-SHA256) using AES-256-GCM, producing a versioned
+ * JSON keystore. Requires the Web Crypto API (`globalThis.crypto`).
+ *
+ * @param {object} options - Options hashmap.
+ * @param {*} options.data - The JSON value to encrypt.
+ * @param {string} options.passphrase - The passphrase.
+ *
+ * @returns {Promise<object>} Resolves with the keystore.
+ */
+export async function encryptKeystore({data, passphrase}) {
+  _assertPassphrase({passphrase});
+  const salt = globalThis.crypto.getRandomValues(new Uint8Array(SALT_SIZE));
+  const iv = globalThis.crypto.getRandomValues(new Uint8Array(IV_SIZE));
+  const kdf = {
+    name: 'PBKDF2',
+    hash: 'SHA-256',
+    iterations: DEFAULT_ITERATIONS,
+    salt: base64url.encode(salt)
+  };
+  const key = await _deriveKey({passphrase, kdf, salt});
+  const ciphertext = await globalThis.crypto.subtle.encrypt(
+    {name: 'AES-GCM', iv}, key,
+    new TextEncoder().encode(JSON.stringify(data)));
+  return {
+    type: KEYSTORE_TYPE,
+    version: KEYSTORE_VERSION,
+    kdf,
+    cipher: {name: 'AES-GCM', iv: base64url.encode(iv)},
+    ciphertext: base64url.encode(new Uint8Array(ciphertext))
+  };
+}
+
+/**
+ * Decrypts a keystore created by `encryptKeystore()`. Requires the Web Crypto
+ * API (`globalThis.crypto`).
+ *
+ * @param {object} options - Options hashmap.
+ * @param {object|string} options.keystore - The keystore (or its JSON).
+ * @param {string} options.passphrase - The passphrase.
+ *
+ * @returns {Promise<*>} Resolves with the decrypted JSON value.
+ */
+export async function decryptKeystore({keystore, passphrase}) {
+  _assertPassphrase({passphrase});
+  if(typeof keystore === 'string') {
+    try {
+      keystore = JSON.parse(keystore);
+    } catch(cause) {
+      throw createError({
+        message: 'Keystore must be JSON.',
+        code: 'invalidKeystore',
+        cause
+      });
+    }
+  }
+  if(!(keystore && typeof keystore === 'object')) {
+    throw new TypeError('"keystore" must be an object or a JSON string.');
+  }
+  const {type, version, kdf, cipher, ciphertext} = keystore;
+  if(type !== KEYSTORE_TYPE) {
+    throw createError({
+      message: `Keystore "type" must be "${KEYSTORE_TYPE}".`,
+      code: 'invalidKeystore'
+    });
+  }
+  if(version !== KEYSTORE_VERSION) {
+    throw createError({
+      message: `Unsupported keystore version "${version}".`,
+      code: 'invalidKeystore'
+    });
+  }
+  if(!(kdf?.name === 'PBKDF2' && kdf.hash === 'SHA-256' &&
+    Number.isInteger(kdf.iterations) && kdf.iterations > 0 &&
+    kdf.iterations <= MAX_ITERATIONS && cipher?.name === 'AES-GCM')) {
+    throw createError({
+      message: 'Unsupported keystore key derivation or cipher.',
+      code: 'invalidKeystore'
+    });
+  }
+  let plaintext;
+  try {
+    const key = await _deriveKey({
+      passphrase, kdf, salt: base64url.decode(kdf.salt)
+    });
+    plaintext = await globalThis.crypto.subtle.decrypt(
+      {name: 'AES-GCM', iv: base64url.decode(cipher.iv)}, key,
+      base64url.decode(ciphertext));
+  } catch(cause) {
+    throw createError({
+      message: 'Keystore decryption failed; the passphrase may be wrong.',
+      code: 'invalidKeystore',
+      cause
+    });
+  }
+  return JSON.parse(new TextDecoder().decode(plaintext));
+}
+
+async function _deriveKey({passphrase, kdf: {hash, iterations}, salt}) {
+  const {subtle} = globalThis.crypto;
+  const baseKey = await subtle.importKey(
+    'raw', new TextEncoder().encode(passphrase), 'PBKDF2', false,
+    ['deriveKey']);
+  return subtle.deriveKey(
+    {name: 'PBKDF2', hash, iterations, salt}, baseKey,
+    {name: 'AES-GCM', length: 256}, false, ['encrypt', 'decrypt']);
+}
+
+function _assertPassphrase({passphrase}) {
+  if(!(passphrase && typeof passphrase === 'string')) {
+    throw new TypeError('"passphrase" must be a non-empty string.');
+  }
+}
@@ -0,0 +1,118 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as base58btc from 'base58-universal';
+
+// public key multicodecs that may appear in a `did:key` DID; `keyType` names
+// the algorithm or curve of the key and `keyLength` is the expected public key
+// size in bytes (`undefined` when it is variable)
+const PUBLIC_KEY_CODECS = [
+  {code: 0xe7, name: 'secp256k1-pub', keyType: 'secp256k1', keyLength: 33},
+  {code: 0xea, name: 'bls12_381-g1-pub', keyType: 'Bls12381G1', keyLength: 48},
+  {code: 0xeb, name: 'bls12_381-g2-pub', keyType: 'Bls12381G2', keyLength: 96},
+  {code: 0xec, name: 'x25519-pub', keyType: 'X25519', keyLength: 32},
+  {code: 0xed, name: 'ed25519-pub', keyType: 'Ed25519', keyLength: 32},
+  {code: 0x1200, name: 'p256-pub', keyType: 'P-256', keyLength: 33},
+  {code: 0x1201, name: 'p384-pub', keyType: 'P-384', keyLength: 49},
+  {code: 0x1202, name: 'p521-pub', keyType: 'P-521', keyLength: 67},
+  {code: 0x1205, name: 'rsa-pub', keyType: 'RSA'}
+];
+
+export const codecsByCode = new Map(
+  PUBLIC_KEY_CODECS.map(codec => [codec.code, codec]));
+export const codecsByName = new Map(
+  PUBLIC_KEY_CODECS.map(codec => [codec.name, codec]));
+
+/**
+ * Decodes an unsigned varint (as used by multicodec) from the start of the
+ * given bytes.
+ *
+ * @param {object} options - Options hashmap.
+ * @param {Uint8Array} options.bytes - The bytes to decode from.
+ *
+ * @returns {{value: number, length: number}} Returns the decoded value and
+ *   the number of bytes it occupied.
+ */
+export function decodeVarint({bytes}) {
+  let value = 0;
+  // multicodec varints are limited to 9 bytes, but codes in practice fit in
+  // far fewer; 4 bytes keeps the arithmetic within safe integer range
+  for(let i = 0; i < bytes.length && i < 4; ++i) {
+    const byte = bytes[i];
+    value += (byte & 0x7f) * (2 ** (7 * i));
+    if((byte & 0x80) === 0) {
+      if(i > 0 && byte === 0) {
+        throw new Error('Varint is not minimally encoded.');
+      }
+      return {value, length: i + 1};
+    }
+  }
+  throw new Error('Invalid or unsupported varint.');
+}
+
+/**
+ * Encodes a number as an unsigned varint (as used by multicodec).
+ *
+ * @param {object} options - Options hashmap.
+ * @param {number} options.value - The value to encode.
+ *
+ * @returns {Uint8Array} Returns the encoded bytes.
+ */
+export function encodeVarint({value}) {
+  const bytes = [];
+  do {
+    let byte = value & 0x7f;
+    value = Math.floor(value / 128);
+    if(value > 0) {
+      byte |= 0x80;
+    }
+    bytes.push(byte);
+  } while(value > 0);
+  return new Uint8Array(bytes);
+}
+
+/**
+ * Encodes a public key as a base58btc multibase, multicodec-identified value
+ * (as used in a `did:key` DID and in `publicKeyMultibase`).
+ *
+ * @param {object} options - Options hashmap.
+ * @param {number} options.codec - The multicodec code of the public key.
+ * @param {Uint8Array} options.publicKeyBytes - The raw public key bytes.
+ *
+ * @returns {string} Returns the multibase value.
+ */
+export function encodeMultibase({codec, publicKeyBytes}) {
+  const header = encodeVarint({value: codec});
+  const bytes = new Uint8Array(header.length + publicKeyBytes.length);
+  bytes.set(header);
+  bytes.set(publicKeyBytes, header.length);
+  return `z${base58btc.encode(bytes)}`;
+}
+
+/**
+ * Returns the public key multicodec whose multibase values (see
+ * `encodeMultibase()`) start with a multibase-multikey header, such as
+ * `z6Mk` for Ed25519 keys.
+ *
+ * @param {object} options - Options hashmap.
+ * @param {string} options.multibaseMultikeyHeader - The header.
+ *
+ * @returns {object|undefined} Returns the multicodec (`{code, name, keyType,
+ *   keyLength}`), or `undefined` if the header does not identify exactly one
+ *   fixed-size key multicodec.
+ */
+export function getCodecByMultikeyHeader({multibaseMultikeyHeader}) {
+  const {length} = multibaseMultikeyHeader;
+  const matches = PUBLIC_KEY_CODECS.filter(({code, keyLength}) => {
+    if(keyLength === undefined) {
+      return false;
+    }
+    // base58btc values of the same length sort like the bytes they encode,
+    // so the values of the smallest and largest keys bound all of them
+    const [low, high] = [0x00, 0xff].map(byte => encodeMultibase({
+      codec: code, publicKeyBytes: new Uint8Array(keyLength).fill(byte)
+    }).slice(0, length));
+    return low <= multibaseMultikeyHeader && multibaseMultikeyHeader <= high;
+  });
+  return matches.length === 1 ? matches[0] : undefined;
+}
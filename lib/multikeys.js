@@ -0,0 +1,171 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import {MULTIKEY_CONTEXT_V1_URL, MULTIKEY_TYPE} from './constants.js';
+import {parseRsaPublicKey, verifyRsaSignature} from './rsa.js';
+import {sha256, sha512} from '@noble/hashes/sha2';
+import {createError} from './helpers.js';
+import {p521} from '@noble/curves/p521';
+import {parseMultibase} from './parser.js';
+import {secp256k1} from '@noble/curves/secp256k1';
+
+/**
+ * A public key only `Multikey` key pair interface, like the one returned by
+ * `from()` in the `@digitalbazaar/*-multikey` libraries, for key types that
+ * have no such library.
+ */
+class PublicMultikey {
+  /**
+   * @param {object} options - Options hashmap.
+   * @param {string} options.publicKeyMultibase - The multibase-encoded,
+   *   multicodec-identified public key.
+   * @param {string} [options.id] - The key id.
+   * @param {string} [options.controller] - The key controller.
+   * @param {{algorithm: string, verify: Function}} options.signature - The
+   *   signature algorithm name and a function that is given
+   *   `{publicKeyBytes, data, signature}` and returns whether the signature
+   *   is valid.
+   */
+  constructor({publicKeyMultibase, id, controller, signature}) {
+    this.publicKeyMultibase = publicKeyMultibase;
+    this.id = id;
+    this.controller = controller;
+    this._signature = signature;
+  }
+
+  /**
+   * Returns the public key fingerprint (its `publicKeyMultibase`), as used
+   * in a `did:key` DID.
+   *
+   * @returns {string} Returns the fingerprint.
+   */
+  fingerprint() {
+    return this.publicKeyMultibase;
+  }
+
+  /**
+   * Returns a verifier for signatures created with the key.
+   *
+   * @returns {{algorithm: string, id: string, verify: Function}} Returns the
+   *   verifier; `verify({data, signature})` resolves to `true` if the
+   *   signature is valid.
+   */
+  verifier() {
+    const {algorithm, verify} = this._signature;
+    const {publicKeyBytes} = parseMultibase({
+      multibase: this.publicKeyMultibase
+    });
+    return {
+      algorithm,
+      id: this.id,
+      async verify({data, signature}) {
+        try {
+          return verify({publicKeyBytes, data, signature});
+        } catch(e) {
+          // malformed signatures are not valid
+          return false;
+        }
+      }
+    };
+  }
+
+  /**
+   * Exports the public key as a `Multikey` verification method.
+   *
+   * @param {object} [options] - Options hashmap.
+   * @param {boolean} [options.publicKey=true] - Must be `true`; only public
+   *   keys are supported.
+   * @param {boolean} [options.includeContext=true] - Set to `false` to omit
+   *   the `@context`.
+   *
+   * @returns {Promise<object>} Resolves with the verification method.
+   */
+  async export({publicKey = true, includeContext = true} = {}) {
+    if(!publicKey) {
+      throw new TypeError('Only public keys can be exported.');
+    }
+    const exported = {};
+    if(includeContext) {
+      exported['@context'] = MULTIKEY_CONTEXT_V1_URL;
+    }
+    return Object.assign(exported, {
+      id: this.id,
+      type: MULTIKEY_TYPE,
+      controller: this.controller,
+      publicKeyMultibase: this.publicKeyMultibase
+    });
+  }
+}
+
+/**
+ * Deserializer for secp256k1 public keys (`did:key:zQ3s...`); its key pairs
+ * verify `ES256K` signatures.
+ */
+export const Secp256k1Multikey = _createMultikeyType({
+  multicodec: 'secp256k1-pub',
+  validate: ({publicKeyBytes}) => secp256k1.ProjectivePoint.fromHex(
+    publicKeyBytes).assertValidity(),
+  signature: {
+    algorithm: 'ES256K',
+    verify: ({publicKeyBytes, data, signature}) => secp256k1.verify(
+      secp256k1.Signature.fromCompact(signature), sha256(data),
+      publicKeyBytes, {lowS: false})
+  }
+});
+
+/**
+ * Deserializer for P-521 public keys (`did:key:z2J9...`); its key pairs
+ * verify `ES512` signatures.
+ */
+export const P521Multikey = _createMultikeyType({
+  multicodec: 'p521-pub',
+  validate: ({publicKeyBytes}) => p521.ProjectivePoint.fromHex(
+    publicKeyBytes).assertValidity(),
+  signature: {
+    algorithm: 'ES512',
+    verify: ({publicKeyBytes, data, signature}) => p521.verify(
+      p521.Signature.fromCompact(signature), sha512(data), publicKeyBytes)
+  }
+});
+
+/**
+ * Deserializer for RSA public keys (e.g., `did:key:z4MX...` for RSA-2048 and
+ * `did:key:zgg...` for RSA-4096 keys); since the multibase-multikey header
+ * of an RSA key depends on its size, register it by multicodec. Its key
+ * pairs verify `RS256` signatures.
+ */
+export const RsaMultikey = _createMultikeyType({
+  multicodec: 'rsa-pub',
+  validate: parseRsaPublicKey,
+  signature: {algorithm: 'RS256', verify: verifyRsaSignature}
+});
+
+// creates a `{multicodec, from}` deserializer for `use()`; `validate` is
+// given the public key bytes and throws if they are not a valid key and
+// `signature` is the signature algorithm of the key type's key pairs
+function _createMultikeyType({multicodec, validate, signature}) {
+  async function from({publicKeyMultibase, id, controller} = {}) {
+    const {codecName, publicKeyBytes} = parseMultibase({
+      multibase: publicKeyMultibase
+    });
+    if(codecName !== multicodec) {
+      throw createError({
+        message: `"publicKeyMultibase" must be a "${multicodec}" public key.`,
+        code: 'invalidPublicKey'
+      });
+    }
+    try {
+      validate({publicKeyBytes});
+    } catch(cause) {
+      throw createError({
+        message: `Invalid "${multicodec}" public key.`,
+        code: 'invalidPublicKey',
+        cause
+      });
+    }
+    return new PublicMultikey({
+      publicKeyMultibase, id, controller, signature
+    });
+  }
+  return {multicodec, from};
+}
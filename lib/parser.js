@@ -0,0 +1,317 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as base58btc from 'base58-universal';
+import {codecsByCode, decodeVarint} from './multicodec.js';
+import {createError} from './helpers.js';
+import {p256} from '@noble/curves/p256';
+import {p384} from '@noble/curves/p384';
+import {p521} from '@noble/curves/p521';
+import {secp256k1} from '@noble/curves/secp256k1';
+
+const METHOD = 'key';
+const PEER_METHOD = 'peer';
+const PEER_NUMALGO_0_PREFIX = 'did:peer:0';
+const PEER_NUMALGO_2_PREFIX = 'did:peer:2';
+// did:peer numalgo 2 element purpose codes, see the did:peer specification
+const PEER_PURPOSES = new Map([
+  ['A', 'assertionMethod'],
+  ['E', 'keyAgreement'],
+  ['V', 'authentication'],
+  ['I', 'capabilityInvocation'],
+  ['D', 'capabilityDelegation'],
+  ['S', 'service']
+]);
+const BASE58BTC_MULTIBASE_REGEX = /^z[1-9A-HJ-NP-Za-km-z]+$/;
+const VERSION_REGEX = /^[1-9][0-9]*$/;
+const SUPPORTED_VERSION = '1';
+// splits a DID URL into its DID, path, query and fragment, see RFC 3986
+const DID_URL_REGEX = /^(did:[^/?#]*)([^?#]*)(?:\?([^#]*))?(?:#(.*))?$/;
+// `pchar` characters (plus `/` and `?`) or percent-encoded octets
+const PATH_REGEX = /^(?:[A-Za-z0-9\-._~!$&'()*+,;=:@/]|%[0-9A-Fa-f]{2})*$/;
+const QUERY_OR_FRAGMENT_REGEX =
+  /^(?:[A-Za-z0-9\-._~!$&'()*+,;=:@/?]|%[0-9A-Fa-f]{2})*$/;
+// the curves of the EC public key codecs; keys are compressed points
+const EC_CURVES_BY_CODEC = new Map([
+  ['secp256k1-pub', secp256k1],
+  ['p256-pub', p256],
+  ['p384-pub', p384],
+  ['p521-pub', p521]
+]);
+
+/**
+ * Parses a `did:key` DID (or a DID URL with a fragment) as specified in the
+ * `did:key` method specification.
+ *
+ * @param {object} options - Options hashmap.
+ * @param {string} options.did - The DID or DID URL to parse.
+ *
+ * @returns {{did: string, method: string, version: string,
+ *   multibase: string, codec: number, codecName: string,
+ *   publicKeyBytes: Uint8Array, multibaseMultikeyHeader: string,
+ *   fragment: string}} Returns the parsed DID; `fragment` is `undefined` if
+ *   no fragment was given.
+ */
+export function parseDidKey({did} = {}) {
+  if(!(did && typeof did === 'string')) {
+    throw createError({message: '"did" must be a string.', code: 'invalidDid'});
+  }
+  const [didAuthority, fragment, ...rest] = did.split('#');
+  const [scheme, method, ...identifiers] = didAuthority.split(':');
+  if(scheme !== 'did' || !method || rest.length > 0) {
+    throw createError({message: `Invalid DID "${did}".`, code: 'invalidDid'});
+  }
+  if(method !== METHOD) {
+    throw createError({
+      message: `Unsupported DID method "${method}".`,
+      code: 'methodNotSupported'
+    });
+  }
+  let version = SUPPORTED_VERSION;
+  let multibase;
+  if(identifiers.length === 2) {
+    [version, multibase] = identifiers;
+    if(!(VERSION_REGEX.test(version) && version === SUPPORTED_VERSION)) {
+      throw createError({
+        message: `Invalid or unsupported did:key version "${version}".`,
+        code: 'invalidDid'
+      });
+    }
+  } else if(identifiers.length === 1) {
+    [multibase] = identifiers;
+  } else {
+    throw createError({message: `Invalid DID "${did}".`, code: 'invalidDid'});
+  }
+  // paths and queries are not supported by did:key
+  if(/[/?]/.test(multibase)) {
+    throw createError({
+      message: `DID "${did}" must not contain a path or query.`,
+      code: 'invalidDid'
+    });
+  }
+  const parsed = parseMultibase({multibase});
+  return {
+    did: `did:${METHOD}:${multibase}`,
+    method: METHOD,
+    version,
+    ...parsed,
+    fragment
+  };
+}
+
+/**
+ * Parses a `did:peer` DID with numalgo 0 (or a DID URL with a fragment).
+ * Such a DID is a `did:key` DID with a different prefix, so it is parsed
+ * using the `did:key` rules.
+ *
+ * @param {object} options - Options hashmap.
+ * @param {string} options.did - The DID or DID URL to parse.
+ *
+ * @returns {object} Returns the parsed DID (see `parseDidKey()`), with
+ *   `method` set to `peer`, `numalgo` set to `0` and `did` set to the
+ *   `did:peer` DID without its fragment.
+ */
+export function parseDidPeer0({did} = {}) {
+  if(!(did && typeof did === 'string')) {
+    throw createError({message: '"did" must be a string.', code: 'invalidDid'});
+  }
+  if(!did.startsWith(`did:${PEER_METHOD}:`)) {
+    throw createError({message: `Invalid DID "${did}".`, code: 'invalidDid'});
+  }
+  if(!did.startsWith(PEER_NUMALGO_0_PREFIX)) {
+    throw createError({
+      message: `Unsupported did:peer numalgo in "${did}"; only numalgo 0 ` +
+        'DIDs can be resolved.',
+      code: 'methodNotSupported'
+    });
+  }
+  const parsed = parseDidKey({
+    did: `did:${METHOD}:${did.slice(PEER_NUMALGO_0_PREFIX.length)}`
+  });
+  return {
+    ...parsed,
+    did: `${PEER_NUMALGO_0_PREFIX}${parsed.multibase}`,
+    method: PEER_METHOD,
+    numalgo: 0
+  };
+}
+
+/**
+ * Parses a `did:peer` DID with numalgo 2 into its elements.
+ *
+ * @param {object} options - Options hashmap.
+ * @param {string} options.did - The DID to parse.
+ *
+ * @returns {{did: string, method: string, numalgo: number,
+ *   elements: Array<{purpose: string, value: string}>}} Returns the parsed
+ *   DID; each element has the verification relationship (e.g.,
+ *   `keyAgreement`) or `service` it is for and its value, which is a
+ *   multibase-encoded public key (see `parseMultibase()`) or an encoded
+ *   service.
+ */
+export function parseDidPeer2({did} = {}) {
+  if(!(did && typeof did === 'string')) {
+    throw createError({message: '"did" must be a string.', code: 'invalidDid'});
+  }
+  if(!did.startsWith(`${PEER_NUMALGO_2_PREFIX}.`) || /[#/?]/.test(did)) {
+    throw createError({
+      message: `Invalid did:peer numalgo 2 DID "${did}".`,
+      code: 'invalidDid'
+    });
+  }
+  const elements = did.slice(PEER_NUMALGO_2_PREFIX.length + 1).split('.')
+    .map(element => {
+      const purpose = PEER_PURPOSES.get(element[0]);
+      const value = element.slice(1);
+      if(!(purpose && value)) {
+        throw createError({
+          message: `Invalid did:peer numalgo 2 element "${element}".`,
+          code: 'invalidDid'
+        });
+      }
+      if(purpose !== 'service') {
+        parseMultibase({multibase: value});
+      }
+      return {purpose, value};
+    });
+  return {did, method: PEER_METHOD, numalgo: 2, elements};
+}
+
+/**
+ * Parses a `did:key` DID or a `did:peer` DID with numalgo 0 (see
+ * `parseDidKey()` and `parseDidPeer0()`).
+ *
+ * @param {object} options - Options hashmap.
+ * @param {string} options.did - The DID or DID URL to parse.
+ *
+ * @returns {object} Returns the parsed DID.
+ */
+export function parseDid({did} = {}) {
+  if(typeof did === 'string' && did.startsWith(`did:${PEER_METHOD}:`)) {
+    return parseDidPeer0({did});
+  }
+  return parseDidKey({did});
+}
+
+/**
+ * Parses a `did:key` (or `did:peer` numalgo 0) DID URL, which may include a
+ * path, a query and a fragment (as specified by DID Core and RFC 3986).
+ *
+ * @param {object} options - Options hashmap.
+ * @param {string} options.didUrl - The DID URL to parse.
+ *
+ * @returns {{didUrl: string, did: string, path: string, query: string,
+ *   fragment: string}} Returns the parsed DID URL, including the parsed DID
+ *   (see `parseDid()`); `path`, `query` and `fragment` are `undefined`
+ *   if not given.
+ */
+export function parseDidUrl({didUrl} = {}) {
+  if(!(didUrl && typeof didUrl === 'string')) {
+    throw createError({
+      message: '"didUrl" must be a string.',
+      code: 'invalidDidUrl'
+    });
+  }
+  const match = DID_URL_REGEX.exec(didUrl);
+  if(!match) {
+    throw createError({
+      message: `Invalid DID URL "${didUrl}".`,
+      code: 'invalidDidUrl'
+    });
+  }
+  const [, did, path, query, fragment] = match;
+  if(!(PATH_REGEX.test(path) &&
+    (query === undefined || QUERY_OR_FRAGMENT_REGEX.test(query)) &&
+    (fragment === undefined || QUERY_OR_FRAGMENT_REGEX.test(fragment)))) {
+    throw createError({
+      message: `Invalid DID URL "${didUrl}".`,
+      code: 'invalidDidUrl'
+    });
+  }
+  if(fragment === '') {
+    throw createError({
+      message: `DID URL "${didUrl}" has an empty fragment.`,
+      code: 'invalidDidUrl'
+    });
+  }
+  return {
+    ...parseDid({did}),
+    didUrl,
+    path: path || undefined,
+    query,
+    fragment
+  };
+}
+
+/**
+ * Parses a base58btc multibase-encoded, multicodec-identified public key.
+ *
+ * @param {object} options - Options hashmap.
+ * @param {string} options.multibase - The multibase value to parse.
+ *
+ * @returns {{multibase: string, codec: number, codecName: string,
+ *   publicKeyBytes: Uint8Array, multibaseMultikeyHeader: string}} Returns
+ *   the parsed value; `codecName` is `undefined` for an unknown codec.
+ */
+export function parseMultibase({multibase} = {}) {
+  if(!(multibase && typeof multibase === 'string' &&
+    BASE58BTC_MULTIBASE_REGEX.test(multibase))) {
+    throw createError({
+      message: `"${multibase}" must be a base58btc multibase value.`,
+      code: 'invalidDid'
+    });
+  }
+  const bytes = base58btc.decode(multibase.slice(1));
+  let codec;
+  let headerLength;
+  try {
+    ({value: codec, length: headerLength} = decodeVarint({bytes}));
+  } catch(cause) {
+    throw createError({
+      message: `Invalid multicodec header in "${multibase}".`,
+      code: 'invalidDid',
+      cause
+    });
+  }
+  const publicKeyBytes = bytes.subarray(headerLength);
+  const {name: codecName, keyLength} = codecsByCode.get(codec) || {};
+  if(keyLength !== undefined && publicKeyBytes.length !== keyLength) {
+    throw createError({
+      message: `Invalid "${codecName}" public key length; expected ` +
+        `${keyLength} bytes but got ${publicKeyBytes.length}.`,
+      code: 'invalidPublicKeyLength'
+    });
+  }
+  const curve = EC_CURVES_BY_CODEC.get(codecName);
+  if(curve) {
+    _assertCompressedPoint({codecName, curve, publicKeyBytes});
+  }
+  return {
+    multibase,
+    codec,
+    codecName,
+    publicKeyBytes,
+    multibaseMultikeyHeader: multibase.slice(0, 4)
+  };
+}
+
+// throws if the public key is not a compressed point on the curve
+function _assertCompressedPoint({codecName, curve, publicKeyBytes}) {
+  if(!(publicKeyBytes[0] === 0x02 || publicKeyBytes[0] === 0x03)) {
+    throw createError({
+      message: `Invalid "${codecName}" public key; ` +
+        'expected a compressed point.',
+      code: 'invalidPublicKey'
+    });
+  }
+  try {
+    curve.ProjectivePoint.fromHex(publicKeyBytes).assertValidity();
+  } catch(cause) {
+    throw createError({
+      message: `Invalid "${codecName}" public key; ` +
+        'the point is not on the curve.',
+      code: 'invalidPublicKey',
+      cause
+    });
+  }
+}
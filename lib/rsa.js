@@ -0,0 +1,250 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import {createError} from './helpers.js';
+import {sha256} from '@noble/hashes/sha2';
+
+// DER tags used by a PKCS #1 `RSAPublicKey`
+const DER_INTEGER = 0x02;
+const DER_SEQUENCE = 0x30;
+// smallest and largest RSA modulus accepted, in bits
+const MIN_MODULUS_BITS = 2048;
+const MAX_MODULUS_BITS = 8192;
+// largest RSA public exponent accepted, in bits; verification time grows with
+// the exponent and the exponent is chosen by whoever makes the key, so large
+// ones are rejected (the common exponent is 65537)
+const MAX_EXPONENT_BITS = 32;
+// DER `DigestInfo` prefix for a SHA-256 digest, see RFC 8017 Section 9.2
+const SHA256_DIGEST_INFO_PREFIX = new Uint8Array([
+  0x30, 0x31, 0x30, 0x0d, 0x06, 0x09, 0x60, 0x86, 0x48, 0x01, 0x65, 0x03,
+  0x04, 0x02, 0x01, 0x05, 0x00, 0x04, 0x20
+]);
+
+/**
+ * Parses an RSA public key encoded as a DER PKCS #1 `RSAPublicKey` (as used
+ * by the `rsa-pub` multicodec), see RFC 8017.
+ *
+ * @param {object} options - Options hashmap.
+ * @param {Uint8Array} options.publicKeyBytes - The DER-encoded public key.
+ *
+ * @returns {{n: Uint8Array, e: Uint8Array}} Returns the modulus and the
+ *   public exponent as unsigned big-endian integers (without leading zero
+ *   bytes); the modulus must be 2048 to 8192 bits and the exponent an odd
+ *   value of at most 32 bits.
+ */
+export function parseRsaPublicKey({publicKeyBytes}) {
+  try {
+    const sequence = _readElement({
+      bytes: publicKeyBytes, offset: 0, tag: DER_SEQUENCE
+    });
+    if(sequence.end !== publicKeyBytes.length) {
+      throw new Error('Unexpected data after "RSAPublicKey".');
+    }
+    const modulus = _readElement({
+      bytes: publicKeyBytes, offset: sequence.start, tag: DER_INTEGER
+    });
+    const exponent = _readElement({
+      bytes: publicKeyBytes, offset: modulus.end, tag: DER_INTEGER
+    });
+    if(exponent.end !== sequence.end) {
+      throw new Error('Unexpected data in "RSAPublicKey".');
+    }
+    const n = _readUnsignedInteger({bytes: publicKeyBytes, ...modulus});
+    const e = _readUnsignedInteger({bytes: publicKeyBytes, ...exponent});
+    const modulusBits = _bitLength({bytes: n});
+    if(modulusBits < MIN_MODULUS_BITS || modulusBits > MAX_MODULUS_BITS) {
+      throw new Error(`RSA modulus must be ${MIN_MODULUS_BITS} to ` +
+        `${MAX_MODULUS_BITS} bits.`);
+    }
+    if(_bitLength({bytes: e}) > MAX_EXPONENT_BITS) {
+      throw new Error(
+        `RSA public exponent must be at most ${MAX_EXPONENT_BITS} bits.`);
+    }
+    if(e.length === 0 || (e[e.length - 1] & 1) === 0) {
+      throw new Error('RSA public exponent must be odd.');
+    }
+    return {n, e};
+  } catch(cause) {
+    throw createError({
+      message: `Invalid "rsa-pub" public key; ${cause.message}`,
+      code: 'invalidPublicKey',
+      cause
+    });
+  }
+}
+
+/**
+ * Encodes an RSA public key as a DER PKCS #1 `RSAPublicKey` (as used by the
+ * `rsa-pub` multicodec).
+ *
+ * @param {object} options - Options hashmap.
+ * @param {Uint8Array} options.n - The modulus as an unsigned big-endian
+ *   integer.
+ * @param {Uint8Array} options.e - The public exponent as an unsigned
+ *   big-endian integer.
+ *
+ * @returns {Uint8Array} Returns the DER-encoded public key.
+ */
+export function encodeRsaPublicKey({n, e}) {
+  const content = _concat([
+    _encodeElement({tag: DER_INTEGER, value: _toSignedInteger({bytes: n})}),
+    _encodeElement({tag: DER_INTEGER, value: _toSignedInteger({bytes: e})})
+  ]);
+  return _encodeElement({tag: DER_SEQUENCE, value: content});
+}
+
+/**
+ * Verifies an RSASSA-PKCS1-v1_5 signature with SHA-256 (`RS256`), see
+ * RFC 8017.
+ *
+ * @param {object} options - Options hashmap.
+ * @param {Uint8Array} options.publicKeyBytes - The DER-encoded public key.
+ * @param {Uint8Array} options.data - The signed data.
+ * @param {Uint8Array} options.signature - The signature.
+ *
+ * @returns {boolean} Returns `true` if the signature is valid.
+ */
+export function verifyRsaSignature({publicKeyBytes, data, signature}) {
+  const {n, e} = parseRsaPublicKey({publicKeyBytes});
+  if(signature.length !== n.length) {
+    return false;
+  }
+  const modulus = _toBigInt({bytes: n});
+  const s = _toBigInt({bytes: signature});
+  if(s >= modulus) {
+    return false;
+  }
+  const encoded = _toBytes({
+    value: _modPow({base: s, exponent: _toBigInt({bytes: e}), modulus}),
+    length: n.length
+  });
+  // EMSA-PKCS1-v1_5: `0x00 || 0x01 || 0xff... || 0x00 || DigestInfo`
+  const digestInfo = _concat([SHA256_DIGEST_INFO_PREFIX, sha256(data)]);
+  const expected = new Uint8Array(n.length).fill(0xff);
+  expected[0] = 0x00;
+  expected[1] = 0x01;
+  expected[n.length - digestInfo.length - 1] = 0x00;
+  expected.set(digestInfo, n.length - digestInfo.length);
+  let diff = 0;
+  for(let i = 0; i < expected.length; ++i) {
+    diff |= expected[i] ^ encoded[i];
+  }
+  return diff === 0;
+}
+
+function _toBigInt({bytes}) {
+  let value = 0n;
+  for(const byte of bytes) {
+    value = (value << 8n) | BigInt(byte);
+  }
+  return value;
+}
+
+function _toBytes({value, length}) {
+  const bytes = new Uint8Array(length);
+  for(let i = length - 1; i >= 0; --i) {
+    bytes[i] = Number(value & 0xffn);
+    value >>= 8n;
+  }
+  return bytes;
+}
+
+function _modPow({base, exponent, modulus}) {
+  let result = 1n;
+  base %= modulus;
+  while(exponent > 0n) {
+    if(exponent & 1n) {
+      result = (result * base) % modulus;
+    }
+    base = (base * base) % modulus;
+    exponent >>= 1n;
+  }
+  return result;
+}
+
+// reads the DER element with the given tag at `offset`; returns the offsets
+// of its content
+function _readElement({bytes, offset, tag}) {
+  if(bytes[offset] !== tag) {
+    throw new Error(`Expected DER tag "${tag}" at offset ${offset}.`);
+  }
+  let start = offset + 2;
+  let length = bytes[offset + 1];
+  if(length === undefined) {
+    throw new Error('Unexpected end of data.');
+  }
+  if(length & 0x80) {
+    // long form; the low bits give the number of length bytes
+    const lengthSize = length & 0x7f;
+    if(lengthSize === 0 || lengthSize > 4) {
+      throw new Error('Unsupported DER length.');
+    }
+    length = 0;
+    for(let i = 0; i < lengthSize; ++i) {
+      length = length * 256 + bytes[start + i];
+    }
+    start += lengthSize;
+    if(length < 0x80 || bytes[offset + 2] === 0) {
+      throw new Error('DER length is not minimally encoded.');
+    }
+  }
+  const end = start + length;
+  if(!(end <= bytes.length)) {
+    throw new Error('Unexpected end of data.');
+  }
+  return {start, end};
+}
+
+// returns the unsigned value of a (non-negative) DER integer
+function _readUnsignedInteger({bytes, start, end}) {
+  if(start === end || bytes[start] & 0x80) {
+    throw new Error('RSA integers must be positive.');
+  }
+  if(bytes[start] === 0 && end - start > 1 && !(bytes[start + 1] & 0x80)) {
+    throw new Error('DER integer is not minimally encoded.');
+  }
+  return bytes.slice(bytes[start] === 0 ? start + 1 : start, end);
+}
+
+function _bitLength({bytes}) {
+  if(bytes.length === 0) {
+    return 0;
+  }
+  return (bytes.length - 1) * 8 + bytes[0].toString(2).length;
+}
+
+// strips leading zero bytes and adds one if needed to keep the value positive
+function _toSignedInteger({bytes}) {
+  let start = 0;
+  while(start < bytes.length - 1 && bytes[start] === 0) {
+    ++start;
+  }
+  const value = bytes.subarray(start);
+  return value[0] & 0x80 ? _concat([new Uint8Array([0]), value]) : value;
+}
+
+function _encodeElement({tag, value}) {
+  let header;
+  if(value.length < 0x80) {
+    header = [tag, value.length];
+  } else {
+    const lengthBytes = [];
+    for(let length = value.length; length > 0; length = Math.floor(
+      length / 256)) {
+      lengthBytes.unshift(length & 0xff);
+    }
+    header = [tag, 0x80 | lengthBytes.length, ...lengthBytes];
+  }
+  return _concat([new Uint8Array(header), value]);
+}
+
+function _concat(arrays) {
+  const bytes = new Uint8Array(
+    arrays.reduce((length, array) => length + array.length, 0));
+  let offset = 0;
+  for(const array of arrays) {
+    bytes.set(array, offset);
+    offset += array.length;
+  }
+  return bytes;
+}
@@ -0,0 +1,203 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import {
+  DID_JSON_CONTENT_TYPE, DID_LD_JSON_CONTENT_TYPE, DID_RESOLUTION_CONTENT_TYPE
+} from './constants.js';
+import {createDefaultDriver} from './defaultDriver.js';
+import http from 'node:http';
+
+// the Universal Resolver driver endpoint; the DID (URL) is the rest of the
+// path, percent-encoded (a fragment must be sent as `%23`)
+const IDENTIFIERS_PATH = '/1.0/identifiers/';
+
+// the DID Resolution Result media type used by the Universal Resolver
+const LD_JSON_CONTENT_TYPE = 'application/ld+json';
+const DID_RESOLUTION_PROFILE = 'https://w3id.org/did-resolution';
+
+// HTTP status codes for DID Resolution errors, see the DID Resolution HTTP(S)
+// binding; other errors are `500`
+const STATUS_CODES = new Map([
+  ['invalidDid', 400],
+  ['invalidDidUrl', 400],
+  ['invalidPublicKey', 400],
+  ['invalidPublicKeyLength', 400],
+  ['notFound', 404],
+  ['representationNotSupported', 406],
+  ['methodNotSupported', 501],
+  ['unsupportedPublicKeyType', 501]
+]);
+
+/**
+ * Creates a request handler that serves the Universal Resolver driver
+ * interface, `GET /1.0/identifiers/{did}`, for `did:key` DIDs and DID URLs
+ * (e.g., a key id, with its `#` sent as `%23`). The `Accept` header selects
+ * the response: `application/did+ld+json` or `application/did+json` for the
+ * DID Document (or the dereferenced key node) and
+ * `application/did-resolution+json` (the default) for the DID Resolution (or
+ * dereferencing) Result. Errors are reported in a DID Resolution Result with
+ * the matching HTTP status code, e.g., `400` for `invalidDid`.
+ *
+ * @example
+ * http.createServer(createRequestHandler({didKeyDriver})).listen(8080);
+ *
+ * @param {object} [options] - Options hashmap.
+ * @param {object} [options.didKeyDriver] - The driver to resolve with;
+ *   defaults to a driver that has every key type this library supports
+ *   registered.
+ *
+ * @returns {Function} Returns an `async (request, response)` handler for
+ *   `http.createServer()`.
+ */
+export function createRequestHandler({
+  didKeyDriver = createDefaultDriver()
+} = {}) {
+  return async function handleRequest(request, response) {
+    try {
+      const {
+        status, headers, contentType, body
+      } = await _handle({didKeyDriver, request});
+      _send({response, status, headers, contentType, body});
+    } catch(e) {
+      _send({
+        response, status: 500,
+        body: _errorResult({error: 'internalError', errorMessage: e.message})
+      });
+    }
+  };
+}
+
+/**
+ * Creates an HTTP server that serves the Universal Resolver driver interface
+ * (see `createRequestHandler()`). The server is not started; call
+ * `listen()` on it.
+ *
+ * @example
+ * import {createServer} from '@digitalbazaar/did-method-key/server';
+ *
+ * createServer().listen(8080);
+ *
+ * @param {object} [options] - Options hashmap.
+ * @param {object} [options.didKeyDriver] - The driver to resolve with; see
+ *   `createRequestHandler()`.
+ *
+ * @returns {http.Server} Returns the server.
+ */
+export function createServer({didKeyDriver} = {}) {
+  return http.createServer(createRequestHandler({didKeyDriver}));
+}
+
+async function _handle({didKeyDriver, request}) {
+  const {pathname} = new URL(request.url, 'http://localhost');
+  if(!pathname.startsWith(IDENTIFIERS_PATH)) {
+    return {
+      status: 404,
+      body: _errorResult({
+        error: 'notFound', errorMessage: `"${pathname}" not found.`
+      })
+    };
+  }
+  if(request.method !== 'GET') {
+    return {
+      status: 405,
+      headers: {Allow: 'GET'},
+      body: _errorResult({
+        error: 'methodNotAllowed',
+        errorMessage: `Method "${request.method}" not allowed.`
+      })
+    };
+  }
+  // no (or an empty) `Accept` header accepts any media type
+  const accept = _negotiate({accept: request.headers.accept || '*/*'});
+  if(!accept) {
+    return {
+      status: 406,
+      body: _errorResult({
+        error: 'representationNotSupported',
+        errorMessage: `Unsupported "Accept" "${request.headers.accept}".`
+      })
+    };
+  }
+  let did;
+  try {
+    did = decodeURIComponent(pathname.slice(IDENTIFIERS_PATH.length));
+  } catch(e) {
+    return {
+      status: 400,
+      body: _errorResult({
+        error: 'invalidDid', errorMessage: 'DID is not percent-encoded.'
+      })
+    };
+  }
+  // the DID Document representation to resolve to
+  const representation = accept === DID_RESOLUTION_CONTENT_TYPE ?
+    DID_LD_JSON_CONTENT_TYPE : accept;
+  let result;
+  let content;
+  let error;
+  if(/[/?#]/.test(did)) {
+    // a DID URL, e.g., a key id
+    result = await didKeyDriver.dereference({
+      didUrl: did, accept: representation
+    });
+    content = result.contentStream;
+    error = result.dereferencingMetadata.error;
+  } else {
+    result = await didKeyDriver.resolve({did, accept: representation});
+    content = result.didDocument;
+    error = result.didResolutionMetadata.error;
+  }
+  if(error) {
+    return {status: STATUS_CODES.get(error) ?? 500, body: result};
+  }
+  if(accept === DID_RESOLUTION_CONTENT_TYPE) {
+    return {status: 200, body: result};
+  }
+  return {status: 200, contentType: accept, body: content};
+}
+
+// returns the supported media type most preferred by an `Accept` header, or
+// `undefined` if none is acceptable
+function _negotiate({accept}) {
+  const ranges = accept.split(',').map((range, index) => {
+    const [type, ...parameters] = range.split(';').map(
+      part => part.trim().toLowerCase());
+    const q = parameters.find(parameter => parameter.startsWith('q='));
+    return {
+      type, parameters, index, q: q === undefined ? 1 : Number(q.slice(2))
+    };
+  }).filter(({q}) => q > 0).sort((a, b) => b.q - a.q || a.index - b.index);
+  for(const {type, parameters} of ranges) {
+    if(type === DID_LD_JSON_CONTENT_TYPE || type === DID_JSON_CONTENT_TYPE ||
+      type === DID_RESOLUTION_CONTENT_TYPE) {
+      return type;
+    }
+    // the Universal Resolver requests DID Resolution Results by profile
+    if(type === LD_JSON_CONTENT_TYPE && parameters.includes(
+      `profile="${DID_RESOLUTION_PROFILE}"`)) {
+      return DID_RESOLUTION_CONTENT_TYPE;
+    }
+    if(type === '*/*' || type === 'application/*') {
+      return DID_RESOLUTION_CONTENT_TYPE;
+    }
+  }
+}
+
+function _errorResult({error, errorMessage}) {
+  return {
+    didResolutionMetadata: {error, errorMessage},
+    didDocument: null,
+    didDocumentMetadata: {}
+  };
+}
+
+function _send({
+  response, status, headers = {}, contentType = DID_RESOLUTION_CONTENT_TYPE,
+  body
+}) {
+  // the response depends on the `Accept` header
+  response.writeHead(status, {
+    ...headers, 'Content-Type': contentType, Vary: 'Accept'
+  });
+  response.end(JSON.stringify(body));
+}
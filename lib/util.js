@@ -1,6 +1,8 @@
 /*!
- * Copyright (c) 2023 Digital Bazaar, Inc. All rights reserved.
+ * Copyright (c) 2023-2026 Digital Bazaar, Inc. All rights reserved.
  */
+import {codecsByCode} from './multicodec.js';
+import {parseDidKey} from './parser.js';
 
 /**
  * A utility function to create a multibase-multikey deserializer function.
@@ -16,3 +18,41 @@ export function createFromMultibase({fromFingerprint}) {
     return fromFingerprint({fingerprint: publicKeyMultibase});
   };
 }
+
+/**
+ * Parses a `did:key` DID (or DID URL with a fragment) and returns information
+ * about the public key it encodes, without building a DID Document. Unlike
+ * `get()`, no deserializer needs to be registered for the key type.
+ *
+ * @example
+ * parse({did: 'did:key:z6MknCCLeeHBUaHu4aHSVLDCYQW9gjVJ7a63FpMvtuVMy53T'});
+ * // -> {method: 'key', version: '1', codecName: 'ed25519-pub',
+ * //   keyType: 'Ed25519', ...}
+ *
+ * @param {object} options - Options hashmap.
+ * @param {string} options.did - The DID or DID URL to parse.
+ *
+ * @returns {{did: string, method: string, version: string,
+ *   multibase: string, codec: number, codecName: string,
+ *   publicKeyBytes: Uint8Array, keyType: string, fragment: string}} Returns
+ *   the parsed DID; `did` is the DID without its version or fragment;
+ *   `keyType` is the key's algorithm or curve (e.g., `Ed25519` or `P-256`);
+ *   `codecName` and `keyType` are `undefined` for an unknown multicodec.
+ */
+export function parse({did} = {}) {
+  const {
+    did: parsedDid, method, version, multibase, codec, codecName,
+    publicKeyBytes, fragment
+  } = parseDidKey({did});
+  return {
+    did: parsedDid,
+    method,
+    version,
+    multibase,
+    codec,
+    codecName,
+    publicKeyBytes,
+    keyType: codecsByCode.get(codec)?.keyType,
+    fragment
+  };
+}
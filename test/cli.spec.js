@@ -0,0 +1,216 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as EcdsaMultikey from '@digitalbazaar/ecdsa-multikey';
+import {mkdtemp, readFile, rm, stat} from 'node:fs/promises';
+import chai from 'chai';
+import {createDefaultDriver} from '../lib/defaultDriver.js';
+import {driver} from '../lib/index.js';
+import {join} from 'node:path';
+import {main} from '../lib/cli.js';
+import {tmpdir} from 'node:os';
+
+const {expect} = chai;
+
+const did = 'did:key:z6MknCCLeeHBUaHu4aHSVLDCYQW9gjVJ7a63FpMvtuVMy53T';
+const keyId = `${did}#z6MknCCLeeHBUaHu4aHSVLDCYQW9gjVJ7a63FpMvtuVMy53T`;
+
+describe('did-key command-line tool', () => {
+  let directory;
+  before(async () => {
+    directory = await mkdtemp(join(tmpdir(), 'did-key-'));
+  });
+  after(async () => {
+    await rm(directory, {recursive: true, force: true});
+  });
+
+  it('should generate a DID of each key type', async () => {
+    const prefixes = {
+      ed25519: 'did:key:z6Mk',
+      p256: 'did:key:zDna',
+      p384: 'did:key:z82L',
+      bls12381g2: 'did:key:zUC7'
+    };
+    for(const [type, prefix] of Object.entries(prefixes)) {
+      const {code, output} = await _run({args: ['generate', '--type', type]});
+      expect(code).to.equal(0);
+      expect(output.did.startsWith(prefix)).to.be.true;
+      expect(output.didDocument.id).to.equal(output.did);
+      expect(JSON.stringify(output)).to.not.match(/secretKey|privateKey/);
+    }
+  });
+
+  it('should write generated key pairs to a keystore', async () => {
+    const passphrase = 'correct horse battery staple';
+    const keystore = join(directory, 'keystore.json');
+    const {code, output} = await _run({
+      args: ['generate', '--type', 'p256', '--keystore', keystore],
+      env: {DID_KEY_PASSPHRASE: passphrase}
+    });
+    expect(code).to.equal(0);
+    expect(output.keystore).to.equal(keystore);
+    if(process.platform !== 'win32') {
+      expect((await stat(keystore)).mode & 0o777).to.equal(0o600);
+    }
+
+    const didKeyDriver = driver();
+    didKeyDriver.use({
+      multibaseMultikeyHeader: 'zDna',
+      fromMultibase: EcdsaMultikey.from
+    });
+    const {didDocument, methodFor} = await didKeyDriver.importKeyPairs({
+      keystore: await readFile(keystore, 'utf8'), passphrase
+    });
+    expect(didDocument).to.eql(output.didDocument);
+    const data = new TextEncoder().encode('test data');
+    const signature = await methodFor({purpose: 'assertionMethod'})
+      .signer().sign({data});
+    expect(await didKeyDriver.verify({
+      did: output.did, purpose: 'assertionMethod', data, signature
+    })).to.be.true;
+
+    // an existing file is not overwritten
+    const again = await _run({
+      args: ['generate', '--type', 'p256', '--keystore', keystore],
+      env: {DID_KEY_PASSPHRASE: passphrase}
+    });
+    expect(again.code).to.equal(1);
+    expect(again.error.code).to.equal('EEXIST');
+  });
+
+  it('should require a passphrase to write a keystore', async () => {
+    const keystore = join(directory, 'unencrypted.json');
+    const {code, error} = await _run({
+      args: ['generate', '--type', 'ed25519', '--keystore', keystore]
+    });
+    expect(code).to.equal(1);
+    expect(error.code).to.equal('invalidArguments');
+    let exists = true;
+    await stat(keystore).catch(() => exists = false);
+    expect(exists).to.be.false;
+  });
+
+  it('should resolve a DID and a key id', async () => {
+    const {code, output} = await _run({args: ['resolve', did]});
+    expect(code).to.equal(0);
+    expect(output.id).to.equal(did);
+    expect(output.verificationMethod[0].id).to.equal(keyId);
+    expect(output.keyAgreement).to.have.length(1);
+
+    const key = await _run({args: ['resolve', keyId]});
+    expect(key.code).to.equal(0);
+    expect(key.output).to.include({
+      id: keyId,
+      type: 'Multikey',
+      controller: did
+    });
+  });
+
+  it('should inspect a DID', async () => {
+    const {code, output} = await _run({args: ['inspect', keyId]});
+    expect(code).to.equal(0);
+    expect(output).to.eql({
+      did,
+      fragment: 'z6MknCCLeeHBUaHu4aHSVLDCYQW9gjVJ7a63FpMvtuVMy53T',
+      publicKeyMultibase: 'z6MknCCLeeHBUaHu4aHSVLDCYQW9gjVJ7a63FpMvtuVMy53T',
+      codec: '0xed',
+      codecName: 'ed25519-pub',
+      keyType: 'Ed25519',
+      publicKeyLength: 32,
+      publicKeyHex:
+        '730197cfd86bc84bee128f9c05c2d30569e7afd9018f1dbfd714cc9ddb60b61e'
+    });
+  });
+
+  it('should convert a DID to other public key formats', async () => {
+    const jwk = await _run({args: ['convert', did, '--format', 'jwk']});
+    expect(jwk.code).to.equal(0);
+    expect(jwk.output.verificationMethod[0].type).to.equal('JsonWebKey2020');
+    expect(jwk.output.verificationMethod[0].publicKeyJwk).to.include({
+      kty: 'OKP', crv: 'Ed25519'
+    });
+
+    const suite2020 = await _run({args: ['convert', did, '--format', '2020']});
+    expect(suite2020.code).to.equal(0);
+    expect(suite2020.output.verificationMethod[0].type).to.equal(
+      'Ed25519VerificationKey2020');
+    expect(suite2020.output.keyAgreement[0].type).to.equal(
+      'X25519KeyAgreementKey2020');
+
+    const multikey = await _run({
+      args: ['convert', keyId, '--format', 'multikey']
+    });
+    expect(multikey.code).to.equal(0);
+    expect(multikey.output).to.include({id: keyId, type: 'Multikey'});
+  });
+
+  it('should report errors as JSON', async () => {
+    const invalid = [
+      ['unknown'],
+      ['resolve'],
+      ['resolve', did, '--format', 'jwk'],
+      ['generate', '--type', 'rsa'],
+      ['convert', did, '--format', 'pem']
+    ];
+    for(const args of invalid) {
+      const {code, error} = await _run({args});
+      expect(code).to.equal(1);
+      expect(error.code).to.equal('invalidArguments');
+    }
+    const {code, error} = await _run({args: ['resolve', 'did:key:invalid']});
+    expect(code).to.equal(1);
+    expect(error.code).to.equal('invalidDid');
+  });
+
+  it('should print usage', async () => {
+    const {code, stdout} = await _run({args: ['--help']});
+    expect(code).to.equal(0);
+    expect(stdout).to.include('did-key resolve <did>');
+  });
+});
+
+describe('default driver', () => {
+  const seed = new Uint8Array(32).fill(1);
+
+  it('should generate a BLS12-381 G2 DID from a seed', async () => {
+    const didKeyDriver = createDefaultDriver();
+    const {did} = await didKeyDriver.generate({keyType: 'Bls12381G2', seed});
+    const again = await didKeyDriver.generate({keyType: 'Bls12381G2', seed});
+    expect(did.startsWith('did:key:zUC7')).to.be.true;
+    expect(again.did).to.equal(did);
+  });
+
+  it('should not generate an ECDSA DID from a seed', async () => {
+    const didKeyDriver = createDefaultDriver();
+    for(const keyType of ['P-256', 'P-384']) {
+      let error;
+      try {
+        await didKeyDriver.generate({keyType, seed});
+      } catch(e) {
+        error = e;
+      }
+      expect(error).to.exist;
+      expect(error.code).to.equal('unsupportedPublicKeyType');
+      expect(error.message).to.include('seed');
+    }
+  });
+});
+
+async function _run({args, env = {}}) {
+  let stdout = '';
+  let stderr = '';
+  const code = await main({
+    args,
+    stdout: {write: data => stdout += data},
+    stderr: {write: data => stderr += data},
+    env
+  });
+  const result = {code, stdout};
+  if(code === 0 && stdout.startsWith('{')) {
+    result.output = JSON.parse(stdout);
+  }
+  if(stderr) {
+    ({error: result.error} = JSON.parse(stderr));
+  }
+  return result;
+}
@@ -1,14 +1,27 @@
 /*!
  * Copyright (c) 2019-2024 Digital Bazaar, Inc. All rights reserved.
  */
+import * as base64url from 'base64url-universal';
 import * as Bls12381Multikey from '@digitalbazaar/bls12-381-multikey';
 import * as EcdsaMultikey from '@digitalbazaar/ecdsa-multikey';
-import {createFromMultibase, driver} from '../lib/index.js';
+import * as Ed25519Multikey from '@digitalbazaar/ed25519-multikey';
+import {
+  createFromMultibase, didJwkToDidKey, didKeyToDidJwk, driver, P521Multikey,
+  parse, RsaMultikey, Secp256k1Multikey, signJws, signJwt
+} from '../lib/index.js';
+import {CREDENTIALS_CONTEXT_V1_URL, contexts as credentialsContexts} from
+  'credentials-context';
+import {sha256, sha512} from '@noble/hashes/sha2';
+import {bytesToHex} from '@noble/hashes/utils';
 import chai from 'chai';
+import {Ed25519Signature2020} from '@digitalbazaar/ed25519-signature-2020';
 import {Ed25519VerificationKey2018} from
   '@digitalbazaar/ed25519-verification-key-2018';
 import {Ed25519VerificationKey2020} from
   '@digitalbazaar/ed25519-verification-key-2020';
+import jsigs from 'jsonld-signatures';
+import {p521} from '@noble/curves/p521';
+import {secp256k1} from '@noble/curves/secp256k1';
 import {
   X25519KeyAgreementKey2019
 } from '@digitalbazaar/x25519-key-agreement-key-2019';
@@ -18,6 +31,7 @@ import {
 
 chai.should();
 const {expect} = chai;
+const {purposes: {AssertionProofPurpose}} = jsigs;
 const didKeyDriver = driver();
 didKeyDriver.use({
   multibaseMultikeyHeader: 'z6Mk',
@@ -91,6 +105,43 @@ describe('did:key method driver', () => {
         .equal('zDnaeucDGfhXHoJVqot3p21RuupNJ2fZrs8Lb1GV83VnSo2jR');
     });
 
+    it('should get the DID Document for an Ed25519 multikey did', async () => {
+      const did = 'did:key:z6MkpTHR8VNsBxYAAWHut2Geadd9jSwuBV8xRoAnwWsdvktH';
+      const keyId = `${did}#z6MkpTHR8VNsBxYAAWHut2Geadd9jSwuBV8xRoAnwWsdvktH`;
+      const didKeyDriverMultikey = driver();
+      didKeyDriverMultikey.use({
+        multibaseMultikeyHeader: 'z6Mk',
+        fromMultibase: Ed25519Multikey.from
+      });
+
+      const didDocument = await didKeyDriverMultikey.get({did});
+
+      expect(didDocument['@context']).to.eql([
+        'https://www.w3.org/ns/did/v1',
+        'https://w3id.org/security/multikey/v1'
+      ]);
+      expect(didDocument.verificationMethod).to.eql([{
+        id: keyId,
+        type: 'Multikey',
+        controller: did,
+        publicKeyMultibase: 'z6MkpTHR8VNsBxYAAWHut2Geadd9jSwuBV8xRoAnwWsdvktH'
+      }]);
+      expect(didDocument.keyAgreement).to.eql([{
+        id: `${did}#z6LSbysY2xFMRpGMhb7tFTLMpeuPRaqaWM1yECx2AtzE3KCc`,
+        type: 'Multikey',
+        controller: did,
+        publicKeyMultibase: 'z6LSbysY2xFMRpGMhb7tFTLMpeuPRaqaWM1yECx2AtzE3KCc'
+      }]);
+
+      const key = await didKeyDriverMultikey.get({
+        url: didDocument.keyAgreement[0].id
+      });
+      expect(key).to.eql({
+        '@context': 'https://w3id.org/security/multikey/v1',
+        ...didDocument.keyAgreement[0]
+      });
+    });
+
     it('should get the DID Document for a BLS12-381 multikey did', async () => {
       // eslint-disable-next-line max-len
       const publicKeyMultibase = 'zUC7GMwWWkA5UMTx7Gg6sabmpchWgq8p1xGhUXwBiDytY8BgD6eq5AmxNgjwDbAz8Rq6VFBLdNjvXR4ydEdwDEN9L4vGFfLkxs8UsU3wQj9HQGjQb7LHWdRNJv3J1kGoA3BvnBv';
@@ -151,6 +202,38 @@ describe('did:key method driver', () => {
         .equal('z6LSbysY2xFMRpGMhb7tFTLMpeuPRaqaWM1yECx2AtzE3KCc');
     });
 
+    it('should get the DID Document using a multicodec registration',
+      async () => {
+        const did =
+          'did:key:zDnaeucDGfhXHoJVqot3p21RuupNJ2fZrs8Lb1GV83VnSo2jR';
+        const didKeyDriverMultikey = driver();
+        didKeyDriverMultikey.use({
+          multicodec: 'p256-pub',
+          fromMultibase: EcdsaMultikey.from
+        });
+
+        const didDocument = await didKeyDriverMultikey.get({did});
+
+        expect(didDocument.id).to.equal(did);
+        const [publicKey] = didDocument.verificationMethod;
+        expect(publicKey.type).to.equal('Multikey');
+        expect(publicKey.publicKeyMultibase).to
+          .equal('zDnaeucDGfhXHoJVqot3p21RuupNJ2fZrs8Lb1GV83VnSo2jR');
+      });
+
+    it('should reject a DID with a different method', async () => {
+      let error;
+      try {
+        await didKeyDriver.get({
+          did: 'did:example:z6MknCCLeeHBUaHu4aHSVLDCYQW9gjVJ7a63FpMvtuVMy53T'
+        });
+      } catch(e) {
+        error = e;
+      }
+      expect(error).to.exist;
+      expect(error.code).to.equal('methodNotSupported');
+    });
+
     it('should get the DID Doc in 2018 mode', async () => {
       const didKeyDriver2018 = driver();
       const multibaseMultikeyHeaders = ['z6Mk'];
@@ -333,194 +416,2553 @@ describe('did:key method driver', () => {
     });
   });
 
-  describe('fromKeyPair', () => {
-    it('should generate DID document and get round trip', async () => {
-      const publicKeyMultibase =
-        'z6MknCCLeeHBUaHu4aHSVLDCYQW9gjVJ7a63FpMvtuVMy53T';
-      const keyPair = await Ed25519VerificationKey2020.from({
-        publicKeyMultibase
-      });
-      const {
-        didDocument, keyPairs, methodFor
-      } = await didKeyDriver.fromKeyPair({verificationKeyPair: keyPair});
-
-      const did = didDocument.id;
-      const keyId = didDocument.authentication[0];
-
-      const verificationKeyPair = methodFor({purpose: 'assertionMethod'});
-      const keyAgreementKeyPair = methodFor({purpose: 'keyAgreement'});
+  describe('publicKeyFormat', () => {
+    const did = 'did:key:z6MkpTHR8VNsBxYAAWHut2Geadd9jSwuBV8xRoAnwWsdvktH';
+    const keyId = `${did}#z6MkpTHR8VNsBxYAAWHut2Geadd9jSwuBV8xRoAnwWsdvktH`;
+    const kakId = `${did}#z6LSbysY2xFMRpGMhb7tFTLMpeuPRaqaWM1yECx2AtzE3KCc`;
 
-      expect(keyId).to.equal(verificationKeyPair.id);
-      expect(keyAgreementKeyPair.type).to.equal('X25519KeyAgreementKey2020');
+    it('should get the DID Document using "Multikey"', async () => {
+      const didDocument = await didKeyDriver.get({
+        did, publicKeyFormat: 'Multikey'
+      });
 
-      expect(keyPairs.get(keyId).controller).to.equal(did);
-      expect(keyPairs.get(keyId).id).to.equal(keyId);
-      const fetchedDidDoc = await didKeyDriver.get({did});
-      expect(fetchedDidDoc).to.eql(didDocument);
+      expect(didDocument['@context']).to.eql([
+        'https://www.w3.org/ns/did/v1',
+        'https://w3id.org/security/multikey/v1'
+      ]);
+      expect(didDocument.verificationMethod).to.eql([{
+        id: keyId,
+        type: 'Multikey',
+        controller: did,
+        publicKeyMultibase: 'z6MkpTHR8VNsBxYAAWHut2Geadd9jSwuBV8xRoAnwWsdvktH'
+      }]);
+      expect(didDocument.keyAgreement).to.eql([{
+        id: kakId,
+        type: 'Multikey',
+        controller: did,
+        publicKeyMultibase: 'z6LSbysY2xFMRpGMhb7tFTLMpeuPRaqaWM1yECx2AtzE3KCc'
+      }]);
+      expect(didDocument.authentication).to.eql([keyId]);
     });
-    it('should generate "EcdsaMultikey" DID document using keypair',
-      async () => {
-        const publicKeyMultibase =
-          'zDnaeucDGfhXHoJVqot3p21RuupNJ2fZrs8Lb1GV83VnSo2jR';
-        const keyPair = await EcdsaMultikey.from({publicKeyMultibase});
-        const didKeyDriverMultikey = driver();
-        didKeyDriverMultikey.use({
-          multibaseMultikeyHeader: 'zDna',
-          fromMultibase: EcdsaMultikey.from
-        });
-        const {
-          didDocument, keyPairs, methodFor
-        } = await didKeyDriverMultikey.fromKeyPair({
-          verificationKeyPair: keyPair
-        });
-        const did = didDocument.id;
-        const keyId = didDocument.authentication[0];
 
-        const verificationKeyPair = methodFor({purpose: 'assertionMethod'});
-        let err;
-        let keyAgreementKeyPair;
-        try {
-          keyAgreementKeyPair = methodFor({purpose: 'keyAgreement'});
-        } catch(e) {
-          err = e;
+    it('should get the DID Document using "JsonWebKey2020"', async () => {
+      const didDocument = await didKeyDriver.get({
+        did, publicKeyFormat: 'JsonWebKey2020'
+      });
+
+      expect(didDocument['@context']).to.eql([
+        'https://www.w3.org/ns/did/v1',
+        'https://w3id.org/security/suites/jws-2020/v1'
+      ]);
+      expect(didDocument.verificationMethod).to.eql([{
+        id: keyId,
+        type: 'JsonWebKey2020',
+        controller: did,
+        publicKeyJwk: {
+          kty: 'OKP',
+          crv: 'Ed25519',
+          x: 'lJZrfAjkBXdfjebMHEUI9usidAPhAlssitLXR3OYxbI'
         }
-        expect(err).to.exist;
-        expect(keyAgreementKeyPair).to.not.exist;
+      }]);
+      expect(didDocument.keyAgreement).to.eql([{
+        id: kakId,
+        type: 'JsonWebKey2020',
+        controller: did,
+        publicKeyJwk: {
+          kty: 'OKP',
+          crv: 'X25519',
+          x: 'BIiFcQEn3dfvB2pjlhOQQour6jXy9d5s2FKEJNTOJik'
+        }
+      }]);
+    });
 
-        expect(keyId).to.equal(verificationKeyPair.id);
+    it('should get the same DID Document as a 2018 driver', async () => {
+      const didKeyDriver2018 = driver();
+      didKeyDriver2018.use({
+        multibaseMultikeyHeader: 'z6Mk',
+        fromMultibase: createFromMultibase(Ed25519VerificationKey2018)
+      });
 
-        expect(keyPairs.get(keyId).controller).to.equal(did);
-        expect(keyPairs.get(keyId).id).to.equal(keyId);
-        const fetchedDidDoc = await didKeyDriverMultikey.get({did});
-        expect(fetchedDidDoc).to.eql(didDocument);
+      const didDocument = await didKeyDriver.get({
+        did, publicKeyFormat: 'Ed25519VerificationKey2018'
       });
-    it('should generate DID document with verificationKeyPair and ' +
-      'keyAgreementKeyPair', async () => {
-      const publicKeyMultibaseForVerificationKeyPair =
-        'z6MknCCLeeHBUaHu4aHSVLDCYQW9gjVJ7a63FpMvtuVMy53T';
-      const keyPairForVerification = await Ed25519VerificationKey2020.from({
-        publicKeyMultibase: publicKeyMultibaseForVerificationKeyPair
+      expect(didDocument).to.eql(await didKeyDriver2018.get({did}));
+      // key agreement key types select the same formats
+      expect(await didKeyDriver.get({
+        did, publicKeyFormat: 'X25519KeyAgreementKey2019'
+      })).to.eql(didDocument);
+    });
+
+    it('should get a 2020 DID Document from a 2018 driver', async () => {
+      const didKeyDriver2018 = driver();
+      didKeyDriver2018.use({
+        multibaseMultikeyHeader: 'z6Mk',
+        fromMultibase: createFromMultibase(Ed25519VerificationKey2018)
       });
-      const publicKeyMultibaseForKeyAgreementKeyPair =
-        'z6LSbysY2xFMRpGMhb7tFTLMpeuPRaqaWM1yECx2AtzE3KCc';
-      const keyPairForKeyAgreement = await X25519KeyAgreementKey2020.from({
-        publicKeyMultibase: publicKeyMultibaseForKeyAgreementKeyPair
+
+      const didDocument = await didKeyDriver2018.get({
+        did, publicKeyFormat: 'Ed25519VerificationKey2020'
       });
-      const didKeyDriver = driver();
-      didKeyDriver.use({
-        multibaseMultikeyHeader: 'z6Mk',
-        fromMultibase: Ed25519VerificationKey2020.from
+      expect(didDocument).to.eql(await didKeyDriver.get({did}));
+    });
+
+    it('should get an individual key using "JsonWebKey2020"', async () => {
+      const key = await didKeyDriver.get({
+        url: kakId, publicKeyFormat: 'JsonWebKey2020'
       });
-      didKeyDriver.use({
-        multibaseMultikeyHeader: 'z6LS',
-        fromMultibase: X25519KeyAgreementKey2020.from
+
+      expect(key).to.eql({
+        '@context': 'https://w3id.org/security/suites/jws-2020/v1',
+        id: kakId,
+        type: 'JsonWebKey2020',
+        controller: did,
+        publicKeyJwk: {
+          kty: 'OKP',
+          crv: 'X25519',
+          x: 'BIiFcQEn3dfvB2pjlhOQQour6jXy9d5s2FKEJNTOJik'
+        }
       });
-      const {
-        didDocument, keyPairs, methodFor
-      } = await didKeyDriver.fromKeyPair({
-        verificationKeyPair: keyPairForVerification,
-        keyAgreementKeyPair: keyPairForKeyAgreement
+    });
+
+    it('should set "kid" to the JWK thumbprint', async () => {
+      // Ed25519 key from RFC 8037 Appendix A.3
+      const did = 'did:key:z6MktwupdmLXVVqTzCw4i46r4uGyosGXRnR3XjN4Zq7oMMsw';
+      const didDocument = await didKeyDriver.get({
+        did, publicKeyFormat: 'JsonWebKey2020', includeJwkThumbprint: true
       });
-      const did = didDocument.id;
-      const keyId = `did:key:${publicKeyMultibaseForVerificationKeyPair}` +
-        `#${publicKeyMultibaseForVerificationKeyPair}`;
-      const keyAgreementId =
-        `did:key:${publicKeyMultibaseForKeyAgreementKeyPair}` +
-        `#${publicKeyMultibaseForKeyAgreementKeyPair}`;
-      expect(didDocument['@context']).to.eql([
-        'https://www.w3.org/ns/did/v1',
-        'https://w3id.org/security/suites/ed25519-2020/v1',
-        'https://w3id.org/security/suites/x25519-2020/v1'
-      ]);
-      expect(didDocument.authentication).to.eql([keyId]);
-      expect(didDocument.assertionMethod).to.eql([keyId]);
-      expect(didDocument.capabilityDelegation).to.eql([keyId]);
-      expect(didDocument.capabilityInvocation).to.eql([keyId]);
 
-      const [publicKey] = didDocument.verificationMethod;
-      expect(publicKey.id).to.equal(keyId);
-      expect(publicKey.type).to.equal('Ed25519VerificationKey2020');
-      expect(publicKey.controller).to.equal(did);
-      expect(publicKey.publicKeyMultibase).to
-        .equal(publicKeyMultibaseForVerificationKeyPair);
+      expect(didDocument.verificationMethod[0].publicKeyJwk).to.eql({
+        kty: 'OKP',
+        crv: 'Ed25519',
+        x: '11qYAYKxCrfVS_7TyWQHOg7hcvPapiMlrwIaaPcHURo',
+        kid: 'kPrK_qmxVWaYVA9wwBF6Iuo3vVzz7TxHCTwXBygrS4k'
+      });
+    });
 
-      const [kak] = didDocument.keyAgreement;
-      const kakDid = `did:key:${publicKeyMultibaseForKeyAgreementKeyPair}`;
+    it('should express ECDSA keys using "JsonWebKey2020"', async () => {
+      const didKeyDriverMultikey = driver();
+      didKeyDriverMultikey.use({
+        multibaseMultikeyHeader: 'zDna',
+        fromMultibase: EcdsaMultikey.from
+      });
+      didKeyDriverMultikey.use({
+        multibaseMultikeyHeader: 'z82L',
+        fromMultibase: EcdsaMultikey.from
+      });
 
-      expect(kak.id).to.equal(keyAgreementId);
-      expect(kak.type).to.equal('X25519KeyAgreementKey2020');
-      expect(kak.controller).to.equal(kakDid);
-      expect(kak.publicKeyMultibase).to
-        .equal(publicKeyMultibaseForKeyAgreementKeyPair);
+      for(const curve of ['P-256', 'P-384']) {
+        const keyPair = await EcdsaMultikey.generate({curve});
+        const did = `did:key:${keyPair.publicKeyMultibase}`;
+        const didDocument = await didKeyDriverMultikey.get({
+          did, publicKeyFormat: 'JsonWebKey2020'
+        });
 
-      const verificationKeyPair = methodFor({purpose: 'assertionMethod'});
-      let err;
-      let keyAgreementKeyPair;
-      try {
-        keyAgreementKeyPair = methodFor({purpose: 'keyAgreement'});
-      } catch(e) {
-        err = e;
+        const {kty, crv, x, y} = await EcdsaMultikey.toJwk({keyPair});
+        expect(didDocument['@context']).to.eql([
+          'https://www.w3.org/ns/did/v1',
+          'https://w3id.org/security/suites/jws-2020/v1'
+        ]);
+        expect(didDocument.verificationMethod[0].publicKeyJwk).to.eql(
+          {kty, crv, x, y});
       }
-      expect(err).to.not.exist;
-      expect(keyAgreementKeyPair).to.exist;
-      expect(verificationKeyPair).to.exist;
-      expect(verificationKeyPair.id).to.equal(keyId);
-      expect(keyAgreementKeyPair.id).to.equal(keyAgreementId);
-      expect(keyPairs.get(keyId).controller).to.equal(did);
-      expect(keyPairs.get(keyAgreementId).controller).to.equal(kakDid);
     });
-    it('should generate DID document from X25519 key', async () => {
+
+    it('should express BLS12-381 keys using "JsonWebKey2020"', async () => {
       // eslint-disable-next-line max-len
-      const publicKeyMultibase = 'z6LSbysY2xFMRpGMhb7tFTLMpeuPRaqaWM1yECx2AtzE3KCc';
-      const keyPair = await X25519KeyAgreementKey2020.from({
-        publicKeyMultibase
-      });
+      const publicKeyMultibase = 'zUC7GMwWWkA5UMTx7Gg6sabmpchWgq8p1xGhUXwBiDytY8BgD6eq5AmxNgjwDbAz8Rq6VFBLdNjvXR4ydEdwDEN9L4vGFfLkxs8UsU3wQj9HQGjQb7LHWdRNJv3J1kGoA3BvnBv';
+      const did = `did:key:${publicKeyMultibase}`;
       const didKeyDriverMultikey = driver();
       didKeyDriverMultikey.use({
-        multibaseMultikeyHeader: 'z6LS',
-        fromMultibase: X25519KeyAgreementKey2020.from
+        multibaseMultikeyHeader: 'zUC7',
+        fromMultibase: Bls12381Multikey.from
       });
-      const {
-        didDocument, keyPairs, methodFor
-      } = await didKeyDriverMultikey.fromKeyPair({
-        keyAgreementKeyPair: keyPair
+
+      const key = await didKeyDriverMultikey.get({
+        url: `${did}#${publicKeyMultibase}`, publicKeyFormat: 'JsonWebKey2020'
       });
-      const did = didDocument.id;
-      const keyId = didDocument.keyAgreement[0].id;
-      const keyAgreementKeyPair = methodFor({purpose: 'keyAgreement'});
 
-      expect(keyId).to.equal(keyAgreementKeyPair.id);
+      const keyPair = await Bls12381Multikey.from({publicKeyMultibase});
+      const {kty, crv, x} = await Bls12381Multikey.toJwk({keyPair});
+      expect(key['@context']).to.equal(
+        'https://w3id.org/security/suites/jws-2020/v1');
+      expect(key.type).to.equal('JsonWebKey2020');
+      expect(key.publicKeyJwk).to.eql({kty, crv, x});
+    });
 
-      expect(keyPairs.get(keyId).controller).to.equal(did);
-      expect(keyPairs.get(keyId).id).to.equal(keyId);
+    it('should apply "publicKeyFormat" in "fromKeyPair()"', async () => {
+      const verificationKeyPair = await Ed25519VerificationKey2020.from({
+        publicKeyMultibase: 'z6MkpTHR8VNsBxYAAWHut2Geadd9jSwuBV8xRoAnwWsdvktH'
+      });
+      const {didDocument, methodFor} = await didKeyDriver.fromKeyPair({
+        verificationKeyPair, publicKeyFormat: 'Multikey'
+      });
 
-      const fetchedDidDoc = await didKeyDriverMultikey.get({did});
-      expect(fetchedDidDoc).to.eql(didDocument);
+      expect(didDocument.verificationMethod[0].type).to.equal('Multikey');
+      expect(didDocument.keyAgreement[0].type).to.equal('Multikey');
+      // key pairs are not affected by the format
+      expect(methodFor({purpose: 'keyAgreement'}).type).to.equal(
+        'X25519KeyAgreementKey2020');
     });
-  });
 
-  describe('publicKeyToDidDoc', () => {
-    it('should convert a key pair instance into a did doc', async () => {
-      // Note that a freshly-generated key pair does not have a controller
-      // or key id
-      const keyPair = await Ed25519VerificationKey2020.generate();
+    it('should apply "publicKeyFormat" in "publicKeyToDidDoc()"', async () => {
       const {didDocument} = await didKeyDriver.publicKeyToDidDoc({
-        publicKeyDescription: keyPair
+        publicKeyDescription: await Ed25519VerificationKey2020.from({
+          publicKeyMultibase:
+            'z6MkpTHR8VNsBxYAAWHut2Geadd9jSwuBV8xRoAnwWsdvktH'
+        }),
+        publicKeyFormat: 'Ed25519VerificationKey2018'
       });
 
-      expect(didDocument).to.exist;
-      expect(didDocument).to.have.property('@context');
-      expect(didDocument.id).to.equal(`did:key:${keyPair.fingerprint()}`);
+      expect(didDocument['@context']).to.eql([
+        'https://www.w3.org/ns/did/v1',
+        'https://w3id.org/security/suites/ed25519-2018/v1',
+        'https://w3id.org/security/suites/x25519-2019/v1'
+      ]);
     });
-    it('should convert a 2019 X25519-based key to a did doc', async () => {
-      const didKeyDriver = driver();
-      didKeyDriver.use({
-        multibaseMultikeyHeader: 'z6LS',
-        fromMultibase: X25519KeyAgreementKey2019.from
+
+    it('should reject an unknown "publicKeyFormat"', async () => {
+      const {didResolutionMetadata} = await didKeyDriver.resolve({
+        did, publicKeyFormat: 'UnknownKey2000'
       });
-      const keyPair = await X25519KeyAgreementKey2019.generate();
-      const {didDocument} = await didKeyDriver.publicKeyToDidDoc({
-        publicKeyDescription: keyPair
+      expect(didResolutionMetadata.error).to.equal(
+        'unsupportedPublicKeyType');
+    });
+
+    it('should reject a "publicKeyFormat" for another key type', async () => {
+      const didKeyDriverMultikey = driver();
+      didKeyDriverMultikey.use({
+        multibaseMultikeyHeader: 'zDna',
+        fromMultibase: EcdsaMultikey.from
+      });
+      const {didResolutionMetadata} = await didKeyDriverMultikey.resolve({
+        did: 'did:key:zDnaeucDGfhXHoJVqot3p21RuupNJ2fZrs8Lb1GV83VnSo2jR',
+        publicKeyFormat: 'Ed25519VerificationKey2020'
+      });
+      expect(didResolutionMetadata.error).to.equal(
+        'unsupportedPublicKeyType');
+    });
+  });
+
+  describe('enableEncryptionKeyDerivation', () => {
+    const did = 'did:key:z6MknCCLeeHBUaHu4aHSVLDCYQW9gjVJ7a63FpMvtuVMy53T';
+    const keyId = `${did}#z6MknCCLeeHBUaHu4aHSVLDCYQW9gjVJ7a63FpMvtuVMy53T`;
+
+    it('should not derive a key agreement key when disabled per call',
+      async () => {
+        const didDocument = await didKeyDriver.get({
+          did, enableEncryptionKeyDerivation: false
+        });
+
+        expect(didDocument['@context']).to.eql([
+          'https://www.w3.org/ns/did/v1',
+          'https://w3id.org/security/suites/ed25519-2020/v1'
+        ]);
+        expect(didDocument).to.not.have.property('keyAgreement');
+        expect(didDocument.authentication).to.eql([keyId]);
+      });
+
+    it('should not derive a key agreement key when disabled in the driver',
+      async () => {
+        const didKeyDriverNoDerivation = driver({
+          enableEncryptionKeyDerivation: false
+        });
+        didKeyDriverNoDerivation.use({
+          multibaseMultikeyHeader: 'z6Mk',
+          fromMultibase: createFromMultibase(Ed25519VerificationKey2018)
+        });
+
+        const didDocument = await didKeyDriverNoDerivation.get({did});
+        expect(didDocument['@context']).to.eql([
+          'https://www.w3.org/ns/did/v1',
+          'https://w3id.org/security/suites/ed25519-2018/v1'
+        ]);
+        expect(didDocument).to.not.have.property('keyAgreement');
+
+        // may be re-enabled per call
+        const {didResolutionMetadata, didDocument: withKeyAgreement} =
+          await didKeyDriverNoDerivation.resolve({
+            did, enableEncryptionKeyDerivation: true
+          });
+        expect(didResolutionMetadata.error).to.not.exist;
+        expect(withKeyAgreement.keyAgreement).to.have.length(1);
+      });
+
+    it('should not return a derived key pair from "fromKeyPair()"',
+      async () => {
+        const verificationKeyPair = await Ed25519VerificationKey2020.generate();
+        const {didDocument, keyPairs, methodFor} =
+          await didKeyDriver.fromKeyPair({
+            verificationKeyPair, enableEncryptionKeyDerivation: false
+          });
+
+        expect(didDocument).to.not.have.property('keyAgreement');
+        expect(keyPairs.size).to.equal(1);
+        expect(() => methodFor({purpose: 'keyAgreement'})).to.throw(
+          /No verification method found/);
+      });
+
+    it('should not derive a key in "publicKeyToDidDoc()"', async () => {
+      const {didDocument} = await didKeyDriver.publicKeyToDidDoc({
+        publicKeyDescription: await Ed25519VerificationKey2020.generate(),
+        enableEncryptionKeyDerivation: false
+      });
+
+      expect(didDocument).to.not.have.property('keyAgreement');
+    });
+  });
+
+  describe('deriveKeyAgreementKeyPair', () => {
+    const publicKeyMultibase =
+      'zDnaeucDGfhXHoJVqot3p21RuupNJ2fZrs8Lb1GV83VnSo2jR';
+    const did = `did:key:${publicKeyMultibase}`;
+
+    async function deriveKeyAgreementKeyPair({verificationKeyPair}) {
+      const keyPair = await EcdsaMultikey.from({
+        publicKeyMultibase: verificationKeyPair.publicKeyMultibase
+      });
+      keyPair.controller = verificationKeyPair.controller;
+      keyPair.id = `${verificationKeyPair.controller}#key-agreement`;
+      return keyPair;
+    }
+
+    it('should use a registered derivation in "get()"', async () => {
+      const didKeyDriverEcdh = driver();
+      didKeyDriverEcdh.use({
+        multibaseMultikeyHeader: 'zDna',
+        fromMultibase: EcdsaMultikey.from,
+        deriveKeyAgreementKeyPair
+      });
+
+      const didDocument = await didKeyDriverEcdh.get({did});
+      expect(didDocument['@context']).to.eql([
+        'https://www.w3.org/ns/did/v1',
+        'https://w3id.org/security/multikey/v1'
+      ]);
+      expect(didDocument.keyAgreement).to.eql([{
+        id: `${did}#key-agreement`,
+        type: 'Multikey',
+        controller: did,
+        publicKeyMultibase
+      }]);
+
+      const key = await didKeyDriverEcdh.get({url: `${did}#key-agreement`});
+      expect(key.id).to.equal(`${did}#key-agreement`);
+    });
+
+    it('should use a registered derivation in "fromKeyPair()"', async () => {
+      const didKeyDriverEcdh = driver();
+      didKeyDriverEcdh.use({
+        multicodec: 'p256-pub',
+        fromMultibase: EcdsaMultikey.from,
+        deriveKeyAgreementKeyPair
+      });
+      const verificationKeyPair = await EcdsaMultikey.generate({
+        curve: 'P-256'
+      });
+
+      const {didDocument, keyPairs, methodFor} =
+        await didKeyDriverEcdh.fromKeyPair({verificationKeyPair});
+      const keyAgreementKeyPair = methodFor({purpose: 'keyAgreement'});
+      expect(keyAgreementKeyPair.id).to.equal(
+        `${didDocument.id}#key-agreement`);
+      expect(keyAgreementKeyPair.controller).to.equal(didDocument.id);
+      expect(keyPairs.size).to.equal(2);
+    });
+
+    it('should default the controller of a derived key', async () => {
+      const didKeyDriverEcdh = driver();
+      didKeyDriverEcdh.use({
+        multibaseMultikeyHeader: 'zDna',
+        fromMultibase: EcdsaMultikey.from,
+        deriveKeyAgreementKeyPair: () => EcdsaMultikey.generate({
+          curve: 'P-256'
+        })
+      });
+
+      const {keyAgreement: [keyAgreementKey]} = await didKeyDriverEcdh.get({
+        did
+      });
+      expect(keyAgreementKey.controller).to.equal(did);
+      expect(keyAgreementKey.id).to.equal(
+        `${did}#${keyAgreementKey.publicKeyMultibase}`);
+    });
+
+    it('should suppress key agreement derivation', async () => {
+      const didKeyDriverNoDerivation = driver();
+      didKeyDriverNoDerivation.use({
+        multibaseMultikeyHeader: 'z6Mk',
+        fromMultibase: Ed25519VerificationKey2020.from,
+        deriveKeyAgreementKeyPair: false
+      });
+
+      const didDocument = await didKeyDriverNoDerivation.get({
+        did: 'did:key:z6MknCCLeeHBUaHu4aHSVLDCYQW9gjVJ7a63FpMvtuVMy53T'
+      });
+      expect(didDocument).to.not.have.property('keyAgreement');
+      const {didDocument: fromKeyPairDidDocument} =
+        await didKeyDriverNoDerivation.fromKeyPair({
+          verificationKeyPair: await Ed25519VerificationKey2020.generate()
+        });
+      expect(fromKeyPairDidDocument).to.not.have.property('keyAgreement');
+    });
+
+    it('should not derive when derivation is disabled', async () => {
+      const didKeyDriverEcdh = driver({enableEncryptionKeyDerivation: false});
+      didKeyDriverEcdh.use({
+        multibaseMultikeyHeader: 'zDna',
+        fromMultibase: EcdsaMultikey.from,
+        deriveKeyAgreementKeyPair
+      });
+
+      const didDocument = await didKeyDriverEcdh.get({did});
+      expect(didDocument).to.not.have.property('keyAgreement');
+    });
+
+    it('should reject an invalid "deriveKeyAgreementKeyPair"', async () => {
+      expect(() => driver().use({
+        multibaseMultikeyHeader: 'zDna',
+        fromMultibase: EcdsaMultikey.from,
+        deriveKeyAgreementKeyPair: true
+      })).to.throw(TypeError, /deriveKeyAgreementKeyPair/);
+    });
+  });
+
+  describe('verificationRelationships', () => {
+    const did = 'did:key:z6MknCCLeeHBUaHu4aHSVLDCYQW9gjVJ7a63FpMvtuVMy53T';
+    const keyId = `${did}#z6MknCCLeeHBUaHu4aHSVLDCYQW9gjVJ7a63FpMvtuVMy53T`;
+    // eslint-disable-next-line max-len
+    const blsPublicKeyMultibase = 'zUC7GMwWWkA5UMTx7Gg6sabmpchWgq8p1xGhUXwBiDytY8BgD6eq5AmxNgjwDbAz8Rq6VFBLdNjvXR4ydEdwDEN9L4vGFfLkxs8UsU3wQj9HQGjQb7LHWdRNJv3J1kGoA3BvnBv';
+
+    it('should give keys every relationship by default', async () => {
+      const didDocument = await didKeyDriver.get({did});
+      expect(didDocument.authentication).to.eql([keyId]);
+      expect(didDocument.assertionMethod).to.eql([keyId]);
+      expect(didDocument.capabilityDelegation).to.eql([keyId]);
+      expect(didDocument.capabilityInvocation).to.eql([keyId]);
+    });
+
+    it('should honor the driver option', async () => {
+      const didKeyDriverPolicy = driver({
+        verificationRelationships: ['authentication', 'capabilityInvocation']
+      });
+      didKeyDriverPolicy.use({
+        multibaseMultikeyHeader: 'z6Mk',
+        fromMultibase: Ed25519VerificationKey2020.from
+      });
+      const didDocument = await didKeyDriverPolicy.get({did});
+
+      expect(didDocument.authentication).to.eql([keyId]);
+      expect(didDocument.capabilityInvocation).to.eql([keyId]);
+      expect(didDocument).to.not.have.property('assertionMethod');
+      expect(didDocument).to.not.have.property('capabilityDelegation');
+      // key agreement keys are not affected
+      expect(didDocument.keyAgreement).to.have.length(1);
+    });
+
+    it('should honor a key type registration', async () => {
+      const didKeyDriverPolicy = driver();
+      didKeyDriverPolicy.use({
+        multibaseMultikeyHeader: 'z6Mk',
+        fromMultibase: Ed25519VerificationKey2020.from
+      });
+      didKeyDriverPolicy.use({
+        multibaseMultikeyHeader: 'zUC7',
+        fromMultibase: Bls12381Multikey.from,
+        verificationRelationships: ['assertionMethod']
+      });
+      const blsDid = `did:key:${blsPublicKeyMultibase}`;
+      const blsDidDocument = await didKeyDriverPolicy.get({did: blsDid});
+
+      expect(blsDidDocument.assertionMethod).to.eql(
+        [`${blsDid}#${blsPublicKeyMultibase}`]);
+      expect(blsDidDocument).to.not.have.property('authentication');
+      expect(blsDidDocument).to.not.have.property('capabilityDelegation');
+      expect(blsDidDocument).to.not.have.property('capabilityInvocation');
+
+      // other key types keep the driver default
+      const didDocument = await didKeyDriverPolicy.get({did});
+      expect(didDocument.authentication).to.eql([keyId]);
+      expect(didDocument.capabilityDelegation).to.eql([keyId]);
+    });
+
+    it('should honor the policy in "fromKeyPair()"', async () => {
+      const didKeyDriverPolicy = driver({
+        verificationRelationships: ['assertionMethod']
+      });
+      didKeyDriverPolicy.use({
+        multibaseMultikeyHeader: 'z6Mk',
+        fromMultibase: Ed25519VerificationKey2020.from
+      });
+      const verificationKeyPair = await Ed25519VerificationKey2020.generate();
+      const {didDocument, methodFor} = await didKeyDriverPolicy.fromKeyPair({
+        verificationKeyPair
+      });
+
+      expect(didDocument).to.not.have.property('authentication');
+      expect(methodFor({purpose: 'assertionMethod'}).publicKeyMultibase)
+        .to.equal(verificationKeyPair.publicKeyMultibase);
+      expect(methodFor({purpose: 'keyAgreement'})).to.exist;
+      expect(() => methodFor({purpose: 'authentication'})).to.throw(
+        /purpose "authentication" is not permitted/);
+    });
+
+    it('should report a purpose that is not permitted', async () => {
+      const didKeyDriverPolicy = driver({
+        verificationRelationships: ['assertionMethod', 'authentication']
+      });
+      didKeyDriverPolicy.use({
+        multibaseMultikeyHeader: 'z6Mk',
+        fromMultibase: Ed25519VerificationKey2020.from
+      });
+      const didDocument = await didKeyDriverPolicy.get({did});
+
+      let error;
+      try {
+        didKeyDriverPolicy.publicMethodFor({
+          didDocument, purpose: 'capabilityInvocation'
+        });
+      } catch(e) {
+        error = e;
+      }
+      expect(error).to.exist;
+      expect(error.message).to.equal(
+        'No verification method found for purpose "capabilityInvocation"; ' +
+        `purpose "capabilityInvocation" is not permitted for the keys of ` +
+        `"${did}" (permitted: "authentication", "assertionMethod").`);
+    });
+
+    it('should reject invalid relationships', async () => {
+      expect(() => driver({verificationRelationships: ['keyAgreement']}))
+        .to.throw(TypeError, /verificationRelationships/);
+      expect(() => driver({verificationRelationships: 'authentication'}))
+        .to.throw(TypeError, /verificationRelationships/);
+      expect(() => driver().use({
+        multibaseMultikeyHeader: 'z6Mk',
+        fromMultibase: Ed25519VerificationKey2020.from,
+        verificationRelationships: ['signing']
+      })).to.throw(TypeError, /verificationRelationships/);
+    });
+  });
+
+  describe('useKeyType', () => {
+    // eslint-disable-next-line max-len
+    const publicKeyMultibase = 'zUC7GMwWWkA5UMTx7Gg6sabmpchWgq8p1xGhUXwBiDytY8BgD6eq5AmxNgjwDbAz8Rq6VFBLdNjvXR4ydEdwDEN9L4vGFfLkxs8UsU3wQj9HQGjQb7LHWdRNJv3J1kGoA3BvnBv';
+    const did = `did:key:${publicKeyMultibase}`;
+    const keyId = `${did}#${publicKeyMultibase}`;
+    const BLS_CONTEXT_URL = 'https://w3id.org/security/bbs/v1';
+
+    // a minimal third-party key pair interface
+    function createKeyPair({type, publicKeyMultibase}) {
+      return {
+        type,
+        publicKeyMultibase,
+        export() {
+          const {id, controller} = this;
+          return {id, type, controller, publicKeyMultibase};
+        }
+      };
+    }
+
+    it('should use a registered context for a new key type', async () => {
+      const didKeyDriverBls = driver();
+      didKeyDriverBls.use({
+        multibaseMultikeyHeader: 'zUC7',
+        fromMultibase: ({publicKeyMultibase}) => createKeyPair({
+          type: 'Bls12381G2Key2020', publicKeyMultibase
+        })
+      });
+      didKeyDriverBls.useKeyType({
+        type: 'Bls12381G2Key2020', context: BLS_CONTEXT_URL
+      });
+
+      const didDocument = await didKeyDriverBls.get({did});
+      expect(didDocument['@context']).to.eql([
+        'https://www.w3.org/ns/did/v1',
+        BLS_CONTEXT_URL
+      ]);
+      expect(didDocument.verificationMethod[0].type).to.equal(
+        'Bls12381G2Key2020');
+
+      const key = await didKeyDriverBls.get({url: keyId});
+      expect(key['@context']).to.equal(BLS_CONTEXT_URL);
+      expect(key.id).to.equal(keyId);
+    });
+
+    it('should not set "@context" of a key with an unknown type',
+      async () => {
+        const didKeyDriverBls = driver();
+        didKeyDriverBls.use({
+          multibaseMultikeyHeader: 'zUC7',
+          fromMultibase: ({publicKeyMultibase}) => createKeyPair({
+            type: 'Bls12381G2Key2020', publicKeyMultibase
+          })
+        });
+
+        const key = await didKeyDriverBls.get({url: keyId});
+        expect(key).to.not.have.property('@context');
+        expect(key.type).to.equal('Bls12381G2Key2020');
+      });
+
+    it('should replace the contexts of a built-in key type', async () => {
+      const didKeyDriverContexts = driver();
+      didKeyDriverContexts.use({
+        multibaseMultikeyHeader: 'z6Mk',
+        fromMultibase: Ed25519VerificationKey2020.from
+      });
+      didKeyDriverContexts.useKeyType({
+        type: 'Ed25519VerificationKey2020',
+        context: [
+          'https://w3id.org/security/suites/ed25519-2020/v1',
+          'https://example.com/extension/v1'
+        ]
+      });
+
+      const did = 'did:key:z6MknCCLeeHBUaHu4aHSVLDCYQW9gjVJ7a63FpMvtuVMy53T';
+      const didDocument = await didKeyDriverContexts.get({did});
+      expect(didDocument['@context']).to.eql([
+        'https://www.w3.org/ns/did/v1',
+        'https://w3id.org/security/suites/ed25519-2020/v1',
+        'https://example.com/extension/v1',
+        'https://w3id.org/security/suites/x25519-2020/v1'
+      ]);
+      const key = await didKeyDriverContexts.get({
+        url: didDocument.verificationMethod[0].id
+      });
+      expect(key['@context']).to.eql([
+        'https://w3id.org/security/suites/ed25519-2020/v1',
+        'https://example.com/extension/v1'
+      ]);
+    });
+
+    it('should register a key agreement key type', async () => {
+      const publicKeyMultibase =
+        'z6LSeRSE5Em5oJpwdk3NBaLVERBS332ULC7EQq5EtMsmXhsM';
+      const didKeyDriverKem = driver();
+      didKeyDriverKem.useKeyType({
+        type: 'ExampleKemKey2026',
+        context: 'https://example.com/kem/v1',
+        keyAgreement: true
+      });
+
+      const {didDocument} = await didKeyDriverKem.publicKeyToDidDoc({
+        publicKeyDescription: createKeyPair({
+          type: 'ExampleKemKey2026', publicKeyMultibase
+        })
+      });
+      expect(didDocument['@context']).to.eql([
+        'https://www.w3.org/ns/did/v1',
+        'https://example.com/kem/v1'
+      ]);
+      expect(didDocument).to.not.have.property('verificationMethod');
+      expect(didDocument.keyAgreement[0].type).to.equal('ExampleKemKey2026');
+    });
+
+    it('should use a registered type for a derived key agreement key',
+      async () => {
+        const didKeyDriverKem = driver();
+        didKeyDriverKem.use({
+          multibaseMultikeyHeader: 'zUC7',
+          fromMultibase: Bls12381Multikey.from,
+          deriveKeyAgreementKeyPair: () => createKeyPair({
+            type: 'ExampleKemKey2026',
+            publicKeyMultibase:
+              'z6LSeRSE5Em5oJpwdk3NBaLVERBS332ULC7EQq5EtMsmXhsM'
+          })
+        });
+
+        let error;
+        try {
+          await didKeyDriverKem.get({did});
+        } catch(e) {
+          error = e;
+        }
+        expect(error.code).to.equal('unsupportedPublicKeyType');
+
+        didKeyDriverKem.useKeyType({
+          type: 'ExampleKemKey2026',
+          context: 'https://example.com/kem/v1',
+          keyAgreement: true
+        });
+        const didDocument = await didKeyDriverKem.get({did});
+        expect(didDocument['@context']).to.eql([
+          'https://www.w3.org/ns/did/v1',
+          'https://w3id.org/security/multikey/v1',
+          'https://example.com/kem/v1'
+        ]);
+        expect(didDocument.keyAgreement[0].controller).to.equal(did);
+      });
+
+    it('should reject an invalid key type registration', async () => {
+      const didKeyDriverInvalid = driver();
+      expect(() => didKeyDriverInvalid.useKeyType({
+        context: BLS_CONTEXT_URL
+      })).to.throw(TypeError, /"type"/);
+      expect(() => didKeyDriverInvalid.useKeyType({
+        type: 'Bls12381G2Key2020'
+      })).to.throw(TypeError, /"context"/);
+      expect(() => didKeyDriverInvalid.useKeyType({
+        type: 'Bls12381G2Key2020', context: BLS_CONTEXT_URL, keyAgreement: 1
+      })).to.throw(TypeError, /"keyAgreement"/);
+    });
+  });
+
+  describe('cache', () => {
+    const did = 'did:key:z6MknCCLeeHBUaHu4aHSVLDCYQW9gjVJ7a63FpMvtuVMy53T';
+    const keyId = `${did}#z6MknCCLeeHBUaHu4aHSVLDCYQW9gjVJ7a63FpMvtuVMy53T`;
+
+    function createCachingDriver(options) {
+      let calls = 0;
+      const cachingDriver = driver({cache: options});
+      cachingDriver.use({
+        multibaseMultikeyHeader: 'z6Mk',
+        fromMultibase: options => {
+          calls++;
+          return Ed25519VerificationKey2020.from(options);
+        }
+      });
+      return {cachingDriver, getCalls: () => calls};
+    }
+
+    it('should not cache by default', async () => {
+      const {cachingDriver, getCalls} = createCachingDriver();
+      await cachingDriver.get({did});
+      const calls = getCalls();
+      await cachingDriver.get({did});
+
+      expect(getCalls()).to.equal(calls * 2);
+      expect(cachingDriver.getCacheStats()).to.eql({
+        enabled: false, size: 0, hits: 0, misses: 0
+      });
+    });
+
+    it('should cache DID Documents and key nodes', async () => {
+      const {cachingDriver, getCalls} = createCachingDriver(true);
+      const didDocument1 = await cachingDriver.get({did});
+      const calls = getCalls();
+      const didDocument2 = await cachingDriver.get({did});
+      const key1 = await cachingDriver.get({url: keyId});
+      const key2 = await cachingDriver.get({url: keyId});
+
+      expect(getCalls()).to.equal(calls * 2);
+      expect(didDocument2).to.eql(didDocument1);
+      expect(didDocument2).to.eql(await didKeyDriver.get({did}));
+      expect(key2).to.eql(key1);
+      expect(key2).to.eql(await didKeyDriver.get({url: keyId}));
+      expect(cachingDriver.getCacheStats()).to.eql({
+        enabled: true, size: 2, max: 1000, maxAge: undefined,
+        hits: 2, misses: 2
+      });
+    });
+
+    it('should count concurrent requests for an uncached result once',
+      async () => {
+        const {cachingDriver, getCalls} = createCachingDriver(true);
+        const didDocuments = await Promise.all([
+          cachingDriver.get({did}),
+          cachingDriver.get({did}),
+          cachingDriver.get({did})
+        ]);
+        // the same calls as a single request
+        const single = createCachingDriver(true);
+        await single.cachingDriver.get({did});
+
+        expect(getCalls()).to.equal(single.getCalls());
+        for(const didDocument of didDocuments) {
+          expect(didDocument).to.eql(await didKeyDriver.get({did}));
+        }
+        expect(cachingDriver.getCacheStats()).to.include({
+          size: 1, hits: 2, misses: 1
+        });
+      });
+
+    it('should hand out copies of cached results', async () => {
+      const {cachingDriver} = createCachingDriver(true);
+      const didDocument1 = await cachingDriver.get({did});
+      didDocument1.verificationMethod[0].id = 'did:example:1234';
+      delete didDocument1['@context'];
+
+      const didDocument2 = await cachingDriver.get({did});
+      expect(didDocument2).to.not.equal(didDocument1);
+      expect(didDocument2).to.eql(await didKeyDriver.get({did}));
+
+      // `resolve()` removes the context from a copy for `did+json`
+      const {didDocument: jsonDidDocument} = await cachingDriver.resolve({
+        did, accept: 'application/did+json'
+      });
+      expect(jsonDidDocument).to.not.have.property('@context');
+      const didDocument3 = await cachingDriver.get({did});
+      expect(didDocument3).to.have.property('@context');
+    });
+
+    it('should cache results separately for different options', async () => {
+      const {cachingDriver, getCalls} = createCachingDriver(true);
+      const didDocument = await cachingDriver.get({did});
+      const calls = getCalls();
+      const multikeyDidDocument = await cachingDriver.get({
+        did, publicKeyFormat: 'Multikey'
+      });
+      const noKeyAgreementDidDocument = await cachingDriver.get({
+        did, enableEncryptionKeyDerivation: false
+      });
+
+      expect(getCalls()).to.equal(calls * 3);
+      expect(didDocument.verificationMethod[0].type).to.equal(
+        'Ed25519VerificationKey2020');
+      expect(multikeyDidDocument.verificationMethod[0].type).to.equal(
+        'Multikey');
+      expect(noKeyAgreementDidDocument).to.not.have.property('keyAgreement');
+    });
+
+    it('should evict the least recently used result', async () => {
+      const {cachingDriver, getCalls} = createCachingDriver({max: 1});
+      await cachingDriver.get({did});
+      const calls = getCalls();
+      await cachingDriver.get({url: keyId});
+      await cachingDriver.get({did});
+
+      expect(getCalls()).to.equal(calls * 3);
+      expect(cachingDriver.getCacheStats().size).to.equal(1);
+    });
+
+    it('should expire results after "maxAge"', async () => {
+      const {cachingDriver, getCalls} = createCachingDriver({maxAge: 10});
+      await cachingDriver.get({did});
+      const calls = getCalls();
+      await new Promise(resolve => setTimeout(resolve, 20));
+      await cachingDriver.get({did});
+
+      expect(getCalls()).to.equal(calls * 2);
+    });
+
+    it('should not cache errors', async () => {
+      const {cachingDriver} = createCachingDriver(true);
+      const badDid = 'did:key:zpVPpJkMvRPU2n7UjDbej2gW8nvedHtAkpgcgFJn5z';
+      const {didResolutionMetadata} = await cachingDriver.resolve({
+        did: badDid
+      });
+
+      expect(didResolutionMetadata.error).to.equal('invalidPublicKeyLength');
+      expect(cachingDriver.getCacheStats().size).to.equal(0);
+    });
+
+    it('should clear the cache', async () => {
+      const {cachingDriver, getCalls} = createCachingDriver(true);
+      await cachingDriver.get({did});
+      const calls = getCalls();
+      cachingDriver.clearCache();
+      expect(cachingDriver.getCacheStats().size).to.equal(0);
+      await cachingDriver.get({did});
+      expect(getCalls()).to.equal(calls * 2);
+
+      // registrations also clear the cache
+      cachingDriver.useKeyType({
+        type: 'Ed25519VerificationKey2020',
+        context: 'https://w3id.org/security/suites/ed25519-2020/v1'
+      });
+      expect(cachingDriver.getCacheStats().size).to.equal(0);
+    });
+
+    it('should reject invalid cache options', async () => {
+      expect(() => driver({cache: {max: 0}})).to.throw(
+        TypeError, /cache.max/);
+      expect(() => driver({cache: {maxAge: 'never'}})).to.throw(
+        TypeError, /cache.maxAge/);
+    });
+  });
+
+  describe('getMany', () => {
+    const did1 = 'did:key:z6MknCCLeeHBUaHu4aHSVLDCYQW9gjVJ7a63FpMvtuVMy53T';
+    const keyId1 = `${did1}#z6MknCCLeeHBUaHu4aHSVLDCYQW9gjVJ7a63FpMvtuVMy53T`;
+    const did2 = 'did:key:z6MkpTHR8VNsBxYAAWHut2Geadd9jSwuBV8xRoAnwWsdvktH';
+    const did3 = 'did:key:z6MkhaXgBZDvotDkL5257faiztiGiC2QtKLGpbnnEGta2doK';
+
+    // a driver that tracks how many keys are being deserialized at once
+    function createTrackingDriver({delay = 5} = {}) {
+      const stats = {calls: 0, active: 0, maxActive: 0};
+      const trackingDriver = driver();
+      trackingDriver.use({
+        multibaseMultikeyHeader: 'z6Mk',
+        fromMultibase: async options => {
+          stats.calls++;
+          stats.active++;
+          stats.maxActive = Math.max(stats.maxActive, stats.active);
+          await new Promise(resolve => setTimeout(resolve, delay));
+          stats.active--;
+          return Ed25519VerificationKey2020.from(options);
+        }
+      });
+      return {trackingDriver, stats};
+    }
+
+    it('should get items of a DID with an explicit version', async () => {
+      const versionedDid = did1.replace('did:key:', 'did:key:1:');
+      const versionedKeyId = keyId1.replace('did:key:', 'did:key:1:');
+      const results = await didKeyDriver.getMany({
+        urls: [versionedKeyId, versionedDid]
+      });
+
+      expect(results[0].result).to.eql(
+        await didKeyDriver.get({url: versionedKeyId}));
+      expect(results[0].result.id).to.equal(versionedKeyId);
+      expect(results[1].result).to.eql(
+        await didKeyDriver.get({did: versionedDid}));
+    });
+
+    it('should get DID Documents and keys in order', async () => {
+      const results = await didKeyDriver.getMany({
+        dids: [keyId1, did2, did1]
+      });
+
+      expect(results).to.have.length(3);
+      expect(results[0]).to.eql({
+        did: keyId1, result: await didKeyDriver.get({url: keyId1})
+      });
+      expect(results[1]).to.eql({
+        did: did2, result: await didKeyDriver.get({did: did2})
+      });
+      expect(results[2]).to.eql({
+        did: did1, result: await didKeyDriver.get({did: did1})
+      });
+    });
+
+    it('should resolve each distinct DID once', async () => {
+      const {trackingDriver, stats} = createTrackingDriver();
+      await trackingDriver.get({did: did1});
+      const callsPerDid = stats.calls;
+      stats.calls = 0;
+
+      const didDocument = await trackingDriver.get({did: did1});
+      const keyAgreementId = didDocument.keyAgreement[0].id;
+      stats.calls = 0;
+      const results = await trackingDriver.getMany({
+        urls: [did1, keyId1, keyAgreementId, did2, keyId1]
+      });
+
+      expect(stats.calls).to.equal(callsPerDid * 2);
+      expect(results.map(({result}) => result.id)).to.eql([
+        did1, keyId1, keyAgreementId, did2, keyId1
+      ]);
+      // each item is a separate copy
+      expect(results[1].result).to.not.equal(results[4].result);
+    });
+
+    it('should report errors per item', async () => {
+      const results = await didKeyDriver.getMany({
+        dids: [
+          did1,
+          'did:example:1234',
+          'did:key:zpVPpJkMvRPU2n7UjDbej2gW8nvedHtAkpgcgFJn5z',
+          'did:key:zDnaeucDGfhXHoJVqot3p21RuupNJ2fZrs8Lb1GV83VnSo2jR',
+          undefined
+        ]
+      });
+
+      expect(results[0].result.id).to.equal(did1);
+      expect(results[0]).to.not.have.property('error');
+      expect(results.slice(1).map(({error}) => error.code)).to.eql([
+        'methodNotSupported', 'invalidPublicKeyLength',
+        'unsupportedPublicKeyType', 'invalidDid'
+      ]);
+      expect(results[1]).to.not.have.property('result');
+    });
+
+    it('should report the errors that "get()" would throw', async () => {
+      const urls = [`${did1}#`, `${did1}#unknown`];
+      const results = await didKeyDriver.getMany({urls});
+
+      expect(results.map(({error}) => error.code)).to.eql([
+        'invalidDidUrl', 'notFound'
+      ]);
+      for(const [i, url] of urls.entries()) {
+        let error;
+        try {
+          await didKeyDriver.get({url});
+        } catch(e) {
+          error = e;
+        }
+        expect(results[i].error.code).to.equal(error.code);
+      }
+    });
+
+    it('should limit concurrency', async () => {
+      const {trackingDriver, stats} = createTrackingDriver();
+      const results = await trackingDriver.getMany({
+        dids: [did1, did2, did3], concurrency: 1
+      });
+
+      expect(results.every(({result}) => result)).to.equal(true);
+      expect(stats.maxActive).to.equal(1);
+    });
+
+    it('should reject when aborted', async () => {
+      const {trackingDriver, stats} = createTrackingDriver({delay: 20});
+      const controller = new AbortController();
+      const promise = trackingDriver.getMany({
+        dids: [did1, did2, did3], concurrency: 1, signal: controller.signal
+      });
+      setTimeout(() => controller.abort(), 5);
+
+      let error;
+      try {
+        await promise;
+      } catch(e) {
+        error = e;
+      }
+      expect(error).to.exist;
+      expect(error.name).to.equal('AbortError');
+
+      // no more DIDs are resolved after aborting
+      const {calls} = stats;
+      await new Promise(resolve => setTimeout(resolve, 100));
+      expect(stats.calls).to.be.below(calls + 2);
+    });
+
+    it('should reject when already aborted', async () => {
+      const controller = new AbortController();
+      controller.abort();
+
+      let error;
+      try {
+        await didKeyDriver.getMany({dids: [did1], signal: controller.signal});
+      } catch(e) {
+        error = e;
+      }
+      expect(error).to.exist;
+      expect(error.name).to.equal('AbortError');
+    });
+
+    it('should reject invalid options', async () => {
+      let error;
+      try {
+        await didKeyDriver.getMany({dids: did1});
+      } catch(e) {
+        error = e;
+      }
+      expect(error).to.be.instanceOf(TypeError);
+
+      error = undefined;
+      try {
+        await didKeyDriver.getMany({dids: [did1], concurrency: 0});
+      } catch(e) {
+        error = e;
+      }
+      expect(error).to.be.instanceOf(TypeError);
+    });
+  });
+
+  describe('createDocumentLoader', () => {
+    const did = 'did:key:z6MknCCLeeHBUaHu4aHSVLDCYQW9gjVJ7a63FpMvtuVMy53T';
+    const keyId = `${did}#z6MknCCLeeHBUaHu4aHSVLDCYQW9gjVJ7a63FpMvtuVMy53T`;
+
+    it('should load DID Documents and keys', async () => {
+      const documentLoader = didKeyDriver.createDocumentLoader();
+
+      expect(await documentLoader(did)).to.eql({
+        contextUrl: null,
+        documentUrl: did,
+        document: await didKeyDriver.get({did})
+      });
+      expect(await documentLoader(keyId)).to.eql({
+        contextUrl: null,
+        documentUrl: keyId,
+        document: await didKeyDriver.get({url: keyId})
+      });
+    });
+
+    it('should load every context the driver may include', async () => {
+      const documentLoader = didKeyDriver.createDocumentLoader();
+      const didKeyDriver2018 = driver();
+      didKeyDriver2018.use({
+        multibaseMultikeyHeader: 'z6Mk',
+        fromMultibase: createFromMultibase(Ed25519VerificationKey2018)
+      });
+
+      const didDocuments = [
+        await didKeyDriver.get({did}),
+        await didKeyDriver2018.get({did})
+      ];
+      for(const publicKeyFormat of ['Multikey', 'JsonWebKey2020']) {
+        didDocuments.push(await didKeyDriver.get({did, publicKeyFormat}));
+      }
+      const contextUrls = new Set(
+        didDocuments.flatMap(didDocument => didDocument['@context']));
+      expect([...contextUrls]).to.have.members([
+        'https://www.w3.org/ns/did/v1',
+        'https://w3id.org/security/suites/ed25519-2020/v1',
+        'https://w3id.org/security/suites/x25519-2020/v1',
+        'https://w3id.org/security/suites/ed25519-2018/v1',
+        'https://w3id.org/security/suites/x25519-2019/v1',
+        'https://w3id.org/security/multikey/v1',
+        'https://w3id.org/security/suites/jws-2020/v1'
+      ]);
+
+      for(const url of contextUrls) {
+        const {contextUrl, documentUrl, document} = await documentLoader(url);
+        expect(contextUrl).to.equal(null);
+        expect(documentUrl).to.equal(url);
+        expect(document['@context']).to.be.an('object');
+      }
+      const {document} = await documentLoader(
+        'https://w3id.org/security/suites/x25519-2019/v1');
+      expect(document['@context']).to.have.property(
+        'X25519KeyAgreementKey2019');
+    });
+
+    it('should serve the published contexts verbatim', async () => {
+      const documentLoader = didKeyDriver.createDocumentLoader();
+      // SHA-256 of each published context document, serialized with
+      // `JSON.stringify()`
+      const hashes = new Map([
+        ['https://w3id.org/security/suites/x25519-2019/v1',
+          '1b7dd38de8a681b395353c7bfce1f57ae6eb8eb4e0c8ae887ef56e97ba4c0668'],
+        ['https://w3id.org/security/suites/jws-2020/v1',
+          '870cb2d3fb5b0e77fb7c2fe9a22d7e982c79016c76596293a67976d47d91190c']
+      ]);
+      for(const [url, hash] of hashes) {
+        const {document} = await documentLoader(url);
+        const digest = sha256(new TextEncoder().encode(
+          JSON.stringify(document)));
+        expect(bytesToHex(digest)).to.equal(hash);
+      }
+    });
+
+    it('should verify a signed credential without network access',
+      async () => {
+        const keyPair = await Ed25519VerificationKey2020.generate();
+        const {didDocument} = await didKeyDriver.fromKeyPair({
+          verificationKeyPair: keyPair
+        });
+        keyPair.id = didDocument.assertionMethod[0];
+        keyPair.controller = didDocument.id;
+        const documentLoader = didKeyDriver.createDocumentLoader({
+          contexts: credentialsContexts
+        });
+        const credential = {
+          '@context': [
+            CREDENTIALS_CONTEXT_V1_URL,
+            'https://w3id.org/security/suites/ed25519-2020/v1'
+          ],
+          type: ['VerifiableCredential'],
+          issuer: didDocument.id,
+          issuanceDate: '2026-01-01T00:00:00Z',
+          credentialSubject: {id: 'did:example:subject'}
+        };
+
+        // any network access fails
+        const {fetch} = globalThis;
+        globalThis.fetch = async url => {
+          throw new Error(`Network access to "${url}" is blocked.`);
+        };
+        let result;
+        try {
+          const signed = await jsigs.sign(credential, {
+            suite: new Ed25519Signature2020({key: keyPair}),
+            purpose: new AssertionProofPurpose(),
+            documentLoader
+          });
+          result = await jsigs.verify(signed, {
+            suite: new Ed25519Signature2020(),
+            purpose: new AssertionProofPurpose(),
+            documentLoader
+          });
+        } finally {
+          globalThis.fetch = fetch;
+        }
+        expect(result.error).to.not.exist;
+        expect(result.verified).to.be.true;
+      });
+
+    it('should fall through to a given document loader', async () => {
+      const url = 'https://example.com/context/v1';
+      const documentLoader = didKeyDriver.createDocumentLoader({
+        async documentLoader(url) {
+          return {contextUrl: null, documentUrl: url, document: {url}};
+        }
+      });
+
+      const {document} = await documentLoader(url);
+      expect(document).to.eql({url});
+    });
+
+    it('should load additional contexts', async () => {
+      const url = 'https://example.com/context/v1';
+      const context = {'@context': {example: 'https://example.com#'}};
+      const documentLoader = didKeyDriver.createDocumentLoader({
+        contexts: new Map([[url, context]])
+      });
+
+      const {document} = await documentLoader(url);
+      expect(document).to.equal(context);
+    });
+
+    it('should reject unknown URLs', async () => {
+      const documentLoader = didKeyDriver.createDocumentLoader();
+
+      let error;
+      try {
+        await documentLoader('https://example.com/context/v1');
+      } catch(e) {
+        error = e;
+      }
+      expect(error).to.exist;
+      expect(error.code).to.equal('notFound');
+    });
+
+    it('should reject an invalid DID', async () => {
+      const documentLoader = didKeyDriver.createDocumentLoader();
+
+      let error;
+      try {
+        await documentLoader('did:key:z6Mk0OIl');
+      } catch(e) {
+        error = e;
+      }
+      expect(error).to.exist;
+      expect(error.code).to.equal('invalidDid');
+    });
+  });
+
+  describe('resolve', () => {
+    it('should resolve a did:key DID to a DID resolution result', async () => {
+      const did = 'did:key:z6MknCCLeeHBUaHu4aHSVLDCYQW9gjVJ7a63FpMvtuVMy53T';
+      const {
+        didResolutionMetadata, didDocument, didDocumentMetadata
+      } = await didKeyDriver.resolve({did});
+
+      expect(didResolutionMetadata).to.eql({
+        contentType: 'application/did+ld+json'
+      });
+      expect(didDocumentMetadata).to.eql({});
+      expect(didDocument).to.eql(await didKeyDriver.get({did}));
+    });
+
+    it('should resolve a DID with an explicit version', async () => {
+      const did = 'did:key:1:z6MknCCLeeHBUaHu4aHSVLDCYQW9gjVJ7a63FpMvtuVMy53T';
+      const keyId = `${did}#z6MknCCLeeHBUaHu4aHSVLDCYQW9gjVJ7a63FpMvtuVMy53T`;
+      const {didResolutionMetadata, didDocument} = await didKeyDriver.resolve({
+        did
+      });
+
+      expect(didResolutionMetadata.error).to.not.exist;
+      expect(didDocument.id).to.equal(did);
+      expect(didDocument.verificationMethod[0]).to.include({
+        id: keyId, controller: did
+      });
+      expect(didDocument.keyAgreement[0].controller).to.equal(did);
+
+      const {contentStream} = await didKeyDriver.dereference({didUrl: keyId});
+      expect(contentStream).to.include({id: keyId, controller: did});
+    });
+
+    it('should omit "@context" for "application/did+json"', async () => {
+      const did = 'did:key:z6MknCCLeeHBUaHu4aHSVLDCYQW9gjVJ7a63FpMvtuVMy53T';
+      const {didResolutionMetadata, didDocument} = await didKeyDriver.resolve({
+        did, accept: 'application/did+json'
+      });
+
+      expect(didResolutionMetadata.contentType).to.equal(
+        'application/did+json');
+      expect(didDocument.id).to.equal(did);
+      expect(didDocument).to.not.have.property('@context');
+    });
+
+    const errorCases = [{
+      title: 'a missing DID',
+      options: {},
+      error: 'invalidDid'
+    }, {
+      title: 'a non-DID string',
+      options: {did: 'z6MknCCLeeHBUaHu4aHSVLDCYQW9gjVJ7a63FpMvtuVMy53T'},
+      error: 'invalidDid'
+    }, {
+      title: 'a DID URL',
+      options: {
+        did: 'did:key:z6MknCCLeeHBUaHu4aHSVLDCYQW9gjVJ7a63FpMvtuVMy53T' +
+          '#z6MknCCLeeHBUaHu4aHSVLDCYQW9gjVJ7a63FpMvtuVMy53T'
+      },
+      error: 'invalidDid'
+    }, {
+      title: 'a different DID method',
+      options: {did: 'did:web:example.com'},
+      error: 'methodNotSupported'
+    }, {
+      title: 'an unregistered key type',
+      options: {
+        did: 'did:key:zDnaeucDGfhXHoJVqot3p21RuupNJ2fZrs8Lb1GV83VnSo2jR'
+      },
+      error: 'unsupportedPublicKeyType'
+    }, {
+      title: 'a non-base58btc multibase value',
+      options: {did: 'did:key:z6Mk0OIl'},
+      error: 'invalidDid'
+    }, {
+      title: 'a non-base58btc multibase prefix',
+      options: {
+        did: 'did:key:u6MknCCLeeHBUaHu4aHSVLDCYQW9gjVJ7a63FpMvtuVMy53T'
+      },
+      error: 'invalidDid'
+    }, {
+      title: 'an unsupported version',
+      options: {
+        did: 'did:key:2:z6MknCCLeeHBUaHu4aHSVLDCYQW9gjVJ7a63FpMvtuVMy53T'
+      },
+      error: 'invalidDid'
+    }, {
+      title: 'a non-numeric version',
+      options: {
+        did: 'did:key:v1:z6MknCCLeeHBUaHu4aHSVLDCYQW9gjVJ7a63FpMvtuVMy53T'
+      },
+      error: 'invalidDid'
+    }, {
+      title: 'a DID with a path',
+      options: {
+        did: 'did:key:z6MknCCLeeHBUaHu4aHSVLDCYQW9gjVJ7a63FpMvtuVMy53T/path'
+      },
+      error: 'invalidDid'
+    }, {
+      title: 'an unknown multicodec',
+      options: {
+        did: 'did:key:zRyFfZBnLw5YCXAEA2wRetXkg7ermStun3rQKvYx7ZoWM'
+      },
+      error: 'unsupportedPublicKeyType'
+    }, {
+      title: 'a public key with an invalid length',
+      options: {
+        did: 'did:key:zpVPpJkMvRPU2n7UjDbej2gW8nvedHtAkpgcgFJn5z'
+      },
+      error: 'invalidPublicKeyLength'
+    }, {
+      title: 'an invalid public key',
+      options: {
+        did: 'did:key:zDnafCqXeAVGtbMEcNxqEFBcD73ApHADBcLQgVKSSuRDDJyyh'
+      },
+      error: 'invalidPublicKey'
+    }, {
+      title: 'a P-256 point that is not on the curve',
+      options: {
+        did: 'did:key:zDnaerDaTF5BXEavCrfRZEk316dpbLsfPDZ3WJ5hRTPFU216A'
+      },
+      error: 'invalidPublicKey'
+    }, {
+      title: 'a secp256k1 point that is not on the curve',
+      options: {
+        did: 'did:key:zQ3shokFTS3brHcDQrn82RUDfCZESWL1ZdCEJwekUDPQiYBmd'
+      },
+      error: 'invalidPublicKey'
+    }, {
+      title: 'an unknown multicodec that starts with a registered header',
+      options: {did: 'did:key:z6Mk'},
+      error: 'unsupportedPublicKeyType'
+    }, {
+      title: 'an unsupported representation',
+      options: {
+        did: 'did:key:z6MknCCLeeHBUaHu4aHSVLDCYQW9gjVJ7a63FpMvtuVMy53T',
+        accept: 'text/html'
+      },
+      error: 'representationNotSupported'
+    }];
+    for(const {title, options, error} of errorCases) {
+      it(`should report "${error}" for ${title}`, async () => {
+        const {
+          didResolutionMetadata, didDocument, didDocumentMetadata
+        } = await didKeyDriver.resolve(options);
+
+        expect(didResolutionMetadata.error).to.equal(error);
+        expect(didResolutionMetadata.errorMessage).to.be.a('string');
+        expect(didDocument).to.equal(null);
+        expect(didDocumentMetadata).to.eql({});
+      });
+    }
+  });
+
+  describe('dereference', () => {
+    const did = 'did:key:z6MknCCLeeHBUaHu4aHSVLDCYQW9gjVJ7a63FpMvtuVMy53T';
+    const keyId = `${did}#z6MknCCLeeHBUaHu4aHSVLDCYQW9gjVJ7a63FpMvtuVMy53T`;
+    const keyAgreementId =
+      `${did}#z6LSotGbgPCJD2Y6TSvvgxERLTfVZxCh9KSrez3WNrNp7vKW`;
+
+    it('should dereference a DID to its DID Document', async () => {
+      const {
+        dereferencingMetadata, contentStream, contentMetadata
+      } = await didKeyDriver.dereference({didUrl: did});
+
+      expect(dereferencingMetadata).to.eql({
+        contentType: 'application/did+ld+json'
+      });
+      expect(contentStream).to.eql(await didKeyDriver.get({did}));
+      expect(contentMetadata).to.eql({});
+    });
+
+    it('should dereference a DID URL to a verification method', async () => {
+      for(const url of [keyId, keyAgreementId]) {
+        const {
+          dereferencingMetadata, contentStream
+        } = await didKeyDriver.dereference({didUrl: url});
+
+        expect(dereferencingMetadata.error).to.not.exist;
+        expect(contentStream.id).to.equal(url);
+        expect(contentStream).to.eql(await didKeyDriver.get({url}));
+      }
+    });
+
+    it('should omit "@context" for "application/did+json"', async () => {
+      const {dereferencingMetadata, contentStream} =
+        await didKeyDriver.dereference({
+          didUrl: keyId, accept: 'application/did+json'
+        });
+
+      expect(dereferencingMetadata.contentType).to.equal(
+        'application/did+json');
+      expect(contentStream.id).to.equal(keyId);
+      expect(contentStream).to.not.have.property('@context');
+    });
+
+    it('should apply "publicKeyFormat"', async () => {
+      const {contentStream} = await didKeyDriver.dereference({
+        didUrl: keyId, publicKeyFormat: 'JsonWebKey2020'
+      });
+
+      expect(contentStream.type).to.equal('JsonWebKey2020');
+      expect(contentStream['@context']).to.equal(
+        'https://w3id.org/security/suites/jws-2020/v1');
+    });
+
+    const errorCases = [{
+      title: 'a missing DID URL',
+      didUrl: undefined,
+      error: 'invalidDidUrl'
+    }, {
+      title: 'an invalid DID',
+      didUrl: 'did:key:z6Mk0OIl#z6Mk0OIl',
+      error: 'invalidDidUrl'
+    }, {
+      title: 'an empty fragment',
+      didUrl: `${did}#`,
+      error: 'invalidDidUrl'
+    }, {
+      title: 'a fragment with invalid characters',
+      didUrl: `${did}#key 1`,
+      error: 'invalidDidUrl'
+    }, {
+      title: 'a fragment with a "#"',
+      didUrl: `${keyId}#z6Mk`,
+      error: 'invalidDidUrl'
+    }, {
+      title: 'a different DID method',
+      didUrl: 'did:web:example.com#key-1',
+      error: 'methodNotSupported'
+    }, {
+      title: 'an unknown fragment',
+      didUrl: `${did}#z6MkpTHR8VNsBxYAAWHut2Geadd9jSwuBV8xRoAnwWsdvktH`,
+      error: 'notFound'
+    }, {
+      title: 'a fragment that differs in case',
+      didUrl: `${did}#z6mknccleehbuahu4ahsvldcyqw9gjvja7a63fpmvtuvmy53t`,
+      error: 'notFound'
+    }, {
+      title: 'a path',
+      didUrl: `${did}/path`,
+      error: 'notFound'
+    }, {
+      title: 'a query',
+      didUrl: `${did}?service=files&relativeRef=/resume.pdf`,
+      error: 'notFound'
+    }, {
+      title: 'an unsupported representation',
+      didUrl: keyId,
+      accept: 'text/html',
+      error: 'representationNotSupported'
+    }];
+    for(const {title, didUrl, accept, error} of errorCases) {
+      it(`should report "${error}" for ${title}`, async () => {
+        const {
+          dereferencingMetadata, contentStream, contentMetadata
+        } = await didKeyDriver.dereference({didUrl, accept});
+
+        expect(dereferencingMetadata.error).to.equal(error);
+        expect(dereferencingMetadata.errorMessage).to.be.a('string');
+        expect(contentStream).to.equal(null);
+        expect(contentMetadata).to.eql({});
+      });
+    }
+
+    it('should not get a key for an unknown fragment', async () => {
+      let error;
+      try {
+        await didKeyDriver.get({url: `${did}#key-agreement`});
+      } catch(e) {
+        error = e;
+      }
+      expect(error).to.exist;
+      expect(error.code).to.equal('notFound');
+    });
+
+    it('should not get a DID Document for an empty fragment', async () => {
+      let error;
+      try {
+        await didKeyDriver.get({url: `${did}#`});
+      } catch(e) {
+        error = e;
+      }
+      expect(error).to.exist;
+      expect(error.code).to.equal('invalidDidUrl');
+    });
+  });
+
+  describe('generate', () => {
+    const seed = new Uint8Array(32).fill(1);
+    const data = new TextEncoder().encode('test data');
+    let didKeyDriverGenerate;
+    before(() => {
+      didKeyDriverGenerate = driver();
+      didKeyDriverGenerate.use({
+        multibaseMultikeyHeader: 'z6Mk',
+        fromMultibase: Ed25519Multikey.from,
+        generate: Ed25519Multikey.generate
+      });
+      didKeyDriverGenerate.use({
+        multibaseMultikeyHeader: 'zDna',
+        fromMultibase: EcdsaMultikey.from,
+        generate: () => EcdsaMultikey.generate({curve: 'P-256'})
+      });
+      didKeyDriverGenerate.use({
+        multibaseMultikeyHeader: 'z6LS',
+        fromMultibase: X25519KeyAgreementKey2020.from,
+        generate: X25519KeyAgreementKey2020.generate
+      });
+    });
+
+    it('should generate a DID from a seed', async () => {
+      const {
+        did, didDocument, keyPairs, methodFor
+      } = await didKeyDriverGenerate.generate({keyType: 'Ed25519', seed});
+      const expected = await Ed25519Multikey.generate({seed});
+      expect(did).to.equal(`did:key:${expected.publicKeyMultibase}`);
+      expect(didDocument).to.eql(await didKeyDriverGenerate.get({did}));
+      expect(keyPairs.size).to.equal(2);
+
+      const {didDocument: again} = await didKeyDriverGenerate.generate({
+        multibaseMultikeyHeader: 'z6Mk', seed
+      });
+      expect(again).to.eql(didDocument);
+      const {did: random} = await didKeyDriverGenerate.generate({
+        keyType: 'Ed25519'
+      });
+      expect(random).to.not.equal(did);
+
+      // the key pairs include their secret keys
+      const keyPair = methodFor({purpose: 'assertionMethod'});
+      expect(keyPair.id).to.equal(didDocument.assertionMethod[0]);
+      expect(keyPair.controller).to.equal(did);
+      const signature = await keyPair.signer().sign({data});
+      expect(await didKeyDriverGenerate.verify({
+        did, purpose: 'assertionMethod', data, signature
+      })).to.be.true;
+      const keyAgreementKeyPair = methodFor({purpose: 'keyAgreement'});
+      expect(keyAgreementKeyPair.id).to.equal(didDocument.keyAgreement[0].id);
+      expect(keyAgreementKeyPair.privateKeyMultibase).to.be.a('string');
+      const jwe = await didKeyDriverGenerate.encryptTo({
+        recipients: [did], payload: data
+      });
+      expect(await didKeyDriverGenerate.decrypt({jwe, keyAgreementKeyPair}))
+        .to.eql(data);
+    });
+
+    it('should generate a DID with a legacy key pair interface', async () => {
+      const didKeyDriver2020 = driver();
+      didKeyDriver2020.use({
+        multibaseMultikeyHeader: 'z6Mk',
+        fromMultibase: Ed25519VerificationKey2020.from,
+        generate: Ed25519VerificationKey2020.generate
+      });
+      const {did, didDocument, methodFor} = await didKeyDriver2020.generate({
+        keyType: 'Ed25519', seed
+      });
+      const {did: expected} = await didKeyDriverGenerate.generate({
+        keyType: 'Ed25519', seed
+      });
+      expect(did).to.equal(expected);
+      expect(didDocument.verificationMethod[0].type).to.equal(
+        'Ed25519VerificationKey2020');
+      expect(methodFor({purpose: 'authentication'}).privateKeyMultibase)
+        .to.be.a('string');
+      expect(methodFor({purpose: 'keyAgreement'}).privateKeyMultibase)
+        .to.be.a('string');
+    });
+
+    it('should generate DIDs of other key types', async () => {
+      const {did, methodFor} = await didKeyDriverGenerate.generate({
+        keyType: 'P-256'
+      });
+      expect(did.startsWith('did:key:zDna')).to.be.true;
+      const signature = await methodFor({purpose: 'authentication'}).signer()
+        .sign({data});
+      expect(await didKeyDriverGenerate.verify({
+        did, purpose: 'authentication', data, signature
+      })).to.be.true;
+
+      const {
+        did: x25519Did, didDocument, keyPairs
+      } = await didKeyDriverGenerate.generate({keyType: 'X25519'});
+      expect(x25519Did.startsWith('did:key:z6LS')).to.be.true;
+      expect(didDocument.verificationMethod).to.not.exist;
+      const [keyAgreementKeyPair] = keyPairs.values();
+      expect(keyAgreementKeyPair.id).to.equal(didDocument.keyAgreement[0].id);
+      expect(keyAgreementKeyPair.privateKeyMultibase).to.be.a('string');
+    });
+
+    it('should generate with a registration by multicodec', async () => {
+      const didKeyDriverCodec = driver();
+      didKeyDriverCodec.use({
+        multicodec: 'ed25519-pub',
+        fromMultibase: Ed25519Multikey.from,
+        generate: Ed25519Multikey.generate
+      });
+      const {did} = await didKeyDriverCodec.generate({
+        keyType: 'Ed25519', seed
+      });
+      const {did: expected} = await didKeyDriverGenerate.generate({
+        keyType: 'Ed25519', seed
+      });
+      expect(did).to.equal(expected);
+    });
+
+    it('should throw for a key type without a generator', async () => {
+      const options = [
+        {keyType: 'P-384'},
+        {multibaseMultikeyHeader: 'z82L'},
+        {keyType: 'Ed25519'}
+      ];
+      // registered without `generate`
+      const didKeyDriverNoGenerate = driver();
+      didKeyDriverNoGenerate.use({
+        multibaseMultikeyHeader: 'z6Mk',
+        fromMultibase: Ed25519Multikey.from
+      });
+      for(const [i, option] of options.entries()) {
+        const target = i < 2 ? didKeyDriverGenerate : didKeyDriverNoGenerate;
+        let error;
+        try {
+          await target.generate(option);
+        } catch(e) {
+          error = e;
+        }
+        expect(error).to.exist;
+        expect(error.code).to.equal('unsupportedPublicKeyType');
+      }
+    });
+
+    it('should reject invalid parameters', async () => {
+      const invalid = [
+        {},
+        {keyType: 'Ed25519', multibaseMultikeyHeader: 'z6Mk'},
+        {keyType: 'Ed25519', seed: 'seed'}
+      ];
+      for(const options of invalid) {
+        let error;
+        try {
+          await didKeyDriverGenerate.generate(options);
+        } catch(e) {
+          error = e;
+        }
+        expect(error).to.be.instanceOf(TypeError);
+      }
+      expect(() => driver().use({
+        multibaseMultikeyHeader: 'z6Mk',
+        fromMultibase: Ed25519Multikey.from,
+        generate: true
+      })).to.throw(TypeError);
+    });
+  });
+
+  describe('exportKeyPairs and importKeyPairs', () => {
+    const passphrase = 'correct horse battery staple';
+    const data = new TextEncoder().encode('test data');
+    let didKeyDriverKeystore;
+    let generated;
+    let keystore;
+    before(async () => {
+      didKeyDriverKeystore = driver();
+      didKeyDriverKeystore.use({
+        multibaseMultikeyHeader: 'z6Mk',
+        fromMultibase: Ed25519Multikey.from,
+        generate: Ed25519Multikey.generate
+      });
+      generated = await didKeyDriverKeystore.generate({keyType: 'Ed25519'});
+      keystore = await didKeyDriverKeystore.exportKeyPairs({
+        keyPairs: generated.keyPairs, passphrase
+      });
+    });
+
+    it('should export key pairs to an encrypted keystore', async () => {
+      expect(keystore.type).to.equal('DidKeyKeystore');
+      expect(keystore.version).to.equal(1);
+      expect(keystore.kdf).to.include({name: 'PBKDF2', hash: 'SHA-256'});
+      expect(keystore.cipher.name).to.equal('AES-GCM');
+      const json = JSON.stringify(keystore);
+      for(const keyPair of generated.keyPairs.values()) {
+        const {secretKeyMultibase, privateKeyMultibase} = keyPair;
+        expect(secretKeyMultibase ?? privateKeyMultibase).to.be.a('string');
+        expect(json).to.not.include(secretKeyMultibase ?? privateKeyMultibase);
+      }
+    });
+
+    it('should import key pairs from a keystore', async () => {
+      const jwe = await didKeyDriverKeystore.encryptTo({
+        recipients: [generated.did], payload: data
+      });
+      const {
+        didDocument, keyPairs, methodFor
+      } = await didKeyDriverKeystore.importKeyPairs({
+        keystore: JSON.stringify(keystore), passphrase
+      });
+      expect(didDocument).to.eql(generated.didDocument);
+      expect([...keyPairs.keys()]).to.eql([...generated.keyPairs.keys()]);
+
+      const keyPair = methodFor({purpose: 'assertionMethod'});
+      const signature = await keyPair.signer().sign({data});
+      expect(await didKeyDriverKeystore.verify({
+        did: generated.did, purpose: 'assertionMethod', data, signature
+      })).to.be.true;
+      const keyAgreementKeyPair = methodFor({purpose: 'keyAgreement'});
+      expect(keyAgreementKeyPair.type).to.equal('Multikey');
+      expect(await didKeyDriverKeystore.decrypt({jwe, keyAgreementKeyPair}))
+        .to.eql(data);
+    });
+
+    it('should import the key pairs of other key pair interfaces',
+      async () => {
+        const didKeyDriver2018 = driver();
+        didKeyDriver2018.use({
+          multibaseMultikeyHeader: 'z6Mk',
+          fromMultibase: createFromMultibase(Ed25519VerificationKey2018)
+        });
+        const verificationKeyPair = await Ed25519VerificationKey2018.generate();
+        // a key agreement key that is identified by its own DID
+        const {
+          didDocument, keyPairs, methodFor
+        } = await didKeyDriver2018.fromKeyPair({
+          verificationKeyPair,
+          keyAgreementKeyPair: await X25519KeyAgreementKey2020.generate()
+        });
+        const imported = await didKeyDriver2018.importKeyPairs({
+          keystore: await didKeyDriver2018.exportKeyPairs({
+            keyPairs, passphrase
+          }),
+          passphrase
+        });
+        expect(imported.didDocument).to.eql(didDocument);
+        const keyAgreementKeyPair = imported.methodFor({
+          purpose: 'keyAgreement'
+        });
+        expect(keyAgreementKeyPair.id).to.equal(
+          methodFor({purpose: 'keyAgreement'}).id);
+        expect(keyAgreementKeyPair.privateKeyMultibase).to.equal(
+          methodFor({purpose: 'keyAgreement'}).privateKeyMultibase);
+        expect(imported.methodFor({purpose: 'authentication'}).type).to.equal(
+          'Ed25519VerificationKey2018');
+      });
+
+    it('should not import with a wrong passphrase', async () => {
+      let error;
+      try {
+        await didKeyDriverKeystore.importKeyPairs({
+          keystore, passphrase: 'wrong passphrase'
+        });
+      } catch(e) {
+        error = e;
+      }
+      expect(error).to.exist;
+      expect(error.code).to.equal('invalidKeystore');
+    });
+
+    it('should not import an unsupported keystore', async () => {
+      const invalid = [
+        {...keystore, version: 2},
+        {...keystore, type: 'Keystore'},
+        {...keystore, kdf: {...keystore.kdf, iterations: 1e9}},
+        '{"type":'
+      ];
+      for(const keystore of invalid) {
+        let error;
+        try {
+          await didKeyDriverKeystore.importKeyPairs({keystore, passphrase});
+        } catch(e) {
+          error = e;
+        }
+        expect(error).to.exist;
+        expect(error.code).to.equal('invalidKeystore');
+      }
+    });
+
+    it('should reject invalid parameters', async () => {
+      const invalid = [
+        () => didKeyDriverKeystore.exportKeyPairs({
+          keyPairs: [...generated.keyPairs], passphrase
+        }),
+        () => didKeyDriverKeystore.exportKeyPairs({
+          keyPairs: generated.keyPairs, passphrase: ''
+        }),
+        () => didKeyDriverKeystore.importKeyPairs({keystore}),
+        () => didKeyDriverKeystore.importKeyPairs({passphrase})
+      ];
+      for(const call of invalid) {
+        let error;
+        try {
+          await call();
+        } catch(e) {
+          error = e;
+        }
+        expect(error).to.be.instanceOf(TypeError);
+      }
+    });
+  });
+
+  describe('fromKeyPair', () => {
+    it('should generate DID document and get round trip', async () => {
+      const publicKeyMultibase =
+        'z6MknCCLeeHBUaHu4aHSVLDCYQW9gjVJ7a63FpMvtuVMy53T';
+      const keyPair = await Ed25519VerificationKey2020.from({
+        publicKeyMultibase
+      });
+      const {
+        didDocument, keyPairs, methodFor
+      } = await didKeyDriver.fromKeyPair({verificationKeyPair: keyPair});
+
+      const did = didDocument.id;
+      const keyId = didDocument.authentication[0];
+
+      const verificationKeyPair = methodFor({purpose: 'assertionMethod'});
+      const keyAgreementKeyPair = methodFor({purpose: 'keyAgreement'});
+
+      expect(keyId).to.equal(verificationKeyPair.id);
+      expect(keyAgreementKeyPair.type).to.equal('X25519KeyAgreementKey2020');
+
+      expect(keyPairs.get(keyId).controller).to.equal(did);
+      expect(keyPairs.get(keyId).id).to.equal(keyId);
+      const fetchedDidDoc = await didKeyDriver.get({did});
+      expect(fetchedDidDoc).to.eql(didDocument);
+    });
+    it('should generate "EcdsaMultikey" DID document using keypair',
+      async () => {
+        const publicKeyMultibase =
+          'zDnaeucDGfhXHoJVqot3p21RuupNJ2fZrs8Lb1GV83VnSo2jR';
+        const keyPair = await EcdsaMultikey.from({publicKeyMultibase});
+        const didKeyDriverMultikey = driver();
+        didKeyDriverMultikey.use({
+          multibaseMultikeyHeader: 'zDna',
+          fromMultibase: EcdsaMultikey.from
+        });
+        const {
+          didDocument, keyPairs, methodFor
+        } = await didKeyDriverMultikey.fromKeyPair({
+          verificationKeyPair: keyPair
+        });
+        const did = didDocument.id;
+        const keyId = didDocument.authentication[0];
+
+        const verificationKeyPair = methodFor({purpose: 'assertionMethod'});
+        let err;
+        let keyAgreementKeyPair;
+        try {
+          keyAgreementKeyPair = methodFor({purpose: 'keyAgreement'});
+        } catch(e) {
+          err = e;
+        }
+        expect(err).to.exist;
+        expect(keyAgreementKeyPair).to.not.exist;
+
+        expect(keyId).to.equal(verificationKeyPair.id);
+
+        expect(keyPairs.get(keyId).controller).to.equal(did);
+        expect(keyPairs.get(keyId).id).to.equal(keyId);
+        const fetchedDidDoc = await didKeyDriverMultikey.get({did});
+        expect(fetchedDidDoc).to.eql(didDocument);
+      });
+    it('should generate "Ed25519Multikey" DID document with a key ' +
+      'agreement key', async () => {
+      const keyPair = await Ed25519Multikey.generate();
+      const didKeyDriverMultikey = driver();
+      didKeyDriverMultikey.use({
+        multibaseMultikeyHeader: 'z6Mk',
+        fromMultibase: Ed25519Multikey.from
+      });
+      const {didDocument, methodFor} = await didKeyDriverMultikey.fromKeyPair({
+        verificationKeyPair: keyPair
+      });
+      const did = didDocument.id;
+
+      const keyAgreementKeyPair = methodFor({purpose: 'keyAgreement'});
+      expect(keyAgreementKeyPair.type).to.equal('Multikey');
+      expect(keyAgreementKeyPair.controller).to.equal(did);
+      expect(keyAgreementKeyPair.id).to.equal(
+        `${did}#${keyAgreementKeyPair.publicKeyMultibase}`);
+      expect(keyAgreementKeyPair.publicKeyMultibase.startsWith('z6LS'))
+        .to.equal(true);
+      expect(keyAgreementKeyPair.deriveSecret).to.be.a('function');
+      expect(didDocument.keyAgreement[0].id).to.equal(keyAgreementKeyPair.id);
+
+      const fetchedDidDoc = await didKeyDriverMultikey.get({did});
+      expect(fetchedDidDoc).to.eql(didDocument);
+    });
+    it('should generate DID document with verificationKeyPair and ' +
+      'keyAgreementKeyPair', async () => {
+      const publicKeyMultibaseForVerificationKeyPair =
+        'z6MknCCLeeHBUaHu4aHSVLDCYQW9gjVJ7a63FpMvtuVMy53T';
+      const keyPairForVerification = await Ed25519VerificationKey2020.from({
+        publicKeyMultibase: publicKeyMultibaseForVerificationKeyPair
+      });
+      const publicKeyMultibaseForKeyAgreementKeyPair =
+        'z6LSbysY2xFMRpGMhb7tFTLMpeuPRaqaWM1yECx2AtzE3KCc';
+      const keyPairForKeyAgreement = await X25519KeyAgreementKey2020.from({
+        publicKeyMultibase: publicKeyMultibaseForKeyAgreementKeyPair
+      });
+      const didKeyDriver = driver();
+      didKeyDriver.use({
+        multibaseMultikeyHeader: 'z6Mk',
+        fromMultibase: Ed25519VerificationKey2020.from
+      });
+      didKeyDriver.use({
+        multibaseMultikeyHeader: 'z6LS',
+        fromMultibase: X25519KeyAgreementKey2020.from
+      });
+      const {
+        didDocument, keyPairs, methodFor
+      } = await didKeyDriver.fromKeyPair({
+        verificationKeyPair: keyPairForVerification,
+        keyAgreementKeyPair: keyPairForKeyAgreement
+      });
+      const did = didDocument.id;
+      const keyId = `did:key:${publicKeyMultibaseForVerificationKeyPair}` +
+        `#${publicKeyMultibaseForVerificationKeyPair}`;
+      const keyAgreementId =
+        `did:key:${publicKeyMultibaseForKeyAgreementKeyPair}` +
+        `#${publicKeyMultibaseForKeyAgreementKeyPair}`;
+      expect(didDocument['@context']).to.eql([
+        'https://www.w3.org/ns/did/v1',
+        'https://w3id.org/security/suites/ed25519-2020/v1',
+        'https://w3id.org/security/suites/x25519-2020/v1'
+      ]);
+      expect(didDocument.authentication).to.eql([keyId]);
+      expect(didDocument.assertionMethod).to.eql([keyId]);
+      expect(didDocument.capabilityDelegation).to.eql([keyId]);
+      expect(didDocument.capabilityInvocation).to.eql([keyId]);
+
+      const [publicKey] = didDocument.verificationMethod;
+      expect(publicKey.id).to.equal(keyId);
+      expect(publicKey.type).to.equal('Ed25519VerificationKey2020');
+      expect(publicKey.controller).to.equal(did);
+      expect(publicKey.publicKeyMultibase).to
+        .equal(publicKeyMultibaseForVerificationKeyPair);
+
+      const [kak] = didDocument.keyAgreement;
+      const kakDid = `did:key:${publicKeyMultibaseForKeyAgreementKeyPair}`;
+
+      expect(kak.id).to.equal(keyAgreementId);
+      expect(kak.type).to.equal('X25519KeyAgreementKey2020');
+      expect(kak.controller).to.equal(kakDid);
+      expect(kak.publicKeyMultibase).to
+        .equal(publicKeyMultibaseForKeyAgreementKeyPair);
+
+      const verificationKeyPair = methodFor({purpose: 'assertionMethod'});
+      let err;
+      let keyAgreementKeyPair;
+      try {
+        keyAgreementKeyPair = methodFor({purpose: 'keyAgreement'});
+      } catch(e) {
+        err = e;
+      }
+      expect(err).to.not.exist;
+      expect(keyAgreementKeyPair).to.exist;
+      expect(verificationKeyPair).to.exist;
+      expect(verificationKeyPair.id).to.equal(keyId);
+      expect(keyAgreementKeyPair.id).to.equal(keyAgreementId);
+      expect(keyPairs.get(keyId).controller).to.equal(did);
+      expect(keyPairs.get(keyAgreementId).controller).to.equal(kakDid);
+    });
+    it('should generate DID document from X25519 key', async () => {
+      // eslint-disable-next-line max-len
+      const publicKeyMultibase = 'z6LSbysY2xFMRpGMhb7tFTLMpeuPRaqaWM1yECx2AtzE3KCc';
+      const keyPair = await X25519KeyAgreementKey2020.from({
+        publicKeyMultibase
+      });
+      const didKeyDriverMultikey = driver();
+      didKeyDriverMultikey.use({
+        multibaseMultikeyHeader: 'z6LS',
+        fromMultibase: X25519KeyAgreementKey2020.from
+      });
+      const {
+        didDocument, keyPairs, methodFor
+      } = await didKeyDriverMultikey.fromKeyPair({
+        keyAgreementKeyPair: keyPair
+      });
+      const did = didDocument.id;
+      const keyId = didDocument.keyAgreement[0].id;
+      const keyAgreementKeyPair = methodFor({purpose: 'keyAgreement'});
+
+      expect(keyId).to.equal(keyAgreementKeyPair.id);
+
+      expect(keyPairs.get(keyId).controller).to.equal(did);
+      expect(keyPairs.get(keyId).id).to.equal(keyId);
+
+      const fetchedDidDoc = await didKeyDriverMultikey.get({did});
+      expect(fetchedDidDoc).to.eql(didDocument);
+    });
+  });
+
+  describe('fromPublicKeyBytes', () => {
+    it('should generate a DID Document from Ed25519 bytes', async () => {
+      const did = 'did:key:z6MknCCLeeHBUaHu4aHSVLDCYQW9gjVJ7a63FpMvtuVMy53T';
+      const {publicKeyBytes: bytes} = parse({did});
+      const {
+        did: generatedDid, didDocument, keyPairs, methodFor
+      } = await didKeyDriver.fromPublicKeyBytes({bytes, codec: 'ed25519-pub'});
+
+      expect(generatedDid).to.equal(did);
+      expect(didDocument).to.eql(await didKeyDriver.get({did}));
+      expect(keyPairs.size).to.equal(2);
+      expect(methodFor({purpose: 'assertionMethod'}).id).to.equal(
+        didDocument.assertionMethod[0]);
+    });
+
+    it('should generate a DID Document from P-256 bytes', async () => {
+      const did = 'did:key:zDnaeucDGfhXHoJVqot3p21RuupNJ2fZrs8Lb1GV83VnSo2jR';
+      const {publicKeyBytes: bytes} = parse({did});
+      const didKeyDriverMultikey = driver();
+      didKeyDriverMultikey.use({
+        multibaseMultikeyHeader: 'zDna',
+        fromMultibase: EcdsaMultikey.from
+      });
+
+      const {did: generatedDid, didDocument} =
+        await didKeyDriverMultikey.fromPublicKeyBytes({
+          bytes, codec: 0x1200, publicKeyFormat: 'JsonWebKey2020'
+        });
+      expect(generatedDid).to.equal(did);
+      expect(didDocument.verificationMethod[0].publicKeyJwk.crv).to.equal(
+        'P-256');
+    });
+
+    it('should generate a DID Document from X25519 bytes', async () => {
+      const did = 'did:key:z6LSeRSE5Em5oJpwdk3NBaLVERBS332ULC7EQq5EtMsmXhsM';
+      const {publicKeyBytes: bytes} = parse({did});
+      const didKeyDriverX25519 = driver();
+      didKeyDriverX25519.use({
+        multicodec: 'x25519-pub',
+        fromMultibase: X25519KeyAgreementKey2020.from
+      });
+
+      const {did: generatedDid, didDocument} =
+        await didKeyDriverX25519.fromPublicKeyBytes({
+          bytes, codec: 'x25519-pub'
+        });
+      expect(generatedDid).to.equal(did);
+      expect(didDocument).to.not.have.property('verificationMethod');
+      expect(didDocument.keyAgreement).to.have.length(1);
+    });
+
+    const errorCases = [{
+      title: 'bytes with the wrong length',
+      options: {bytes: new Uint8Array(31), codec: 'ed25519-pub'},
+      code: 'invalidPublicKeyLength'
+    }, {
+      title: 'an uncompressed P-256 key',
+      options: {
+        bytes: new Uint8Array(33).fill(4, 0, 1), codec: 'p256-pub'
+      },
+      code: 'invalidPublicKey'
+    }, {
+      title: 'an unknown codec name',
+      options: {bytes: new Uint8Array(32), codec: 'ed448-pub'},
+      code: 'unsupportedPublicKeyType'
+    }, {
+      title: 'an unregistered codec',
+      options: {bytes: new Uint8Array(32), codec: 'x25519-pub'},
+      code: 'unsupportedPublicKeyType'
+    }];
+    for(const {title, options, code} of errorCases) {
+      it(`should reject ${title}`, async () => {
+        let error;
+        try {
+          await didKeyDriver.fromPublicKeyBytes(options);
+        } catch(e) {
+          error = e;
+        }
+        expect(error).to.exist;
+        expect(error.code).to.equal(code);
+      });
+    }
+
+    it('should reject bytes that are not a Uint8Array', async () => {
+      let error;
+      try {
+        await didKeyDriver.fromPublicKeyBytes({
+          bytes: [1, 2, 3], codec: 'ed25519-pub'
+        });
+      } catch(e) {
+        error = e;
+      }
+      expect(error).to.be.instanceOf(TypeError);
+    });
+  });
+
+  describe('built-in deserializers', () => {
+    const secp256k1Multibase =
+      'zQ3shokFTS3brHcDQrn82RUDfCZESWL1ZdCEJwekUDPQiYBme';
+    const p521Multibase =
+      'z2J9gcGZ8ATknnwYKVCM2GeKksyQzZHXX1PPaETqVb96Nna1XANswRU51ZnX5opSAcb3iS' +
+      '15svkk7fF6HprUihH19HaXGVsi';
+    const rsa2048Multibase =
+      'z4MXj1wBzi9jUstyNeozEHKN74ifMcXVCr7vGrhGU9SJJB1SCzq4fVnH3odi' +
+      'tX6fHMimCrQxrjQm4eEpGJhC3WBEUZV54doCTVvnmXnRnrFaSMkRRaFg2uYS' +
+      'WY4yiw1ATnkbSkqk1CR1L44aqCUHUBJ2927iG8hEh5LuaFVpHJ8jyEudEoPV' +
+      'UPFHxwhJTyF58LfMxER2wzAMB4XWZq4NeD4k2PX811eeRH4WoCTzSGLZHqx3' +
+      'Xphg7tsvjhLTU1y58jqSm2XV2Jsx5W8VZiotaBsbAdKeqiytYVcNkhnQhnxd' +
+      'MZkAjCcorVXFmmB5uKarTx26eMpBcZ1nSHUgnDQgW5Fw2A6uVzGe7ZnZrwHF' +
+      'SS4CYt8NJ6nR6';
+    const rsa4096Multibase =
+      'zgghBUVkqmWS8e1j4vjC259MoG6sgaac6guJGbidMXfK2TJHvyYTiynmN7a7' +
+      'fk4x2xEhUwKvrZR2YurQaocaTdVGWQMA53pmeYCXS5axg8aswWrLuhck3JS8' +
+      'NPBH7y5NtdTGnYfcXAVw4L88Xj12yQxcvcQzR6PpS8YPrKLn6rt12L7jgHsJ' +
+      'ZHCZBiKEPJdwNp4U6U432yT8ZmhDd6RNzfMcc8EtCSzxDPndcs5FHnanAsSs' +
+      'YmSJQFTgegzHmSU9yjZjaJyftHwmN6z851YCvYJ99U7F8WT1j1QCimkd9TCh' +
+      '8WwK8AE6aitfwG8FqH4MPaJRhukSGH8j9aBTudtYKvaHUzWpDpvHQ88T7Dk7' +
+      'hdd8L1KSjUzLnUswJaxeRYTcaizusUHh2kzN67hgpNDR91woS5RjgLrwHqCc' +
+      'Fi5GEXf6MzLq21buwdAf7nV7ACH7mn9tHt6vEsPQLxCd4y536MYUdftBdnAK' +
+      'ztGPZr6KE6LfVpq2GxuVi8Dd8X8f11SinrCfzMR5CLa6S1bM5SoQxnEJe2Yp' +
+      'JoRTcgnQYwjhnyTHPVvxrAuazFP8e6uANSGch6Ux3AXSE5n3kzjTxKUdFw8R' +
+      'puJgbBVVt96tJSxCucvLZr6SobiGS6VFZy9PjDHwi3mnTk4c1UdmRW9deue9' +
+      'yL2yv7ro52a9PUmUeVxDjTrASsoiUWBFEn2hVNKGDQZQqc4NYExeEBcwVv7T' +
+      'CU';
+    const didKeyDriverBuiltIn = driver();
+    didKeyDriverBuiltIn.use({
+      multibaseMultikeyHeader: 'zQ3s',
+      fromMultibase: Secp256k1Multikey.from
+    });
+    didKeyDriverBuiltIn.use({
+      multicodec: P521Multikey.multicodec,
+      fromMultibase: P521Multikey.from
+    });
+    didKeyDriverBuiltIn.use({
+      multicodec: RsaMultikey.multicodec,
+      fromMultibase: RsaMultikey.from
+    });
+
+    const cases = [{
+      title: 'secp256k1', multibase: secp256k1Multibase, header: 'zQ3s'
+    }, {
+      title: 'P-521', multibase: p521Multibase, header: 'z2J9'
+    }, {
+      title: 'RSA-2048', multibase: rsa2048Multibase, header: 'z4MX'
+    }, {
+      title: 'RSA-4096', multibase: rsa4096Multibase, header: 'zgg'
+    }];
+    for(const {title, multibase, header} of cases) {
+      it(`should get the DID Document for a ${title} DID`, async () => {
+        expect(multibase.startsWith(header)).to.be.true;
+        const did = `did:key:${multibase}`;
+        const keyId = `${did}#${multibase}`;
+        const didDocument = await didKeyDriverBuiltIn.get({did});
+
+        expect(didDocument['@context']).to.eql([
+          'https://www.w3.org/ns/did/v1',
+          'https://w3id.org/security/multikey/v1'
+        ]);
+        expect(didDocument.verificationMethod).to.eql([{
+          id: keyId,
+          type: 'Multikey',
+          controller: did,
+          publicKeyMultibase: multibase
+        }]);
+        expect(didDocument.assertionMethod).to.eql([keyId]);
+        expect(didDocument).to.not.have.property('keyAgreement');
+
+        const key = await didKeyDriverBuiltIn.get({url: keyId});
+        expect(key.publicKeyMultibase).to.equal(multibase);
+      });
+    }
+
+    it('should export a key pair with a fingerprint', async () => {
+      const keyPair = await Secp256k1Multikey.from({
+        publicKeyMultibase: secp256k1Multibase
+      });
+      expect(keyPair.fingerprint()).to.equal(secp256k1Multibase);
+      expect(await keyPair.export({publicKey: true})).to.eql({
+        '@context': 'https://w3id.org/security/multikey/v1',
+        id: undefined,
+        type: 'Multikey',
+        controller: undefined,
+        publicKeyMultibase: secp256k1Multibase
+      });
+    });
+
+    it('should express a secp256k1 key as a JWK', async () => {
+      const did = `did:key:${secp256k1Multibase}`;
+      const didDocument = await didKeyDriverBuiltIn.get({
+        did, publicKeyFormat: 'JsonWebKey2020'
+      });
+      expect(didDocument.verificationMethod[0].publicKeyJwk).to.eql({
+        kty: 'EC',
+        crv: 'secp256k1',
+        x: 'h0wVx_2iDlOcblulc8E5iEw1EYh5n1RYtLQfeSTyNc0',
+        y: 'O2EATIGbu6DezKFptj5scAIRntgfecanVNXxat1rnwE'
+      });
+    });
+
+    it('should express an RSA key as a JWK', async () => {
+      const did = `did:key:${rsa2048Multibase}`;
+      const didDocument = await didKeyDriverBuiltIn.get({
+        did, publicKeyFormat: 'JsonWebKey2020', includeJwkThumbprint: true
+      });
+      const {publicKeyJwk} = didDocument.verificationMethod[0];
+      expect(publicKeyJwk.kty).to.equal('RSA');
+      expect(publicKeyJwk.e).to.equal('AQAB');
+      // 2048 bit modulus
+      expect(publicKeyJwk.n).to.have.length(342);
+      expect(publicKeyJwk.kid).to.be.a('string');
+      expect(didJwkToDidKey({did: didKeyToDidJwk({did})})).to.equal(did);
+    });
+
+    const invalidKeys = [{
+      title: 'a secp256k1 point that is not on the curve',
+      deserializer: Secp256k1Multikey,
+      // x = 5 has no point on secp256k1
+      multibase: 'zQ3shMQnkqiyfujhRPGFFqSEeD2yV9kUcmyBiu2fT2BXfFPMN'
+    }, {
+      title: 'a key of another type',
+      deserializer: P521Multikey,
+      multibase: secp256k1Multibase
+    }, {
+      title: 'a truncated RSA key',
+      deserializer: RsaMultikey,
+      multibase: rsa2048Multibase.slice(0, 100)
+    }];
+    for(const {title, deserializer, multibase} of invalidKeys) {
+      it(`should reject ${title}`, async () => {
+        let error;
+        try {
+          await deserializer.from({publicKeyMultibase: multibase});
+        } catch(e) {
+          error = e;
+        }
+        expect(error).to.exist;
+        expect(error.code).to.equal('invalidPublicKey');
+      });
+    }
+  });
+
+  describe('did:jwk', () => {
+    const ed25519Did =
+      'did:key:z6MknCCLeeHBUaHu4aHSVLDCYQW9gjVJ7a63FpMvtuVMy53T';
+    const ed25519Jwk = {
+      kty: 'OKP',
+      crv: 'Ed25519',
+      x: 'cwGXz9hryEvuEo-cBcLTBWnnr9kBjx2_1xTMndtgth4'
+    };
+    const p256Did = 'did:key:zDnaeucDGfhXHoJVqot3p21RuupNJ2fZrs8Lb1GV83VnSo2jR';
+    const p256Jwk = {
+      kty: 'EC',
+      crv: 'P-256',
+      x: 'sYLQHOy9TNAWwFcAlpxkqRA5OutpWCrVPEWsgeli_KA',
+      y: 'l5Jr9_48oPJWHwuVmH_VZVquGe-U8RtnR-McN4tdYhs'
+    };
+
+    function toDidJwk(jwk) {
+      return 'did:jwk:' + Buffer.from(JSON.stringify(jwk)).toString(
+        'base64url');
+    }
+
+    it('should convert a did:key DID to a did:jwk DID', async () => {
+      expect(didKeyToDidJwk({did: ed25519Did})).to.equal(toDidJwk(ed25519Jwk));
+      expect(didKeyToDidJwk({did: p256Did})).to.equal(toDidJwk(p256Jwk));
+    });
+
+    it('should convert a did:jwk DID to a did:key DID', async () => {
+      expect(didJwkToDidKey({did: toDidJwk(ed25519Jwk)})).to.equal(ed25519Did);
+      expect(didJwkToDidKey({did: toDidJwk(p256Jwk)})).to.equal(p256Did);
+      expect(didJwkToDidKey({did: `${toDidJwk(p256Jwk)}#0`})).to.equal(
+        p256Did);
+      expect(didJwkToDidKey({jwk: p256Jwk})).to.equal(p256Did);
+    });
+
+    it('should round trip OKP and EC keys', async () => {
+      const keyPairs = [
+        await Ed25519Multikey.generate(),
+        await X25519KeyAgreementKey2020.generate(),
+        await EcdsaMultikey.generate({curve: 'P-256'}),
+        await EcdsaMultikey.generate({curve: 'P-384'})
+      ];
+      for(const {publicKeyMultibase} of keyPairs) {
+        const did = `did:key:${publicKeyMultibase}`;
+        expect(didJwkToDidKey({did: didKeyToDidJwk({did})})).to.equal(did);
+      }
+      // secp256k1 public key (compressed) from RFC 8812 test vectors
+      const secp256k1Did =
+        'did:key:zQ3shokFTS3brHcDQrn82RUDfCZESWL1ZdCEJwekUDPQiYBme';
+      expect(didJwkToDidKey({
+        did: didKeyToDidJwk({did: secp256k1Did})
+      })).to.equal(secp256k1Did);
+    });
+
+    it('should generate a DID Document from a JWK', async () => {
+      const didKeyDriverMultikey = driver();
+      didKeyDriverMultikey.use({
+        multibaseMultikeyHeader: 'zDna',
+        fromMultibase: EcdsaMultikey.from
+      });
+
+      const {didDocument, keyPairs, methodFor} =
+        await didKeyDriverMultikey.fromKeyPair({jwk: p256Jwk});
+      expect(didDocument.id).to.equal(p256Did);
+      expect(keyPairs.size).to.equal(1);
+      expect(methodFor({purpose: 'assertionMethod'}).publicKeyMultibase)
+        .to.equal(p256Did.slice('did:key:'.length));
+
+      const {didDocument: publicDidDocument} =
+        await didKeyDriverMultikey.publicKeyToDidDoc({jwk: p256Jwk});
+      expect(publicDidDocument).to.eql(didDocument);
+    });
+
+    it('should generate a DID Document from a did:jwk DID', async () => {
+      const didJwk = toDidJwk(ed25519Jwk);
+      const {didDocument} = await didKeyDriver.publicKeyToDidDoc({
+        didJwk, linkDidJwk: true
+      });
+
+      expect(didDocument.id).to.equal(ed25519Did);
+      expect(didDocument.alsoKnownAs).to.eql([didJwk]);
+      const {alsoKnownAs, ...rest} = didDocument;
+      expect(alsoKnownAs).to.exist;
+      expect(rest).to.eql(await didKeyDriver.get({did: ed25519Did}));
+    });
+
+    it('should link a DID Document to its did:jwk DID', async () => {
+      const didDocument = await didKeyDriver.get({
+        did: ed25519Did, linkDidJwk: true
+      });
+      expect(didDocument.alsoKnownAs).to.eql([toDidJwk(ed25519Jwk)]);
+
+      const {didDocument: resolved} = await didKeyDriver.resolve({
+        did: ed25519Did, linkDidJwk: true
+      });
+      expect(resolved.alsoKnownAs).to.eql([toDidJwk(ed25519Jwk)]);
+
+      const {didDocument: unlinked} = await didKeyDriver.resolve({
+        did: ed25519Did
+      });
+      expect(unlinked).to.not.have.property('alsoKnownAs');
+    });
+
+    const errorCases = [{
+      title: 'a private JWK',
+      jwk: {...ed25519Jwk, d: 'nWGxne_9WmC6hEr0kuwsxERJxWl7MmkZcDusAxyuf2A'},
+      code: 'invalidPublicKey'
+    }, {
+      title: 'an EC point that is not on the curve',
+      jwk: {...p256Jwk, y: p256Jwk.x},
+      code: 'invalidPublicKey'
+    }, {
+      title: 'an OKP key with the wrong length',
+      jwk: {...ed25519Jwk, x: 'AAAA'},
+      code: 'invalidPublicKeyLength'
+    }, {
+      title: 'an unsupported curve',
+      jwk: {kty: 'OKP', crv: 'Ed448', x: 'AAAA'},
+      code: 'unsupportedPublicKeyType'
+    }, {
+      title: 'an RSA modulus over 8192 bits',
+      jwk: {
+        kty: 'RSA', n: base64url.encode(new Uint8Array(1025).fill(0xff)),
+        e: 'AQAB'
+      },
+      code: 'invalidPublicKey'
+    }, {
+      title: 'an RSA public exponent over 32 bits',
+      jwk: {
+        kty: 'RSA', n: base64url.encode(new Uint8Array(256).fill(0xff)),
+        e: base64url.encode(new Uint8Array(5).fill(0x01))
+      },
+      code: 'invalidPublicKey'
+    }];
+    for(const {title, jwk, code} of errorCases) {
+      it(`should reject ${title}`, async () => {
+        let error;
+        try {
+          didJwkToDidKey({jwk});
+        } catch(e) {
+          error = e;
+        }
+        expect(error).to.exist;
+        expect(error.code).to.equal(code);
+
+        error = undefined;
+        try {
+          await didKeyDriver.publicKeyToDidDoc({jwk});
+        } catch(e) {
+          error = e;
+        }
+        expect(error).to.exist;
+        expect(error.code).to.equal(code);
+      });
+    }
+
+    it('should reject an invalid did:jwk DID', async () => {
+      for(const did of ['did:key:z6Mk', 'did:jwk:not-json']) {
+        let error;
+        try {
+          didJwkToDidKey({did});
+        } catch(e) {
+          error = e;
+        }
+        expect(error).to.exist;
+        expect(error.code).to.equal('invalidDid');
+      }
+    });
+  });
+
+  describe('did:peer', () => {
+    const multibase = 'z6MknCCLeeHBUaHu4aHSVLDCYQW9gjVJ7a63FpMvtuVMy53T';
+    const keyAgreementMultibase =
+      'z6LSotGbgPCJD2Y6TSvvgxERLTfVZxCh9KSrez3WNrNp7vKW';
+    const didKey = `did:key:${multibase}`;
+    const didPeer0 = `did:peer:0${multibase}`;
+    const didPeer2 =
+      `did:peer:2.E${keyAgreementMultibase}.V${multibase}`;
+
+    it('should get the DID Document for a did:peer:0 DID', async () => {
+      const didDocument = await didKeyDriver.get({did: didPeer0});
+      const expected = JSON.parse(JSON.stringify(
+        await didKeyDriver.get({did: didKey})).split(didKey).join(didPeer0));
+
+      expect(didDocument.id).to.equal(didPeer0);
+      expect(didDocument.verificationMethod[0].id).to.equal(
+        `${didPeer0}#${multibase}`);
+      expect(didDocument.verificationMethod[0].controller).to.equal(didPeer0);
+      expect(didDocument.keyAgreement[0].id).to.equal(
+        `${didPeer0}#${keyAgreementMultibase}`);
+      expect(didDocument).to.eql(expected);
+    });
+
+    it('should get a key node for a did:peer:0 DID URL', async () => {
+      const key = await didKeyDriver.get({url: `${didPeer0}#${multibase}`});
+      expect(key.id).to.equal(`${didPeer0}#${multibase}`);
+      expect(key.controller).to.equal(didPeer0);
+      expect(key.publicKeyMultibase).to.equal(multibase);
+    });
+
+    it('should resolve and dereference a did:peer:0 DID', async () => {
+      const {didResolutionMetadata, didDocument} =
+        await didKeyDriver.resolve({did: didPeer0});
+      expect(didResolutionMetadata.error).to.not.exist;
+      expect(didDocument.id).to.equal(didPeer0);
+
+      const {dereferencingMetadata, contentStream} =
+        await didKeyDriver.dereference({
+          didUrl: `${didPeer0}#${keyAgreementMultibase}`
+        });
+      expect(dereferencingMetadata.error).to.not.exist;
+      expect(contentStream.id).to.equal(
+        `${didPeer0}#${keyAgreementMultibase}`);
+
+      const [{result}] = await didKeyDriver.getMany({dids: [didPeer0]});
+      expect(result).to.eql(didDocument);
+    });
+
+    it('should not resolve other did:peer numalgos', async () => {
+      const {didResolutionMetadata} = await didKeyDriver.resolve({
+        did: didPeer2
+      });
+      expect(didResolutionMetadata.error).to.equal('methodNotSupported');
+    });
+
+    it('should convert a did:key DID to a did:peer DID', async () => {
+      expect(await didKeyDriver.didKeyToDidPeer({did: didKey})).to.equal(
+        didPeer0);
+      expect(await didKeyDriver.didKeyToDidPeer({did: didKey, numalgo: 2}))
+        .to.equal(didPeer2);
+      expect(await didKeyDriver.didKeyToDidPeer({
+        did: didKey, numalgo: 2, enableEncryptionKeyDerivation: false
+      })).to.equal(`did:peer:2.V${multibase}`);
+    });
+
+    it('should convert a X25519 did:key DID to a did:peer:2 DID', async () => {
+      const didKeyDriverX25519 = driver();
+      didKeyDriverX25519.use({
+        multibaseMultikeyHeader: 'z6LS',
+        fromMultibase: X25519KeyAgreementKey2020.from
+      });
+      const did = `did:key:${keyAgreementMultibase}`;
+      const peerDid = await didKeyDriverX25519.didKeyToDidPeer({
+        did, numalgo: 2
+      });
+      expect(peerDid).to.equal(`did:peer:2.E${keyAgreementMultibase}`);
+      expect(await didKeyDriverX25519.didPeerToDidKey({did: peerDid}))
+        .to.equal(did);
+    });
+
+    it('should convert a did:peer DID to a did:key DID', async () => {
+      expect(await didKeyDriver.didPeerToDidKey({did: didPeer0})).to.equal(
+        didKey);
+      expect(await didKeyDriver.didPeerToDidKey({did: didPeer2})).to.equal(
+        didKey);
+      expect(await didKeyDriver.didPeerToDidKey({
+        did: `did:peer:2.V${multibase}.A${multibase}`
+      })).to.equal(didKey);
+    });
+
+    const unconvertible = [{
+      title: 'a did:peer:2 DID with a service',
+      did: `${didPeer2}.SeyJ0IjoiZG0iLCJzIjoiaHR0cHM6Ly9leGFtcGxlLmNvbSJ9`
+    }, {
+      title: 'a did:peer:2 DID with two verification keys',
+      did: `${didPeer2}.Vz6MkhaXgBZDvotDkL5257faiztiGiC2QtKLGpbnnEGta2doK`
+    }, {
+      title: 'a did:peer:2 DID with an underived key agreement key',
+      did: 'did:peer:2.Ez6LSbysY2xFMRpGMhb7tFTLMpeuPRaqaWM1yECx2AtzE3KCc' +
+        `.V${multibase}`
+    }, {
+      title: 'an invalid did:peer:2 DID',
+      did: `did:peer:2.X${multibase}`
+    }, {
+      title: 'a did:key DID',
+      did: didKey
+    }];
+    for(const {title, did} of unconvertible) {
+      it(`should not convert ${title}`, async () => {
+        let error;
+        try {
+          await didKeyDriver.didPeerToDidKey({did});
+        } catch(e) {
+          error = e;
+        }
+        expect(error).to.exist;
+        expect(error.code).to.equal('invalidDid');
+      });
+    }
+  });
+
+  describe('publicKeyToDidDoc', () => {
+    it('should convert a key pair instance into a did doc', async () => {
+      // Note that a freshly-generated key pair does not have a controller
+      // or key id
+      const keyPair = await Ed25519VerificationKey2020.generate();
+      const {didDocument} = await didKeyDriver.publicKeyToDidDoc({
+        publicKeyDescription: keyPair
+      });
+
+      expect(didDocument).to.exist;
+      expect(didDocument).to.have.property('@context');
+      expect(didDocument.id).to.equal(`did:key:${keyPair.fingerprint()}`);
+    });
+    it('should convert a 2019 X25519-based key to a did doc', async () => {
+      const didKeyDriver = driver();
+      didKeyDriver.use({
+        multibaseMultikeyHeader: 'z6LS',
+        fromMultibase: X25519KeyAgreementKey2019.from
+      });
+      const keyPair = await X25519KeyAgreementKey2019.generate();
+      const {didDocument} = await didKeyDriver.publicKeyToDidDoc({
+        publicKeyDescription: keyPair
       });
       expect(didDocument).to.exist;
       expect(didDocument).to.have.property('@context');
@@ -619,6 +3061,705 @@ describe('did:key method driver', () => {
     });
   });
 
+  describe('verify', () => {
+    const data = new TextEncoder().encode('test data');
+    let keyPair;
+    let did;
+    let keyId;
+    let signature;
+    before(async () => {
+      keyPair = await Ed25519VerificationKey2020.generate();
+      ({didDocument: {id: did}} = await didKeyDriver.fromKeyPair({
+        verificationKeyPair: keyPair
+      }));
+      keyId = `${did}#${keyPair.fingerprint()}`;
+      signature = await keyPair.signer().sign({data});
+    });
+
+    it('should verify a signature by verification method', async () => {
+      expect(await didKeyDriver.verify({
+        verificationMethod: keyId, purpose: 'assertionMethod', data, signature
+      })).to.be.true;
+      expect(await didKeyDriver.verify({
+        verificationMethod: {id: keyId}, did, purpose: 'authentication',
+        data, signature
+      })).to.be.true;
+    });
+
+    it('should verify a signature for a DID with an explicit version',
+      async () => {
+        const versionedDid = did.replace('did:key:', 'did:key:1:');
+        const versionedKeyId = keyId.replace('did:key:', 'did:key:1:');
+        expect(await didKeyDriver.verify({
+          verificationMethod: versionedKeyId, purpose: 'assertionMethod',
+          data, signature
+        })).to.be.true;
+        expect(await didKeyDriver.verify({
+          verificationMethod: versionedKeyId, did: versionedDid,
+          purpose: 'authentication', data, signature
+        })).to.be.true;
+        expect(await didKeyDriver.verify({
+          did: versionedDid, purpose: 'capabilityInvocation', data, signature
+        })).to.be.true;
+      });
+
+    it('should verify a signature by DID', async () => {
+      expect(await didKeyDriver.verify({
+        did, purpose: 'capabilityInvocation', data, signature
+      })).to.be.true;
+    });
+
+    it('should not verify an invalid signature', async () => {
+      expect(await didKeyDriver.verify({
+        did, purpose: 'assertionMethod',
+        data: new TextEncoder().encode('other data'), signature
+      })).to.be.false;
+      expect(await didKeyDriver.verify({
+        did, purpose: 'assertionMethod', data, signature: new Uint8Array(3)
+      })).to.be.false;
+    });
+
+    it('should not verify a method of another DID', async () => {
+      const other = 'did:key:z6MknCCLeeHBUaHu4aHSVLDCYQW9gjVJ7a63FpMvtuVMy53T';
+      expect(await didKeyDriver.verify({
+        verificationMethod: keyId, did: other, purpose: 'assertionMethod',
+        data, signature
+      })).to.be.false;
+    });
+
+    it('should not verify a method that is not permitted', async () => {
+      const didDocument = await didKeyDriver.get({did});
+      expect(await didKeyDriver.verify({
+        verificationMethod: didDocument.keyAgreement[0].id,
+        purpose: 'assertionMethod', data, signature
+      })).to.be.false;
+
+      const didKeyDriverPolicy = driver({
+        verificationRelationships: ['authentication']
+      });
+      didKeyDriverPolicy.use({
+        multibaseMultikeyHeader: 'z6Mk',
+        fromMultibase: Ed25519VerificationKey2020.from
+      });
+      expect(await didKeyDriverPolicy.verify({
+        verificationMethod: keyId, purpose: 'authentication', data, signature
+      })).to.be.true;
+      expect(await didKeyDriverPolicy.verify({
+        verificationMethod: keyId, purpose: 'assertionMethod', data, signature
+      })).to.be.false;
+    });
+
+    it('should verify signatures of built-in key types', async () => {
+      const didKeyDriverBuiltIn = driver();
+      didKeyDriverBuiltIn.use({
+        multibaseMultikeyHeader: 'zQ3s',
+        fromMultibase: Secp256k1Multikey.from
+      });
+      didKeyDriverBuiltIn.use({
+        multicodec: P521Multikey.multicodec,
+        fromMultibase: P521Multikey.from
+      });
+      didKeyDriverBuiltIn.use({
+        multicodec: RsaMultikey.multicodec,
+        fromMultibase: RsaMultikey.from
+      });
+      const curves = [
+        {curve: secp256k1, hash: sha256, codec: 'secp256k1-pub'},
+        {curve: p521, hash: sha512, codec: 'p521-pub'}
+      ];
+      for(const {curve, hash, codec} of curves) {
+        const secretKey = curve.utils.randomPrivateKey();
+        const {did} = await didKeyDriverBuiltIn.fromPublicKeyBytes({
+          bytes: curve.getPublicKey(secretKey, true), codec
+        });
+        const signature = curve.sign(hash(data), secretKey)
+          .toCompactRawBytes();
+        expect(await didKeyDriverBuiltIn.verify({
+          did, purpose: 'assertionMethod', data, signature
+        })).to.be.true;
+        expect(await didKeyDriverBuiltIn.verify({
+          did, purpose: 'assertionMethod', data: new Uint8Array(1), signature
+        })).to.be.false;
+      }
+
+      const rsaMultibase =
+'z4MXj1wBzi9jUstyNsgNxmWLcmAvG7HtXZCfUYtpGe1TRGYQeARDPZwKuhNC' +
+      'cesvwAcKmBhRZNmvyZFkEznB3ccLhd8fRgo8L9NHLHKZd32vgDBwYEecrJMb' +
+      'CqnXvSzTvqDTaPPY3NZ6ZSYfzs4rMMmFC2e7kGRpB3EDVWm73PDwixTmmxs9' +
+      '68SCoXne1XzkZsJNZVd9DiozEwt3WvSuzhmKvoqKEPmx5kk9mNTJv4KNJXck' +
+      'DbSYruijciGwM1nvoyQ23TfkMwBxySdNy5whTjBL5ha5c2n9b7H7biJ6rktE' +
+      'aTUajzMWdGGuQuSRJXJmAMsqkjJ7TSJbnXe7CXjPf2Fcc1XALRYc2569dco9' +
+      '6JwynRhr39h2g';
+      const rsaSignatureBase64Url =
+      'ki2F22x059_wPrFSCjLQQ8EZdiopnc3kmcEmv2RbJ55xyXbCaozU16IzsiUn' +
+      'NqEW9RDd3wMVAl0A0Y0l-vsrg7TFETrZ1PbtM83cKchR_d8yv6bw5PCct66p' +
+      'H-DthanCyOp11l4uzMcK2wHT7HX86D6yy3EiLhro1Ay_n1_ccjTKx-p6Yyzc' +
+      'wtdfIa-JZvjU4UquAR6osAO2Ruf8gJCc5fiW5zO5AeeGSWGc6dYG6C0ngma8' +
+      'VyTeJeuLAQDEcAaMXOUpZQjheEh3el51u0jAvhtpOLvreOcSwHqYtkBsh7YF' +
+      'A1vVFi-iXVjM1A_ELC3uTC4Q6r6YxZIlCToH-3oOcg';
+      const rsaSignature = base64url.decode(rsaSignatureBase64Url);
+      expect(await didKeyDriverBuiltIn.verify({
+        did: `did:key:${rsaMultibase}`, purpose: 'assertionMethod', data,
+        signature: rsaSignature
+      })).to.be.true;
+      rsaSignature[0] ^= 1;
+      expect(await didKeyDriverBuiltIn.verify({
+        did: `did:key:${rsaMultibase}`, purpose: 'assertionMethod', data,
+        signature: rsaSignature
+      })).to.be.false;
+    });
+
+    it('should throw for a key type without a verifier', async () => {
+      const didKeyDriverNoVerifier = driver();
+      didKeyDriverNoVerifier.use({
+        multibaseMultikeyHeader: 'z6Mk',
+        async fromMultibase({publicKeyMultibase}) {
+          const keyPair = await Ed25519Multikey.from({publicKeyMultibase});
+          keyPair.verifier = undefined;
+          return keyPair;
+        }
+      });
+      let error;
+      try {
+        await didKeyDriverNoVerifier.verify({
+          did, purpose: 'assertionMethod', data, signature
+        });
+      } catch(e) {
+        error = e;
+      }
+      expect(error).to.exist;
+      expect(error.code).to.equal('unsupportedPublicKeyType');
+    });
+
+    it('should reject invalid parameters', async () => {
+      const invalid = [
+        {did, purpose: 'keyAgreement', data, signature},
+        {did, purpose: 'assertionMethod', data: 'test data', signature},
+        {purpose: 'assertionMethod', data, signature},
+        {verificationMethod: did, purpose: 'assertionMethod', data, signature}
+      ];
+      for(const options of invalid) {
+        let error;
+        try {
+          await didKeyDriver.verify(options);
+        } catch(e) {
+          error = e;
+        }
+        expect(error).to.be.instanceOf(TypeError);
+      }
+    });
+  });
+
+  describe('JWS and JWT', () => {
+    let didKeyDriverJws;
+    before(() => {
+      didKeyDriverJws = driver();
+      didKeyDriverJws.use({
+        multibaseMultikeyHeader: 'z6Mk',
+        fromMultibase: Ed25519Multikey.from
+      });
+      for(const multibaseMultikeyHeader of ['zDna', 'z82L']) {
+        didKeyDriverJws.use({
+          multibaseMultikeyHeader,
+          fromMultibase: EcdsaMultikey.from
+        });
+      }
+      didKeyDriverJws.use({
+        multibaseMultikeyHeader: 'zQ3s',
+        fromMultibase: Secp256k1Multikey.from
+      });
+    });
+
+    // returns the `methodFor()` key pair with the secret key's signer
+    async function _getSigner({keyPair, purpose = 'assertionMethod'}) {
+      const {methodFor} = await didKeyDriverJws.fromKeyPair({
+        verificationKeyPair: keyPair
+      });
+      const method = methodFor({purpose});
+      return {keyPair: method, signer: keyPair.signer()};
+    }
+
+    it('should sign and verify a JWS', async () => {
+      const keyPairs = [
+        {keyPair: await Ed25519Multikey.generate(), alg: 'EdDSA'},
+        {keyPair: await EcdsaMultikey.generate({curve: 'P-256'}), alg: 'ES256'},
+        {keyPair: await EcdsaMultikey.generate({curve: 'P-384'}), alg: 'ES384'}
+      ];
+      for(const {keyPair, alg} of keyPairs) {
+        const signer = await _getSigner({keyPair});
+        const jws = await signJws({
+          ...signer, payload: 'test payload', header: {cty: 'text'}
+        });
+        const {header, payload, verificationMethod} =
+          await didKeyDriverJws.verifyJws({jws, purpose: 'assertionMethod'});
+        expect(header).to.eql({cty: 'text', alg, kid: signer.keyPair.id});
+        expect(new TextDecoder().decode(payload)).to.equal('test payload');
+        expect(verificationMethod.id).to.equal(signer.keyPair.id);
+      }
+    });
+
+    it('should verify a JWS whose "kid" has an explicit version',
+      async () => {
+        const keyPair = await Ed25519Multikey.generate();
+        const {didDocument} = await didKeyDriverJws.fromKeyPair({
+          verificationKeyPair: keyPair
+        });
+        const kid = didDocument.assertionMethod[0].replace(
+          'did:key:', 'did:key:1:');
+        const jws = await signJws({
+          keyPair: await didKeyDriverJws.get({url: kid}),
+          signer: keyPair.signer(), payload: 'test payload'
+        });
+        const {header, verificationMethod} = await didKeyDriverJws.verifyJws({
+          jws, purpose: 'assertionMethod'
+        });
+        expect(header.kid).to.equal(kid);
+        expect(verificationMethod.id).to.equal(kid);
+      });
+
+    it('should sign and verify an ES256K JWS', async () => {
+      const secretKey = secp256k1.utils.randomPrivateKey();
+      const {didDocument} = await didKeyDriverJws.fromPublicKeyBytes({
+        bytes: secp256k1.getPublicKey(secretKey, true), codec: 'secp256k1-pub'
+      });
+      const keyPair = await didKeyDriverJws.get({
+        url: didDocument.assertionMethod[0]
+      });
+      const signer = {
+        async sign({data}) {
+          return secp256k1.sign(sha256(data), secretKey).toCompactRawBytes();
+        }
+      };
+      const jws = await signJws({keyPair, signer, payload: 'test payload'});
+      const {header, payload, verificationMethod} =
+        await didKeyDriverJws.verifyJws({jws, purpose: 'assertionMethod'});
+      expect(header).to.eql({alg: 'ES256K', kid: keyPair.id});
+      expect(new TextDecoder().decode(payload)).to.equal('test payload');
+      expect(verificationMethod.id).to.equal(keyPair.id);
+
+      // a signature by another secp256k1 key is not valid
+      const otherSecretKey = secp256k1.utils.randomPrivateKey();
+      const forged = await signJws({
+        keyPair,
+        signer: {
+          async sign({data}) {
+            return secp256k1.sign(sha256(data), otherSecretKey)
+              .toCompactRawBytes();
+          }
+        },
+        payload: 'test payload'
+      });
+      let error;
+      try {
+        await didKeyDriverJws.verifyJws({
+          jws: forged, purpose: 'assertionMethod'
+        });
+      } catch(e) {
+        error = e;
+      }
+      expect(error).to.exist;
+      expect(error.code).to.equal('invalidSignature');
+    });
+
+    it('should require a signer for a public key pair', async () => {
+      const keyPair = await Ed25519Multikey.generate();
+      const {methodFor} = await didKeyDriverJws.fromKeyPair({
+        verificationKeyPair: keyPair
+      });
+      let error;
+      try {
+        await signJws({
+          keyPair: methodFor({purpose: 'assertionMethod'}),
+          payload: 'test payload'
+        });
+      } catch(e) {
+        error = e;
+      }
+      expect(error).to.be.instanceOf(TypeError);
+      expect(error.message).to.include('"signer"');
+    });
+
+    it('should sign and verify a JWT', async () => {
+      const signer = await _getSigner({
+        keyPair: await Ed25519Multikey.generate(), purpose: 'authentication'
+      });
+      const now = Math.floor(Date.now() / 1000);
+      const jwt = await signJwt({
+        ...signer, claims: {iss: signer.keyPair.controller, exp: now + 60}
+      });
+      const {header, claims} = await didKeyDriverJws.verifyJwt({
+        jwt, purpose: 'authentication'
+      });
+      expect(header).to.eql({typ: 'JWT', alg: 'EdDSA', kid: signer.keyPair.id});
+      expect(claims).to.eql({iss: signer.keyPair.controller, exp: now + 60});
+    });
+
+    it('should reject an expired or not yet valid JWT', async () => {
+      const signer = await _getSigner({
+        keyPair: await Ed25519Multikey.generate()
+      });
+      const now = 1700000000;
+      const expired = await signJwt({...signer, claims: {exp: now - 600}});
+      const notYetValid = await signJwt({
+        ...signer, claims: {nbf: now + 3600}
+      });
+      for(const jwt of [expired, notYetValid]) {
+        let error;
+        try {
+          await didKeyDriverJws.verifyJwt({
+            jwt, purpose: 'assertionMethod', now
+          });
+        } catch(e) {
+          error = e;
+        }
+        expect(error).to.exist;
+        expect(error.code).to.equal('invalidJwt');
+      }
+      // within the allowed clock skew
+      const {claims} = await didKeyDriverJws.verifyJwt({
+        jwt: expired, purpose: 'assertionMethod', now: now - 400
+      });
+      expect(claims.exp).to.equal(now - 600);
+    });
+
+    it('should reject a JWS with an invalid signature', async () => {
+      const signer = await _getSigner({
+        keyPair: await EcdsaMultikey.generate({curve: 'P-256'})
+      });
+      const jws = await signJws({...signer, payload: 'test payload'});
+      const [header, , signature] = jws.split('.');
+      const otherPayload = base64url.encode(
+        new TextEncoder().encode('other payload'));
+      let error;
+      try {
+        await didKeyDriverJws.verifyJws({
+          jws: `${header}.${otherPayload}.${signature}`,
+          purpose: 'assertionMethod'
+        });
+      } catch(e) {
+        error = e;
+      }
+      expect(error).to.exist;
+      expect(error.code).to.equal('invalidSignature');
+    });
+
+    it('should reject a JWS "alg" that does not match the key', async () => {
+      const signer = await _getSigner({
+        keyPair: await EcdsaMultikey.generate({curve: 'P-256'})
+      });
+      const jws = await signJws({
+        ...signer, payload: 'test payload', header: {alg: 'ES384'}
+      });
+      expect(JSON.parse(new TextDecoder().decode(
+        base64url.decode(jws.split('.')[0]))).alg).to.equal('ES256');
+      const [, payload, signature] = jws.split('.');
+      const header = base64url.encode(new TextEncoder().encode(
+        JSON.stringify({alg: 'ES384', kid: signer.keyPair.id})));
+      let error;
+      try {
+        await didKeyDriverJws.verifyJws({
+          jws: `${header}.${payload}.${signature}`,
+          purpose: 'assertionMethod'
+        });
+      } catch(e) {
+        error = e;
+      }
+      expect(error).to.exist;
+      expect(error.code).to.equal('invalidJws');
+      expect(error.message).to.include('expected "ES256"');
+    });
+
+    it('should reject a JWS for a purpose that is not permitted', async () => {
+      const keyPair = await Ed25519Multikey.generate();
+      const didKeyDriverPolicy = driver({
+        verificationRelationships: ['authentication']
+      });
+      didKeyDriverPolicy.use({
+        multibaseMultikeyHeader: 'z6Mk',
+        fromMultibase: Ed25519Multikey.from
+      });
+      const {methodFor} = await didKeyDriverPolicy.fromKeyPair({
+        verificationKeyPair: keyPair
+      });
+      const jws = await signJws({
+        keyPair: methodFor({purpose: 'authentication'}),
+        signer: keyPair.signer(), payload: 'test payload'
+      });
+      await didKeyDriverPolicy.verifyJws({jws, purpose: 'authentication'});
+      let error;
+      try {
+        await didKeyDriverPolicy.verifyJws({jws, purpose: 'assertionMethod'});
+      } catch(e) {
+        error = e;
+      }
+      expect(error).to.exist;
+      expect(error.code).to.equal('invalidJws');
+      expect(error.message).to.include('not permitted');
+    });
+
+    it('should reject a malformed JWS', async () => {
+      const signer = await _getSigner({
+        keyPair: await Ed25519Multikey.generate()
+      });
+      const jws = await signJws({...signer, payload: 'test payload'});
+      const [, payload, signature] = jws.split('.');
+      const {id, controller} = signer.keyPair;
+      const _encodeHeader = header => base64url.encode(
+        new TextEncoder().encode(JSON.stringify(header)));
+      const invalid = [
+        'not a jws',
+        `${jws}.extra`,
+        `${_encodeHeader(['EdDSA'])}.${payload}.${signature}`,
+        `${_encodeHeader({alg: 'EdDSA'})}.${payload}.${signature}`,
+        `${_encodeHeader({alg: 'EdDSA', kid: controller})}.` +
+          `${payload}.${signature}`,
+        `${_encodeHeader({alg: 'EdDSA', kid: id, crit: ['b64']})}.` +
+          `${payload}.${signature}`
+      ];
+      for(const malformed of invalid) {
+        let error;
+        try {
+          await didKeyDriverJws.verifyJws({
+            jws: malformed, purpose: 'assertionMethod'
+          });
+        } catch(e) {
+          error = e;
+        }
+        expect(error).to.exist;
+        expect(error.code).to.equal('invalidJws');
+      }
+    });
+  });
+
+  describe('encryptTo and decrypt', () => {
+    const payload = 'secret payload';
+    let didKeyDriverJwe;
+    // recipients whose `methodFor({purpose: 'keyAgreement'})` key pairs
+    // include their private keys
+    let ed25519Recipient;
+    let x25519Recipient;
+    before(async () => {
+      didKeyDriverJwe = driver();
+      didKeyDriverJwe.use({
+        multibaseMultikeyHeader: 'z6Mk',
+        fromMultibase: Ed25519VerificationKey2020.from
+      });
+      didKeyDriverJwe.use({
+        multibaseMultikeyHeader: 'z6LS',
+        fromMultibase: X25519KeyAgreementKey2020.from
+      });
+      const verificationKeyPair = await Ed25519VerificationKey2020.generate();
+      ed25519Recipient = await didKeyDriverJwe.fromKeyPair({
+        verificationKeyPair,
+        keyAgreementKeyPair: X25519KeyAgreementKey2020
+          .fromEd25519VerificationKey2020({keyPair: verificationKeyPair})
+      });
+      x25519Recipient = await didKeyDriverJwe.fromKeyPair({
+        keyAgreementKeyPair: await X25519KeyAgreementKey2020.generate()
+      });
+    });
+
+    it('should encrypt to and decrypt for several recipients', async () => {
+      const recipients = [
+        ed25519Recipient.didDocument.id,
+        x25519Recipient.didDocument.keyAgreement[0].id
+      ];
+      const jwe = await didKeyDriverJwe.encryptTo({recipients, payload});
+      expect(JSON.parse(new TextDecoder().decode(
+        base64url.decode(jwe.protected)))).to.eql({enc: 'A256GCM'});
+      expect(jwe.recipients.map(({header: {alg, kid}}) => ({alg, kid})))
+        .to.eql([
+          {
+            alg: 'ECDH-ES+A256KW',
+            kid: `${recipients[0]}#` +
+              ed25519Recipient.didDocument.keyAgreement[0].publicKeyMultibase
+          },
+          {alg: 'ECDH-ES+A256KW', kid: recipients[1]}
+        ]);
+      for(const {methodFor} of [ed25519Recipient, x25519Recipient]) {
+        const decrypted = await didKeyDriverJwe.decrypt({
+          jwe, keyAgreementKeyPair: methodFor({purpose: 'keyAgreement'})
+        });
+        expect(new TextDecoder().decode(decrypted)).to.equal(payload);
+      }
+    });
+
+    it('should encrypt to a DID with an explicit version', async () => {
+      const versionedDid = x25519Recipient.didDocument.id.replace(
+        'did:key:', 'did:key:1:');
+      const {keyAgreement: [{id: kid}]} = await didKeyDriverJwe.get({
+        did: versionedDid
+      });
+      for(const recipient of [versionedDid, kid]) {
+        const jwe = await didKeyDriverJwe.encryptTo({
+          recipients: [recipient], payload
+        });
+        expect(jwe.recipients[0].header.kid).to.equal(kid);
+        const decrypted = await didKeyDriverJwe.decrypt({
+          jwe,
+          keyAgreementKeyPair: x25519Recipient.methodFor({
+            purpose: 'keyAgreement'
+          })
+        });
+        expect(new TextDecoder().decode(decrypted)).to.equal(payload);
+      }
+    });
+
+    it('should not decrypt for another key agreement key', async () => {
+      const jwe = await didKeyDriverJwe.encryptTo({
+        recipients: [x25519Recipient.didDocument.id], payload
+      });
+      let error;
+      try {
+        await didKeyDriverJwe.decrypt({
+          jwe,
+          keyAgreementKeyPair: ed25519Recipient.methodFor({
+            purpose: 'keyAgreement'
+          })
+        });
+      } catch(e) {
+        error = e;
+      }
+      expect(error).to.exist;
+      expect(error.code).to.equal('notFound');
+    });
+
+    it('should not decrypt a modified JWE', async () => {
+      const jwe = await didKeyDriverJwe.encryptTo({
+        recipients: [x25519Recipient.didDocument.id], payload
+      });
+      const keyAgreementKeyPair = x25519Recipient.methodFor({
+        purpose: 'keyAgreement'
+      });
+      const ciphertext = base64url.decode(jwe.ciphertext);
+      ciphertext[0] ^= 1;
+      const modified = [
+        {...jwe, ciphertext: base64url.encode(ciphertext)},
+        {...jwe, tag: jwe.recipients[0].encrypted_key.slice(0, 22)},
+        {...jwe, protected: base64url.encode(
+          new TextEncoder().encode('{"enc":"A128GCM"}'))}
+      ];
+      for(const jwe of modified) {
+        let error;
+        try {
+          await didKeyDriverJwe.decrypt({jwe, keyAgreementKeyPair});
+        } catch(e) {
+          error = e;
+        }
+        expect(error).to.exist;
+        expect(error.code).to.equal('invalidJwe');
+      }
+    });
+
+    it('should throw for a recipient without a key agreement key',
+      async () => {
+        const didKeyDriverNoKak = driver({
+          enableEncryptionKeyDerivation: false
+        });
+        didKeyDriverNoKak.use({
+          multibaseMultikeyHeader: 'z6Mk',
+          fromMultibase: Ed25519VerificationKey2020.from
+        });
+        let error;
+        try {
+          await didKeyDriverNoKak.encryptTo({
+            recipients: [ed25519Recipient.didDocument.id], payload
+          });
+        } catch(e) {
+          error = e;
+        }
+        expect(error).to.exist;
+        expect(error.code).to.equal('notFound');
+      });
+
+    it('should reject invalid parameters', async () => {
+      const invalid = [
+        () => didKeyDriverJwe.encryptTo({recipients: [], payload}),
+        () => didKeyDriverJwe.encryptTo({recipients: [{}], payload}),
+        () => didKeyDriverJwe.encryptTo({
+          recipients: [x25519Recipient.didDocument.id], payload: {}
+        }),
+        () => didKeyDriverJwe.decrypt({
+          jwe: {},
+          keyAgreementKeyPair: ed25519Recipient.methodFor({
+            purpose: 'authentication'
+          })
+        })
+      ];
+      for(const call of invalid) {
+        let error;
+        try {
+          await call();
+        } catch(e) {
+          error = e;
+        }
+        expect(error).to.be.instanceOf(TypeError);
+      }
+    });
+  });
+
+  describe('parse', () => {
+    it('should parse an Ed25519 did:key DID', async () => {
+      const did = 'did:key:z6MknCCLeeHBUaHu4aHSVLDCYQW9gjVJ7a63FpMvtuVMy53T';
+      const parsed = parse({did});
+
+      expect(parsed).to.include({
+        did,
+        method: 'key',
+        version: '1',
+        multibase: 'z6MknCCLeeHBUaHu4aHSVLDCYQW9gjVJ7a63FpMvtuVMy53T',
+        codec: 0xed,
+        codecName: 'ed25519-pub',
+        keyType: 'Ed25519',
+        fragment: undefined
+      });
+      expect(parsed.publicKeyBytes).to.be.instanceOf(Uint8Array);
+      expect(parsed.publicKeyBytes).to.have.length(32);
+      const {publicKeyMultibase} = await Ed25519Multikey.from({
+        publicKeyMultibase: parsed.multibase
+      });
+      expect(publicKeyMultibase).to.equal(parsed.multibase);
+    });
+
+    it('should parse a DID with an unregistered key type', async () => {
+      const parsed = parse({
+        did: 'did:key:1:zDnaeucDGfhXHoJVqot3p21RuupNJ2fZrs8Lb1GV83VnSo2jR' +
+          '#zDnaeucDGfhXHoJVqot3p21RuupNJ2fZrs8Lb1GV83VnSo2jR'
+      });
+
+      expect(parsed).to.include({
+        did: 'did:key:zDnaeucDGfhXHoJVqot3p21RuupNJ2fZrs8Lb1GV83VnSo2jR',
+        version: '1',
+        codec: 0x1200,
+        codecName: 'p256-pub',
+        keyType: 'P-256',
+        fragment: 'zDnaeucDGfhXHoJVqot3p21RuupNJ2fZrs8Lb1GV83VnSo2jR'
+      });
+      expect(parsed.publicKeyBytes).to.have.length(33);
+    });
+
+    it('should parse a DID with an unknown multicodec', async () => {
+      const parsed = parse({
+        did: 'did:key:zRyFfZBnLw5YCXAEA2wRetXkg7ermStun3rQKvYx7ZoWM'
+      });
+
+      expect(parsed.codec).to.be.a('number');
+      expect(parsed.codecName).to.equal(undefined);
+      expect(parsed.keyType).to.equal(undefined);
+    });
+
+    it('should throw for an invalid DID', async () => {
+      let error;
+      try {
+        parse({did: 'did:key:zpVPpJkMvRPU2n7UjDbej2gW8nvedHtAkpgcgFJn5z'});
+      } catch(e) {
+        error = e;
+      }
+      expect(error).to.exist;
+      expect(error.code).to.equal('invalidPublicKeyLength');
+    });
+  });
+
   describe('computeId', () => {
     const keyPair = {fingerprint: () => '12345'};
 
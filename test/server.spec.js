@@ -0,0 +1,166 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import chai from 'chai';
+import {createServer} from '../lib/server.js';
+import {driver} from '../lib/index.js';
+import {Ed25519VerificationKey2020} from
+  '@digitalbazaar/ed25519-verification-key-2020';
+
+const {expect} = chai;
+
+const did = 'did:key:z6MknCCLeeHBUaHu4aHSVLDCYQW9gjVJ7a63FpMvtuVMy53T';
+const keyId = `${did}#z6MknCCLeeHBUaHu4aHSVLDCYQW9gjVJ7a63FpMvtuVMy53T`;
+
+describe('Universal Resolver driver server', () => {
+  let server;
+  let baseUrl;
+  before(async () => {
+    server = createServer();
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}/1.0/identifiers/`;
+  });
+  after(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  async function _get({id, accept}) {
+    const headers = accept === undefined ? {} : {Accept: accept};
+    const response = await fetch(`${baseUrl}${encodeURIComponent(id)}`, {
+      headers
+    });
+    return {
+      status: response.status,
+      contentType: response.headers.get('content-type'),
+      body: await response.json()
+    };
+  }
+
+  it('should resolve a DID to a DID Resolution Result by default',
+    async () => {
+      const {status, contentType, body} = await _get({id: did});
+      expect(status).to.equal(200);
+      expect(contentType).to.equal('application/did-resolution+json');
+      expect(body.didResolutionMetadata).to.eql({
+        contentType: 'application/did+ld+json'
+      });
+      expect(body.didDocument.id).to.equal(did);
+      expect(body.didDocumentMetadata).to.eql({});
+    });
+
+  it('should resolve a DID to each DID Document representation', async () => {
+    const ldJson = await _get({id: did, accept: 'application/did+ld+json'});
+    expect(ldJson.status).to.equal(200);
+    expect(ldJson.contentType).to.equal('application/did+ld+json');
+    expect(ldJson.body.id).to.equal(did);
+    expect(ldJson.body['@context']).to.exist;
+
+    const json = await _get({id: did, accept: 'application/did+json'});
+    expect(json.status).to.equal(200);
+    expect(json.contentType).to.equal('application/did+json');
+    expect(json.body.id).to.equal(did);
+    expect(json.body['@context']).to.not.exist;
+
+    const result = await _get({
+      id: did, accept: 'application/did-resolution+json'
+    });
+    expect(result.contentType).to.equal('application/did-resolution+json');
+    expect(result.body.didDocument).to.eql(ldJson.body);
+  });
+
+  it('should honor "Accept" preferences', async () => {
+    const preferred = await _get({
+      id: did,
+      accept: 'text/html, application/did+ld+json;q=0.5, ' +
+        'application/did+json;q=0.9'
+    });
+    expect(preferred.contentType).to.equal('application/did+json');
+
+    const profile = await _get({
+      id: did,
+      accept: 'application/ld+json;profile="https://w3id.org/did-resolution"'
+    });
+    expect(profile.contentType).to.equal('application/did-resolution+json');
+    expect(profile.body.didDocument.id).to.equal(did);
+
+    const unsupported = await _get({id: did, accept: 'text/html'});
+    expect(unsupported.status).to.equal(406);
+    expect(unsupported.body.didResolutionMetadata.error).to.equal(
+      'representationNotSupported');
+  });
+
+  it('should dereference a DID URL with a fragment', async () => {
+    const {status, contentType, body} = await _get({
+      id: keyId, accept: 'application/did+ld+json'
+    });
+    expect(status).to.equal(200);
+    expect(contentType).to.equal('application/did+ld+json');
+    expect(body).to.include({id: keyId, controller: did});
+
+    const result = await _get({id: keyId});
+    expect(result.status).to.equal(200);
+    expect(result.body.dereferencingMetadata).to.eql({
+      contentType: 'application/did+ld+json'
+    });
+    expect(result.body.contentStream).to.eql(body);
+  });
+
+  it('should map errors to status codes', async () => {
+    const expected = [
+      ['did:key:invalid', 400, 'invalidDid'],
+      ['did:key:z6MkInvalid#z6MkInvalid', 400, 'invalidDidUrl'],
+      [`${keyId.split('#')[0]}#unknown`, 404, 'notFound'],
+      [`${did}/path`, 404, 'notFound'],
+      ['did:web:example.com', 501, 'methodNotSupported'],
+      ['did:key:z6Mk', 501, 'unsupportedPublicKeyType']
+    ];
+    for(const [id, status, error] of expected) {
+      const result = await _get({id});
+      expect(result.status).to.equal(status);
+      expect(result.contentType).to.equal('application/did-resolution+json');
+      const metadata = result.body.didResolutionMetadata ??
+        result.body.dereferencingMetadata;
+      expect(metadata.error).to.equal(error);
+      expect(metadata.errorMessage).to.be.a('string');
+    }
+  });
+
+  it('should only serve "GET" requests for identifiers', async () => {
+    const post = await fetch(`${baseUrl}${encodeURIComponent(did)}`, {
+      method: 'POST'
+    });
+    expect(post.status).to.equal(405);
+    expect(post.headers.get('allow')).to.equal('GET');
+
+    const other = await fetch(new URL('/1.0/methods', baseUrl));
+    expect(other.status).to.equal(404);
+  });
+
+  it('should resolve with a given driver', async () => {
+    const didKeyDriver = driver();
+    didKeyDriver.use({
+      multibaseMultikeyHeader: 'z6Mk',
+      fromMultibase: Ed25519VerificationKey2020.from
+    });
+    const customServer = createServer({didKeyDriver});
+    await new Promise(resolve => customServer.listen(0, '127.0.0.1', resolve));
+    try {
+      const {port} = customServer.address();
+      const url = `http://127.0.0.1:${port}/1.0/identifiers/`;
+      const response = await fetch(`${url}${encodeURIComponent(keyId)}`, {
+        headers: {Accept: 'application/did+ld+json'}
+      });
+      expect((await response.json()).type).to.equal(
+        'Ed25519VerificationKey2020');
+
+      // no deserializer is registered for P-256 keys
+      const p256 = await fetch(`${url}${encodeURIComponent(
+        'did:key:zDnaerDaTF5BXEavCrfRZEk316dpbLsfPDZ3WJ5hRTPFU2169')}`);
+      expect(p256.status).to.equal(501);
+      expect((await p256.json()).didResolutionMetadata.error).to.equal(
+        'unsupportedPublicKeyType');
+    } finally {
+      await new Promise(resolve => customServer.close(resolve));
+    }
+  });
+});